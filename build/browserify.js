@@ -1,4 +1,40 @@
-import { TinyGoogleAi, setTinyGoogleAi } from '../src/services/Google.mjs';
+import { TinyGoogleAi, TinyGoogleAiProvider, setTinyGoogleAi } from '../src/services/Google.mjs';
+import { TinyOpenAi, TinyOpenAiProvider, setTinyOpenAi } from '../src/services/OpenAi.mjs';
+import {
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+} from '../src/services/Anthropic.mjs';
+import { TinyOllamaAi, TinyOllamaAiProvider, setTinyOllamaAi } from '../src/services/Ollama.mjs';
+import { TinyMockAi, TinyMockAiProvider, setTinyMockAi } from '../src/services/Mock.mjs';
 import TinyAiInstance from '../src/base.mjs';
+import TinyAiProvider from '../src/TinyAiProvider.mjs';
+import TinyAiMemory from '../src/TinyAiMemory.mjs';
+import TinyAiTokenEstimator from '../src/TinyAiTokenEstimator.mjs';
+import TinyAiScheduler from '../src/TinyAiScheduler.mjs';
+import { TinyAiJsonError, validateJsonSchema } from '../src/TinyAiJsonSchema.mjs';
 
-global.window.TinyAiApi = { TinyAiInstance, TinyGoogleAi, setTinyGoogleAi };
+global.window.TinyAiApi = {
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAi,
+  TinyGoogleAiProvider,
+  setTinyGoogleAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  setTinyOpenAi,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+};
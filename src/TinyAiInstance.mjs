@@ -2,6 +2,11 @@ import objHash from 'object-hash';
 import { EventEmitter } from 'events';
 import { isJsonObject, objType } from 'tiny-essentials';
 import { encode as encodeBase64 } from 'js-base64';
+import TinyAiProvider from './TinyAiProvider.mjs';
+import TinyAiMemory from './TinyAiMemory.mjs';
+import TinyAiTokenEstimator from './TinyAiTokenEstimator.mjs';
+import TinyAiScheduler from './TinyAiScheduler.mjs';
+import { TinyAiJsonError, validateJsonSchema } from './TinyAiJsonSchema.mjs';
 
 /**
  * @typedef {Object} SessionDataContent
@@ -12,6 +17,10 @@ import { encode as encodeBase64 } from 'js-base64';
  * @property {string|null} systemInstruction
  * @property {{ name: string; type: string; }[]} [customList]
  * @property {string|null} model
+ * @property {AiAttachment[]} [attachments] - The attachments of the session and of its messages.
+ * @property {number[]} [pinned] - The IDs of the pinned messages.
+ * @property {AiHistoryArchive[]} [archive] - The messages replaced by summaries, see `compactHistory()`.
+ * @property {AiUsageEntry[]} [usage] - The usage ledger of the session, see `getUsage()`.
  *
  */
 
@@ -37,6 +46,207 @@ import { encode as encodeBase64 } from 'js-base64';
  * @property {string[]} [supportedGenerationMethods]
  */
 
+/**
+ * @typedef {{ type: 'delta', index: number, partIndex: number, text: string, thought: boolean }
+ *   | { type: 'part', index: number, partIndex: number, part: Record<string, any>, thought: boolean }
+ *   | { type: 'usage', tokenUsage: Record<string, any> }
+ *   | { type: 'finish', index: number, finishReason: string|number }} AiStreamEvent
+ * Events yielded by `genContentStream()`. `index` is the candidate index of the content.
+ * When `thought` is true, `partIndex` is the index in the `thoughts` of the content instead of its `parts`.
+ */
+
+/**
+ * @typedef {Object} AiThinkingConfig
+ * @property {number} [thinkingBudget] - The number of thinking tokens the model can use. `0` disables thinking, and `-1` lets the model decide.
+ * @property {boolean} [includeThoughts] - Whether the model returns summaries of its thoughts.
+ * @property {boolean} [sendThoughts] - Whether the thoughts of the history are sent in the next requests. They are excluded by default.
+ */
+
+/**
+ * @typedef {AsyncIterable<AiStreamEvent> & { result: Promise<Record<string, any>>, controller: AbortController }} AiContentStream
+ */
+
+/**
+ * @typedef {(args: Record<string, any>, context: { name: string, callId: string|null, instance: TinyAiInstance, controller?: AbortController }) => any} AiToolHandler
+ * Executes a function call requested by the model. The returned value (or the resolved value of a promise) is sent back as the function response.
+ */
+
+/**
+ * @typedef {Object} AiTool
+ * @property {string} name - The function name.
+ * @property {string|null} description - What the function does, read by the model.
+ * @property {Record<string, any>|null} parameters - The JSON Schema of the function arguments.
+ * @property {AiToolHandler} handler - The function executed by `genContentWithTools()`.
+ */
+
+/**
+ * @typedef {'AUTO'|'ANY'|'NONE'|'VALIDATED'} AiToolMode
+ */
+
+/**
+ * @typedef {'sliding-window'|'keep-first'|'keep-pinned'} AiContextStrategy
+ */
+
+/**
+ * @typedef {Object} AiExcludedContent
+ * @property {number} index - The index of the message in the session history.
+ * @property {number} msgId - The message ID.
+ * @property {number} tokens - The tokens of the message, including its attachments.
+ * @property {'dropped'|'truncated'|'orphan'} reason - Why the message was excluded or changed. `orphan` is a function response whose function call was dropped.
+ */
+
+/**
+ * @typedef {Object} AiRequestContents
+ * @property {AIContentData[]} contents - The contents of the request, starting with the system instruction when it is set.
+ * @property {number[]} msgIds - The IDs of the messages included in the contents.
+ * @property {AiExcludedContent[]} excluded - The messages that were excluded or truncated.
+ * @property {number} tokens - The tokens of the request.
+ * @property {number} maxInputTokens - The token limit used.
+ * @property {boolean} overflow - `true` if the required messages alone do not fit in the limit.
+ */
+
+/**
+ * @typedef {Object} AiRequestConfig
+ * @property {string|null} sessionId - The session that made the request.
+ * @property {number|null} maxOutputTokens - The maximum output tokens.
+ * @property {number|null} temperature - The temperature.
+ * @property {number|null} topP - The top-p value.
+ * @property {number|null} topK - The top-k value.
+ * @property {number|null} presencePenalty - The presence penalty.
+ * @property {number|null} frequencyPenalty - The frequency penalty.
+ * @property {boolean|null} enableEnhancedCivicAnswers - Whether enhanced civic answers are enabled.
+ * @property {string|null} responseMimeType - The MIME type of the response.
+ * @property {Record<string, any>|null} responseSchema - The JSON Schema of the response.
+ * @property {AiSafetySetting[]|null} safetySettings - The safety settings.
+ * @property {string[]|null} stopSequences - The stop sequences.
+ * @property {number|null} seed - The seed.
+ * @property {boolean|null} responseLogprobs - Whether the log probabilities are returned.
+ * @property {number|null} logprobs - The number of top log probabilities returned.
+ * @property {string[]|null} responseModalities - The response modalities.
+ * @property {number|null} candidateCount - The number of candidates.
+ * @property {AiThinkingConfig|null} thinkingConfig - The thinking options.
+ * @property {{ mode: AiToolMode, allowedFunctionNames: string[]|null }|null} toolConfig - The tool config.
+ * @property {AiTool[]} tools - The registered tools.
+ * @property {SessionCache|null} cache - The server-side cache of the session.
+ */
+
+/**
+ * @typedef {Object} AiUsageTokens
+ * @property {number} prompt - The prompt tokens, including the cached ones.
+ * @property {number} candidates - The answer tokens.
+ * @property {number} cached - The prompt tokens read from a cache.
+ * @property {number} cacheWrite - The prompt tokens written to a cache.
+ * @property {number} thoughts - The thinking tokens.
+ * @property {number} total - The total tokens.
+ */
+
+/**
+ * @typedef {Object} AiUsageEntry
+ * @property {number} time - The time of the request, in milliseconds.
+ * @property {'genContent'|'countTokens'} type - The method that made the request.
+ * @property {string|null} model - The model of the request.
+ * @property {string|null} apiKey - A hash of the API key, used to group the usage without storing the key.
+ * @property {AiUsageTokens} tokens - The token usage of the request.
+ * @property {Record<string, Record<string, number>>} modalities - The tokens of each modality, like `{ prompt: { TEXT: 10, IMAGE: 258 } }`.
+ * @property {number} latency - The time until the result, in milliseconds.
+ * @property {'success'|'error'|'exception'} outcome - `error` when the API returned an error object, and `exception` when the request was rejected.
+ * @property {string|null} error - The error message.
+ */
+
+/**
+ * @typedef {Object} AiModelPrice
+ * Prices per 1 million tokens.
+ * @property {number} [prompt=0] - The price of the prompt tokens.
+ * @property {number} [candidates=0] - The price of the answer tokens.
+ * @property {number} [cached] - The price of the cached prompt tokens. Defaults to the prompt price.
+ * @property {number} [cacheWrite] - The price of the prompt tokens written to a cache. Defaults to the prompt price.
+ * @property {number} [thoughts] - The price of the thinking tokens. Defaults to the answer price.
+ * @property {Record<string, { prompt?: number, cached?: number, cacheWrite?: number, candidates?: number }>} [modalities] - Prices of modalities, like `AUDIO`, that replace the default prices.
+ */
+
+/**
+ * @typedef {Object} AiUsageSummary
+ * @property {Array<AiUsageEntry & { id: string, cost: number|null }>} entries - The matching entries with their session ID and cost. The cost is null when the model has no price.
+ * @property {number} requests - The number of requests.
+ * @property {number} errors - The number of requests that failed.
+ * @property {AiUsageTokens} tokens - The sum of the token usage of the `genContent` requests.
+ * @property {number} counted - The sum of the tokens counted by the `countTokens` requests. They are not part of `tokens`, since they were not sent to a model.
+ * @property {number} cost - The sum of the costs.
+ * @property {number} unpriced - The number of requests of models without price.
+ * @property {number} latency - The average latency, in milliseconds.
+ */
+
+/**
+ * @typedef {Object} AiPartType
+ * @property {(value: any) => any} parse - Validates the value of a part key when contents are built. Returns the stored value, or null if it is invalid.
+ * @property {((value: any) => any)|null} serialize - Converts the stored value into the value sent to the API.
+ * @property {boolean} hashable - Whether the value is included in the message hash.
+ * @property {((value: any) => number)|null} countTokens - Estimates the tokens of the value.
+ */
+
+/**
+ * @typedef {{ category: string, threshold: string }} AiSafetySetting
+ */
+
+/**
+ * @typedef {Object} AiCache
+ * @property {string|null} name - The resource name of the cache, like `cachedContents/abc`.
+ * @property {string|null} model - The model of the cache, like `models/gemini-2.0-flash`.
+ * @property {string|null} displayName - The display name of the cache.
+ * @property {string|null} createTime - When the cache was created.
+ * @property {string|null} updateTime - When the cache was updated.
+ * @property {string|null} expireTime - When the cache expires.
+ * @property {number|null} totalTokenCount - The number of cached tokens.
+ */
+
+/**
+ * @typedef {AiCache & { name: string, contentHashes: string[], systemInstructionHash: string|null }} SessionCache
+ * A cache created from a session. The hashes identify the cached contents, so requests that start with them can reference the cache.
+ */
+
+/**
+ * @typedef {Object} AiFile
+ * @property {string|null} name - The resource name of the file, like `files/abc`.
+ * @property {string|null} displayName - The display name of the file.
+ * @property {string|null} mimeType - The MIME type of the file.
+ * @property {number|null} sizeBytes - The size of the file in bytes.
+ * @property {string|null} createTime - When the file was created.
+ * @property {string|null} updateTime - When the file was updated.
+ * @property {string|null} expirationTime - When the file is deleted by the API.
+ * @property {string|null} sha256Hash - The SHA-256 hash of the file bytes.
+ * @property {string|null} uri - The URI used in `fileData` parts.
+ * @property {string|null} state - The processing state: `PROCESSING`, `ACTIVE` or `FAILED`.
+ * @property {string|null} error - The processing error, when the state is `FAILED`.
+ */
+
+/**
+ * @typedef {Object} AiAttachment
+ * @property {number} id - The attachment ID, unique in the session.
+ * @property {number|null} msgId - The ID of the message that owns the attachment, or null for session attachments.
+ * @property {string} mime - The MIME type of the attachment.
+ * @property {string|null} name - The name of the attachment.
+ * @property {string} [data] - The content of an inline attachment.
+ * @property {string} [base64] - The base64-encoded content of an inline attachment.
+ * @property {string} [uri] - The URI of an uploaded attachment.
+ * @property {number|null} tokens - The token count of the attachment.
+ * @property {string} hash - The hash of the MIME type and the content.
+ */
+
+/**
+ * @typedef {Object} AiAttachmentInput
+ * @property {string} mime - The MIME type of the attachment.
+ * @property {string} [data] - The content, either as a string or base64-encoded. Used when `uri` is omitted.
+ * @property {boolean} [isBase64=false] - Whether `data` is already base64-encoded.
+ * @property {string} [uri] - The URI of an uploaded file, returned by `uploadFile()`.
+ * @property {string|null} [name=null] - The name of the attachment.
+ * @property {number|null} [tokens=null] - The token count of the attachment.
+ */
+
+/**
+ * @typedef {{ mime: string, data?: string, base64?: string, uri?: string }} AiFileData
+ * The file of a session. Files set by `setFileData()` have `data` and `base64`, and files set by `setFileUri()` have `uri`.
+ */
+
 /**
  * @typedef {Object} AiCategory
  * @property {string} category
@@ -53,11 +263,36 @@ import { encode as encodeBase64 } from 'js-base64';
  * It implements a session management system to help handle multiple different bots.
  * However, this script is not optimized for efficiently handling multiple AI instances simultaneously, which may be required for high-load scenarios or when running several AI instances at once.
  *
- * **Note**: This script does not automatically manage or track the token count for messages. Developers need to implement their own logic to monitor and manage token usage if necessary.
+ * **Note**: Token counts are only filled in automatically when a session enables `setAutoTokens()`. Otherwise, they are the values given to methods like `addData()`.
  *
  * Documentation written with the assistance of OpenAI's ChatGPT.
  */
 class TinyAiInstance {
+  /**
+   * The harm categories accepted by `setSafetySettings()`.
+   * @type {string[]}
+   */
+  static safetyCategories = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT',
+    'HARM_CATEGORY_CIVIC_INTEGRITY',
+  ];
+
+  /**
+   * The block thresholds accepted by `setSafetySettings()`.
+   * @type {string[]}
+   */
+  static safetyThresholds = [
+    'HARM_BLOCK_THRESHOLD_UNSPECIFIED',
+    'BLOCK_LOW_AND_ABOVE',
+    'BLOCK_MEDIUM_AND_ABOVE',
+    'BLOCK_ONLY_HIGH',
+    'BLOCK_NONE',
+    'OFF',
+  ];
+
   /**
    * Important instance used to make event emitter.
    * @type {EventEmitter}
@@ -267,21 +502,49 @@ class TinyAiInstance {
 
   /**
    * @typedef {Object} AIContentData
-   * @property {Array<Record<'text' | 'inlineData', string | { mime_type: string, data: string } | null>>} parts
+   * @property {Array<Record<string, any>>} parts
    * @property {string|undefined} [role]
    * @property {string|number|undefined} [finishReason]
+   * @property {AiCandidate[]} [candidates] - The alternative candidates of the message. The active one is copied into the message.
+   * @property {number} [candidateIndex] - The index of the active candidate.
+   * @property {Array<Record<string, any>>} [thoughts] - The thought parts of a model message, kept separate from the answer parts.
+   * @property {boolean} [synthetic] - `true` if the message was created by the instance, like the summary of `compactHistory()`.
    */
 
   /**
-   * @typedef {{ count: number|null, hide?: boolean }} TokenCount
+   * @typedef {Object} AiCandidate
+   * @property {AIContentData} content - The candidate content.
+   * @property {TokenCount} tokens - The token count of the candidate.
+   */
+
+  /**
+   * @typedef {{ count: number|null, hide?: boolean, estimated?: boolean }} TokenCount
+   */
+
+  /**
+   * @typedef {Object} AiHistoryArchive
+   * @property {number} summaryId - The ID of the summary message that replaced the archived messages.
+   * @property {AIContentData[]} data - The archived messages.
+   * @property {number[]} ids - The IDs of the archived messages.
+   * @property {TokenCount[]} tokens - The token counts of the archived messages.
+   * @property {string[]} hash - The hashes of the archived messages.
+   * @property {number[]} pinned - The IDs of the archived messages that were pinned.
+   * @property {AiAttachment[]} attachments - The attachments of the archived messages.
+   * @property {number} time - The time of the compaction, in milliseconds.
    */
 
   /** @type {string|null} */ #_apiKey = null;
   /** @type {function|null} */ #_getModels = null;
   /** @type {function|null} */ #_countTokens = null;
+  /** @type {TinyAiTokenEstimator} */ #_tokenEstimator = new TinyAiTokenEstimator();
+  /** @type {Map<string, number>} */ #_pendingTokens = new Map();
+  /** @type {Record<string, AiModelPrice>} */ #_prices = {};
+  /** @type {TinyAiScheduler|null} */ #_scheduler = null;
   /** @type {function|null} */ #_genContentApi = null;
+  /** @type {TinyAiProvider|null} */ #_provider = null;
   /** @type {string|null} */ #_selectedHistory = null;
-  /** @type {Record<string, function>} */ #_partTypes = {};
+  /** @type {Map<string, AiPartType>} */ #_partTypes = new Map();
+  /** @type {Map<string, AiTool>} */ #_tools = new Map();
   /** @type {function} */ #_insertIntoHistory = () => {};
   /** @type {Record<string|number, string|{ text: string, hide?: boolean }>} */ _errorCode = {};
   /** @type {string|null} */ _nextModelsPageToken = null;
@@ -318,16 +581,87 @@ class TinyAiInstance {
     };
 
     /**
-     * Parsers for different part types.
-     * @type {{ text: (input: any) => string|null, inlineData: (input: any) => { mime_type: string, data: string }|null }}
+     * Built-in part types of the Gemini API.
+     * @type {Record<string, Partial<AiPartType> & { parse: (value: any) => any }>}
      */
-    this.#_partTypes = {
-      text: (/** @type {string} */ text) => (typeof text === 'string' ? text : null),
-      inlineData: (/** @type {{ mime_type: string; data: string; }} */ data) => {
-        if (typeof data.mime_type === 'string' && typeof data.data === 'string') return data;
-        return null;
+    const partTypes = {
+      text: {
+        parse: (/** @type {string} */ text) => (typeof text === 'string' ? text : null),
+        countTokens: (/** @type {string} */ text) => this.#_tokenEstimator.countText(text),
+      },
+      thought: {
+        parse: (/** @type {boolean} */ thought) => (typeof thought === 'boolean' ? thought : null),
+      },
+      thoughtSignature: {
+        parse: (/** @type {string} */ signature) =>
+          typeof signature === 'string' ? signature : null,
+        hashable: false,
+      },
+      inlineData: {
+        // The camelCase key is accepted, but the services only read `mime_type`.
+        parse: (/** @type {{ mime_type?: string; mimeType?: string; data: string; }} */ data) => {
+          if (!isJsonObject(data) || typeof data.data !== 'string') return null;
+          const mime = typeof data.mime_type === 'string' ? data.mime_type : data.mimeType;
+          if (typeof mime === 'string') return { mime_type: mime, data: data.data };
+          return null;
+        },
+      },
+      fileData: {
+        parse: (/** @type {{ fileUri: string; mimeType?: string; }} */ data) => {
+          if (
+            isJsonObject(data) &&
+            typeof data.fileUri === 'string' &&
+            (typeof data.mimeType === 'undefined' || typeof data.mimeType === 'string')
+          )
+            return data;
+          return null;
+        },
+      },
+      functionCall: {
+        parse: (/** @type {{ name: string; args?: Object; id?: string; }} */ data) => {
+          if (isJsonObject(data) && typeof data.name === 'string') return data;
+          return null;
+        },
+      },
+      functionResponse: {
+        parse: (/** @type {{ name: string; response: Object; id?: string; }} */ data) => {
+          if (isJsonObject(data) && typeof data.name === 'string' && isJsonObject(data.response))
+            return data;
+          return null;
+        },
+      },
+      executableCode: {
+        parse: (/** @type {{ language: string; code: string; }} */ data) => {
+          if (
+            isJsonObject(data) &&
+            typeof data.language === 'string' &&
+            typeof data.code === 'string'
+          )
+            return data;
+          return null;
+        },
+        countTokens: (/** @type {{ code: string; }} */ data) =>
+          this.#_tokenEstimator.countText(data.code),
+      },
+      codeExecutionResult: {
+        parse: (/** @type {{ outcome: string; output?: string; }} */ data) => {
+          if (
+            isJsonObject(data) &&
+            typeof data.outcome === 'string' &&
+            (typeof data.output === 'undefined' || typeof data.output === 'string')
+          )
+            return data;
+          return null;
+        },
+        countTokens: (/** @type {{ output?: string; }} */ data) =>
+          typeof data.output === 'string' ? this.#_tokenEstimator.countText(data.output) : 0,
+      },
+      videoMetadata: {
+        parse: (/** @type {{ startOffset?: string; endOffset?: string; fps?: number; }} */ data) =>
+          isJsonObject(data) ? data : null,
       },
     };
+    for (const name in partTypes) this.registerPartType(name, partTypes[name]);
 
     // Is single instance
     if (this._isSingle) {
@@ -352,6 +686,42 @@ class TinyAiInstance {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
+  /**
+   * Generates the hash of a history message.
+   * The alternative candidates are not included, so the hash only changes with the active content.
+   *
+   * @param {AIContentData} data - The message data.
+   * @returns {string}
+   */
+  #hashContent(data) {
+    /** @type {Record<string, any>} */
+    let content = data;
+    if (Array.isArray(data.candidates)) {
+      const { candidates, candidateIndex, ...item } = data;
+      content = item;
+    }
+
+    // Part values that are not hashable
+    if (
+      Array.isArray(content.parts) &&
+      content.parts.some((part) =>
+        Object.keys(part).some((key) => this.#_partTypes.get(key)?.hashable === false),
+      )
+    ) {
+      content = {
+        ...content,
+        parts: content.parts.map((part) => {
+          /** @type {Record<string, any>} */
+          const result = {};
+          for (const key in part)
+            if (this.#_partTypes.get(key)?.hashable !== false) result[key] = part[key];
+          return result;
+        }),
+      };
+    }
+    return objHash(content);
+  }
+
   /**
    * Sets a custom value in the selected session history.
    *
@@ -697,346 +1067,2393 @@ class TinyAiInstance {
   }
 
   /**
-   * Set the model for an AI session.
+   * Set how the model uses the registered tools in an AI session.
    *
-   * @param {string} data - The model to be set (must be a string).
+   * - `AUTO`: The model decides between calling a function or answering with text.
+   * - `ANY`: The model always calls a function.
+   * - `NONE`: The model never calls a function.
+   * - `VALIDATED`: Like `AUTO`, but function calls are validated against the schema.
+   *
+   * @param {AiToolMode} mode - The function calling mode.
+   * @param {string[]|null} [allowedFunctionNames=null] - Restricts the functions the model can call. Only used by the `ANY` and `VALIDATED` modes.
    * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @throws {Error} If the mode or the function names are invalid.
    * @returns {void} This function does not return a value.
    */
-  setModel(data, id) {
-    const model = typeof data === 'string' ? data : null;
+  setToolConfig(mode, allowedFunctionNames = null, id = undefined) {
+    if (typeof mode !== 'string' || !['AUTO', 'ANY', 'NONE', 'VALIDATED'].includes(mode))
+      throw new Error('Invalid tool mode!');
+    if (
+      allowedFunctionNames !== null &&
+      (!Array.isArray(allowedFunctionNames) ||
+        !allowedFunctionNames.every((name) => typeof name === 'string'))
+    )
+      throw new Error('Invalid allowed function names!');
+
     const selectedId = this.getId(id);
-    this.#_insertIntoHistory(selectedId, { model });
-    this.#emit('setModel', model, selectedId);
+    const toolConfig = { mode, allowedFunctionNames };
+    this.#_insertIntoHistory(selectedId, { toolConfig });
+    this.#emit('setToolConfig', toolConfig, selectedId);
   }
 
   /**
-   * Get the model for an AI session.
+   * Get the tool config of an AI session.
    *
    * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
-   * @returns {string | null} The model, or null if not set.
+   * @returns {{ mode: AiToolMode, allowedFunctionNames: string[]|null } | null} The tool config, or null if not set.
    */
-  getModel(id) {
+  getToolConfig(id) {
     const history = this.getData(id);
-    return history && typeof history.model === 'string' ? history.model : null;
+    return history && history.toolConfig ? history.toolConfig : null;
   }
 
   /**
-   * Build content data for an AI session.
+   * Set the schema of the structured output of an AI session.
    *
-   * @param {Array<*>} [contents] - An optional array to which the built content data will be pushed.
-   * @param {Record<string, any>} item - The item containing content parts or a content object.
-   * @param {string|null} [role] - The role to be associated with the content (optional).
-   * @param {boolean} [rmFinishReason=false] - If true, removes the `finishReason` property from the content.
-   * @returns {AIContentData|number} The constructed content data object, or array length if pushed to an array.
+   * @param {Record<string, any>|null} schema - The JSON Schema of the response, or null to remove it.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
    */
-  buildContents(contents, item = {}, role = null, rmFinishReason = false) {
-    // Content Data
-    const tinyThis = this;
-    /** @type {{ finishReason: string|number|undefined, parts: any[], role: string|undefined }} */
-    const contentData = { parts: [], finishReason: undefined, role: undefined };
+  setResponseSchema(schema, id) {
+    if (schema === null || isJsonObject(schema)) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { responseSchema: schema });
+      this.#emit('setResponseSchema', schema, selectedId);
+      return;
+    }
+    throw new Error('Invalid response schema!');
+  }
 
-    // Role
-    if (typeof role === 'string') contentData.role = role;
+  /**
+   * Get the schema of the structured output of an AI session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {Record<string, any> | null} The response schema, or null if not set.
+   */
+  getResponseSchema(id) {
+    const history = this.getData(id);
+    return history && history.responseSchema ? history.responseSchema : null;
+  }
 
-    /** @param {Record<string, any>} content */
-    const insertPart = (content) => {
-      /** @type {Record<string, function>} */
-      const tinyResult = {};
-      for (const valName in content) {
-        if (typeof tinyThis.#_partTypes[valName] === 'function')
-          tinyResult[valName] = tinyThis.#_partTypes[valName](content[valName]);
-      }
-      contentData.parts.push(tinyResult);
-    };
+  /**
+   * Set the MIME type of the generated content of an AI session, like `application/json`.
+   *
+   * @param {string|null} mimeType - The MIME type, or null to remove it.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
+   */
+  setResponseMimeType(mimeType, id) {
+    if (mimeType === null || (typeof mimeType === 'string' && mimeType.length > 0)) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { responseMimeType: mimeType });
+      this.#emit('setResponseMimeType', mimeType, selectedId);
+      return;
+    }
+    throw new Error('Invalid response MIME type!');
+  }
 
-    if (Array.isArray(item.parts)) {
-      for (const index in item.parts) insertPart(item.parts[index]);
-    } else if (item.content) insertPart(item.content);
+  /**
+   * Get the MIME type of the generated content of an AI session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {string | null} The response MIME type, or null if not set.
+   */
+  getResponseMimeType(id) {
+    const history = this.getData(id);
+    return history && typeof history.responseMimeType === 'string'
+      ? history.responseMimeType
+      : null;
+  }
 
-    if (!rmFinishReason)
-      if (typeof item.finishReason === 'string' || typeof item.finishReason === 'number')
-        contentData.finishReason = item.finishReason;
+  /**
+   * Set the safety settings of an AI session, used to block unsafe content by harm category.
+   *
+   * The categories and thresholds are validated against `TinyAiInstance.safetyCategories`
+   * and `TinyAiInstance.safetyThresholds`, so typos fail before any request is made.
+   *
+   * @param {AiSafetySetting[]|null} settings - The safety settings, or null to remove them.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @throws {Error} If a setting is invalid, or a category is repeated.
+   * @returns {void} This function does not return a value.
+   */
+  setSafetySettings(settings, id) {
+    if (settings !== null && !Array.isArray(settings)) throw new Error('Invalid safety settings!');
+
+    /** @type {AiSafetySetting[]|null} */
+    let value = null;
+    if (settings) {
+      value = [];
+      for (const index in settings) {
+        const item = settings[index];
+        if (!isJsonObject(item)) throw new Error('Invalid safety setting!');
+        if (!TinyAiInstance.safetyCategories.includes(item.category))
+          throw new Error(`Invalid safety category "${item.category}"!`);
+        if (!TinyAiInstance.safetyThresholds.includes(item.threshold))
+          throw new Error(`Invalid safety threshold "${item.threshold}"!`);
+        if (value.some((setting) => setting.category === item.category))
+          throw new Error(`Duplicate safety category "${item.category}"!`);
+        value.push({ category: item.category, threshold: item.threshold });
+      }
+    }
 
-    // Complete
-    if (Array.isArray(contents)) return contents.push(contentData);
-    return contentData;
+    const selectedId = this.getId(id);
+    if (selectedId && this.history[selectedId]) {
+      this.#_insertIntoHistory(selectedId, { safetySettings: value });
+      if (value) this.history[selectedId].hash.safetySettings = objHash(value);
+      else delete this.history[selectedId].hash.safetySettings;
+    }
+    this.#emit('setSafetySettings', value, selectedId);
   }
 
   /**
-   * Set the API key for the AI session.
+   * Get the safety settings of an AI session.
    *
-   * @param {string} apiKey - The API key to be set.
-   * @returns {void} This function does not return a value.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {AiSafetySetting[] | null} The safety settings, or null if not set.
    */
-  setApiKey(apiKey) {
-    this.#_apiKey = typeof apiKey === 'string' ? apiKey : null;
+  getSafetySettings(id) {
+    const history = this.getData(id);
+    return history && Array.isArray(history.safetySettings) ? history.safetySettings : null;
   }
 
   /**
-   * Set the token for the next page of models in the AI session.
+   * Set the sequences that stop the generation of an AI session.
    *
-   * @param {string} nextModelsPageToken - The token for the next models page.
+   * @param {string[]|null} value - The stop sequences, or null to remove them.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
    * @returns {void} This function does not return a value.
    */
-  _setNextModelsPageToken(nextModelsPageToken) {
-    this._nextModelsPageToken =
-      typeof nextModelsPageToken === 'string' ? nextModelsPageToken : null;
+  setStopSequences(value, id) {
+    if (
+      value === null ||
+      (Array.isArray(value) && value.every((item) => typeof item === 'string' && item.length > 0))
+    ) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { stopSequences: value });
+      this.#emit('setStopSequences', value, selectedId);
+      return;
+    }
+    throw new Error('Invalid stop sequences!');
   }
 
   /**
-   * Set the function to retrieve models for the AI session.
+   * Get the sequences that stop the generation of an AI session.
    *
-   * @param {Function} getModels - The function to retrieve models.
-   * @returns {void} This function does not return a value.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {string[] | null} The stop sequences, or null if not set.
    */
-  _setGetModels(getModels) {
-    this.#_getModels = typeof getModels === 'function' ? getModels : null;
+  getStopSequences(id) {
+    const history = this.getData(id);
+    return history && Array.isArray(history.stopSequences) ? history.stopSequences : null;
   }
 
   /**
-   * Get a list of models for the AI session.
+   * Set the seed used by the decoding of an AI session, for reproducible results.
    *
-   * @param {number} [pageSize=50] - The number of models to retrieve per page. Defaults to 50.
-   * @param {string|null} [pageToken=null] - The token for the next page of models, if available. Defaults to null.
-   * @returns {Array<*>} The list of models retrieved.
-   * @throws {Error} If no model list API function is defined.
+   * @param {number|null} value - The seed. Must be an integer. Use null to remove it.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
    */
-  getModels(pageSize = 50, pageToken = null) {
-    if (typeof this.#_getModels === 'function')
-      return this.#_getModels(this.#_apiKey, pageSize, pageToken || this._nextModelsPageToken);
-    throw new Error('No model list api script defined.');
+  setSeed(value, id) {
+    if (value === null || Number.isInteger(value)) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { seed: value });
+      this.#emit('setSeed', value, selectedId);
+      return;
+    }
+    throw new Error('Invalid number value!');
   }
 
   /**
-   * Get the list of models for the AI session.
+   * Get the seed used by the decoding of an AI session.
    *
-   * @returns {(AiModel|AiCategory)[]} The list of models.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {number | null} The seed, or null if not set.
    */
-  getModelsList() {
-    return Array.isArray(this.models) ? this.models : [];
+  getSeed(id) {
+    const history = this.getData(id);
+    return history && typeof history.seed === 'number' ? history.seed : null;
   }
 
   /**
-   * Get model data from the list of models.
+   * Set whether the results of an AI session include the log probabilities of the chosen tokens.
    *
-   * @param {string} id - The model data id to search for in the models list.
-   * @returns {AiModel|null} The model data if found, otherwise null.
+   * @param {boolean} value - Whether to return the log probabilities.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
    */
-  getModelData(id) {
-    // @ts-ignore
-    const model = this.models.find((item) => item.id === id);
-    // @ts-ignore
-    if (model) return model;
-    else {
-      for (const index in this.models) {
-        // @ts-ignore
-        if (this.models[index].category) {
-          // @ts-ignore
-          const modelCategory = this.models[index].data.find((item) => item.id === id);
-          if (modelCategory) return modelCategory;
-        }
-      }
+  setResponseLogprobs(value, id) {
+    if (typeof value === 'boolean') {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { responseLogprobs: value });
+      this.#emit('setResponseLogprobs', value, selectedId);
+      return;
     }
-    return null;
+    throw new Error('Invalid boolean value!');
   }
 
   /**
-   * Check if a model exists in the model list.
+   * Get whether the results of an AI session include the log probabilities of the chosen tokens.
    *
-   * @param {string} id - The model id to check for in the models list.
-   * @returns {boolean} True if the model exists, false otherwise.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {boolean | null} The value, or null if not set.
    */
-  existsModel(id) {
-    return this.getModelData(id) ? true : false;
+  getResponseLogprobs(id) {
+    const history = this.getData(id);
+    return history && typeof history.responseLogprobs === 'boolean'
+      ? history.responseLogprobs
+      : null;
   }
 
   /**
-   * Insert a new model into the AI session's models list.
+   * Set how many top tokens are returned with the log probabilities of each decoding step.
+   * Only used when `setResponseLogprobs(true)` is set.
+   *
+   * @param {number} value - The number of top tokens. Must be an integer from 0 to 20.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
+   */
+  setLogprobs(value, id) {
+    if (Number.isInteger(value) && value >= 0 && value <= 20) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { logprobs: value });
+      this.#emit('setLogprobs', value, selectedId);
+      return;
+    }
+    throw new Error('Invalid number value!');
+  }
+
+  /**
+   * Get how many top tokens are returned with the log probabilities of each decoding step.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {number | null} The number of top tokens, or null if not set.
+   */
+  getLogprobs(id) {
+    const history = this.getData(id);
+    return history && typeof history.logprobs === 'number' ? history.logprobs : null;
+  }
+
+  /**
+   * Set the modalities generated by an AI session, like `['TEXT', 'IMAGE']`.
+   *
+   * @param {Array<'TEXT'|'IMAGE'|'AUDIO'>|null} value - The response modalities, or null to remove them.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
+   */
+  setResponseModalities(value, id) {
+    if (
+      value === null ||
+      (Array.isArray(value) && value.every((item) => ['TEXT', 'IMAGE', 'AUDIO'].includes(item)))
+    ) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { responseModalities: value });
+      this.#emit('setResponseModalities', value, selectedId);
+      return;
+    }
+    throw new Error('Invalid response modalities!');
+  }
+
+  /**
+   * Get the modalities generated by an AI session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {string[] | null} The response modalities, or null if not set.
+   */
+  getResponseModalities(id) {
+    const history = this.getData(id);
+    return history && Array.isArray(history.responseModalities) ? history.responseModalities : null;
+  }
+
+  /**
+   * Set the thinking (reasoning) options of an AI session.
+   *
+   * @param {AiThinkingConfig|null} config - The thinking options. Use null to remove them.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
+   * @throws {Error} If a value is invalid.
+   */
+  setThinkingConfig(config, id) {
+    if (config !== null) {
+      if (!isJsonObject(config)) throw new Error('Invalid thinking config!');
+      const { thinkingBudget, includeThoughts, sendThoughts } = config;
+      if (
+        typeof thinkingBudget !== 'undefined' &&
+        (!Number.isInteger(thinkingBudget) || thinkingBudget < -1)
+      )
+        throw new Error('Invalid thinking budget!');
+      if (
+        (typeof includeThoughts !== 'undefined' && typeof includeThoughts !== 'boolean') ||
+        (typeof sendThoughts !== 'undefined' && typeof sendThoughts !== 'boolean')
+      )
+        throw new Error('Invalid thinking config!');
+    }
+
+    const selectedId = this.getId(id);
+    const value = config !== null ? { ...config } : null;
+    this.#_insertIntoHistory(selectedId, { thinkingConfig: value });
+    this.#emit('setThinkingConfig', value, selectedId);
+  }
+
+  /**
+   * Get the thinking (reasoning) options of an AI session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {AiThinkingConfig|null} The thinking options, or null if not set.
+   */
+  getThinkingConfig(id) {
+    const history = this.getData(id);
+    return history && history.thinkingConfig ? history.thinkingConfig : null;
+  }
+
+  /**
+   * Attach a vector memory to an AI session, used by `genContentWithMemory()`.
+   * The memory is stored in the session history, and is serialized with it by `JSON.stringify()`.
+   *
+   * @param {TinyAiMemory|null} memory - The memory. Use null to remove it.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
+   * @throws {Error} If the memory is invalid.
+   */
+  setMemory(memory, id) {
+    if (memory !== null && !(memory instanceof TinyAiMemory)) throw new Error('Invalid memory!');
+    const selectedId = this.getId(id);
+    this.#_insertIntoHistory(selectedId, { memory });
+    this.#emit('setMemory', memory, selectedId);
+  }
+
+  /**
+   * Get the vector memory of an AI session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {TinyAiMemory|null} The memory, or null if not set.
+   */
+  getMemory(id) {
+    const history = this.getData(id);
+    return history && history.memory instanceof TinyAiMemory ? history.memory : null;
+  }
+
+  /**
+   * Set the number of candidates generated by each request of an AI session.
+   *
+   * @param {number} value - The number of candidates. Must be an integer greater than zero.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
+   */
+  setCandidateCount(value, id) {
+    if (Number.isInteger(value) && value > 0) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { candidateCount: value });
+      this.#emit('setCandidateCount', value, selectedId);
+      return;
+    }
+    throw new Error('Invalid number value!');
+  }
+
+  /**
+   * Get the number of candidates generated by each request of an AI session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {number | null} The number of candidates, or null if not set.
+   */
+  getCandidateCount(id) {
+    const history = this.getData(id);
+    return history && typeof history.candidateCount === 'number' ? history.candidateCount : null;
+  }
+
+  /**
+   * Set the model for an AI session.
+   *
+   * @param {string} data - The model to be set (must be a string).
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void} This function does not return a value.
+   */
+  setModel(data, id) {
+    const model = typeof data === 'string' ? data : null;
+    const selectedId = this.getId(id);
+    this.#_insertIntoHistory(selectedId, { model });
+    this.#emit('setModel', model, selectedId);
+  }
+
+  /**
+   * Get the model for an AI session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {string | null} The model, or null if not set.
+   */
+  getModel(id) {
+    const history = this.getData(id);
+    return history && typeof history.model === 'string' ? history.model : null;
+  }
+
+  /**
+   * Get the settings used by a request of an AI session.
+   *
+   * Requests read this snapshot when they are made, so changing or selecting another session
+   * while a request waits in the scheduler does not change it.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {AiRequestConfig} A copy of the request settings of the session.
+   */
+  getRequestConfig(id) {
+    return {
+      sessionId: this.getId(id),
+      maxOutputTokens: this.getMaxOutputTokens(id),
+      temperature: this.getTemperature(id),
+      topP: this.getTopP(id),
+      topK: this.getTopK(id),
+      presencePenalty: this.getPresencePenalty(id),
+      frequencyPenalty: this.getFrequencyPenalty(id),
+      enableEnhancedCivicAnswers: this.isEnabledEnchancedCivicAnswers(id),
+      responseMimeType: this.getResponseMimeType(id),
+      responseSchema: this.getResponseSchema(id),
+      safetySettings: this.getSafetySettings(id),
+      stopSequences: this.getStopSequences(id),
+      seed: this.getSeed(id),
+      responseLogprobs: this.getResponseLogprobs(id),
+      logprobs: this.getLogprobs(id),
+      responseModalities: this.getResponseModalities(id),
+      candidateCount: this.getCandidateCount(id),
+      thinkingConfig: this.getThinkingConfig(id),
+      toolConfig: this.getToolConfig(id),
+      tools: this.getTools(),
+      cache: this.getCache(id),
+    };
+  }
+
+  /**
+   * Registers a content part type, like `text` or `inlineData`.
+   *
+   * The name is the key of the part object. When contents are built, the value of each part key
+   * is validated by the `parse` function of its type. Keys without a registered type are kept
+   * verbatim. The built-in types are the Gemini part types: `text`, `thought`, `thoughtSignature`,
+   * `inlineData`, `fileData`, `functionCall`, `functionResponse`, `executableCode`,
+   * `codeExecutionResult` and `videoMetadata`. Registering a name again replaces its type.
+   *
+   * @param {string} name - The part key.
+   * @param {Object} partType - The part type.
+   * @param {(value: any) => any} partType.parse - Returns the value stored in the contents, or null if the value is invalid.
+   * @param {((value: any) => any)|null} [partType.serialize=null] - Converts the stored value into the value sent to the API. The stored value is sent when omitted.
+   * @param {boolean} [partType.hashable=true] - Whether the value is included in the message hash.
+   * @param {((value: any) => number)|null} [partType.countTokens=null] - Estimates the tokens of the value.
+   * @returns {void}
+   * @throws {Error} If a value is invalid.
+   */
+  registerPartType(name, { parse, serialize = null, hashable = true, countTokens = null }) {
+    if (typeof name !== 'string' || name.length < 1) throw new Error('Invalid part type name!');
+    if (typeof parse !== 'function') throw new Error('Invalid part type parser!');
+    if (serialize !== null && typeof serialize !== 'function')
+      throw new Error('Invalid part type serializer!');
+    if (typeof hashable !== 'boolean') throw new Error('Invalid part type hashable value!');
+    if (countTokens !== null && typeof countTokens !== 'function')
+      throw new Error('Invalid part type token counter!');
+
+    /** @type {AiPartType} */
+    const partType = { parse, serialize, hashable, countTokens };
+    this.#_partTypes.set(name, partType);
+    this.#emit('registerPartType', name, partType);
+  }
+
+  /**
+   * Get a registered content part type.
+   *
+   * @param {string} name - The part key.
+   * @returns {AiPartType|null} The part type, or null if the key is not registered.
+   */
+  getPartType(name) {
+    return this.#_partTypes.get(name) || null;
+  }
+
+  /**
+   * Converts a content part into the format sent to the API, using the `serialize` function of its types.
+   *
+   * @param {Record<string, any>} part - The content part.
+   * @returns {Record<string, any>} The serialized part.
+   */
+  serializePart(part) {
+    /** @type {Record<string, any>} */
+    const result = {};
+    for (const key in part) {
+      const partType = this.#_partTypes.get(key);
+      result[key] = partType && partType.serialize ? partType.serialize(part[key]) : part[key];
+    }
+    return result;
+  }
+
+  /**
+   * Estimates the tokens of a content part, using the `countTokens` function of its types.
+   *
+   * @param {Record<string, any>} part - The content part.
+   * @returns {number|null} The token estimate, or null if no key of the part can be counted.
+   */
+  countPartTokens(part) {
+    /** @type {number|null} */
+    let result = null;
+    for (const key in part) {
+      const partType = this.#_partTypes.get(key);
+      if (
+        partType &&
+        partType.countTokens &&
+        part[key] !== null &&
+        typeof part[key] !== 'undefined'
+      )
+        result = (result || 0) + partType.countTokens(part[key]);
+    }
+    return result;
+  }
+
+  /**
+   * Build content data for an AI session.
+   *
+   * @param {Array<*>} [contents] - An optional array to which the built content data will be pushed.
+   * @param {Record<string, any>} item - The item containing content parts or a content object.
+   * @param {string|null} [role] - The role to be associated with the content (optional).
+   * @param {boolean} [rmFinishReason=false] - If true, removes the `finishReason` property from the content.
+   * @returns {AIContentData|number} The constructed content data object, or array length if pushed to an array.
+   */
+  buildContents(contents, item = {}, role = null, rmFinishReason = false) {
+    // Content Data
+    const tinyThis = this;
+    /** @type {{ finishReason: string|number|undefined, parts: any[], role: string|undefined }} */
+    const contentData = { parts: [], finishReason: undefined, role: undefined };
+
+    // Role
+    if (typeof role === 'string') contentData.role = role;
+
+    /** @param {Record<string, any>} content */
+    const insertPart = (content) => {
+      /** @type {Record<string, any>} */
+      const tinyResult = {};
+      for (const valName in content) {
+        const partType = tinyThis.#_partTypes.get(valName);
+        // Unknown part values are kept verbatim
+        tinyResult[valName] = partType ? partType.parse(content[valName]) : content[valName];
+      }
+      contentData.parts.push(tinyResult);
+    };
+
+    if (Array.isArray(item.parts)) {
+      for (const index in item.parts) insertPart(item.parts[index]);
+    } else if (item.content) insertPart(item.content);
+
+    if (!rmFinishReason)
+      if (typeof item.finishReason === 'string' || typeof item.finishReason === 'number')
+        contentData.finishReason = item.finishReason;
+
+    // Complete
+    if (Array.isArray(contents)) return contents.push(contentData);
+    return contentData;
+  }
+
+  /**
+   * Set the API key for the AI session.
+   *
+   * @param {string} apiKey - The API key to be set.
+   * @returns {void} This function does not return a value.
+   */
+  setApiKey(apiKey) {
+    this.#_apiKey = typeof apiKey === 'string' ? apiKey : null;
+  }
+
+  /**
+   * Set the token for the next page of models in the AI session.
+   *
+   * @param {string} nextModelsPageToken - The token for the next models page.
+   * @returns {void} This function does not return a value.
+   */
+  _setNextModelsPageToken(nextModelsPageToken) {
+    this._nextModelsPageToken =
+      typeof nextModelsPageToken === 'string' ? nextModelsPageToken : null;
+  }
+
+  /**
+   * Set the function to retrieve models for the AI session.
+   *
+   * @param {Function|null} getModels - The function to retrieve models.
+   * @returns {void} This function does not return a value.
+   */
+  _setGetModels(getModels) {
+    this.#_getModels = typeof getModels === 'function' ? getModels : null;
+  }
+
+  /**
+   * Get a list of models for the AI session.
+   *
+   * @param {number} [pageSize=50] - The number of models to retrieve per page. Defaults to 50.
+   * @param {string|null} [pageToken=null] - The token for the next page of models, if available. Defaults to null.
+   * @returns {Array<*>} The list of models retrieved.
+   * @throws {Error} If no model list API function is defined.
+   */
+  getModels(pageSize = 50, pageToken = null) {
+    if (typeof this.#_getModels === 'function') {
+      const getModels = this.#_getModels;
+      return this.#schedule(
+        'getModels',
+        null,
+        0,
+        () => getModels(this.#_apiKey, pageSize, pageToken || this._nextModelsPageToken),
+        undefined,
+        this.getId(),
+      );
+    }
+    throw new Error('No model list api script defined.');
+  }
+
+  /**
+   * Sets the scheduler that queues the requests of the instance, with rate limits and priority lanes.
+   * Every `genContent`, `countTokens` and `getModels` request goes through it.
+   *
+   * The session and its settings are read when a request is made, so selecting another session
+   * or changing the settings while the request is queued does not change it.
+   *
+   * @param {TinyAiScheduler|null} scheduler - The scheduler, or null to send the requests immediately.
+   * @returns {void}
+   * @throws {Error} If the scheduler is invalid.
+   */
+  setScheduler(scheduler) {
+    if (scheduler !== null && !(scheduler instanceof TinyAiScheduler))
+      throw new Error('Invalid scheduler!');
+    this.#_scheduler = scheduler;
+  }
+
+  /**
+   * Gets the scheduler of the instance.
+   *
+   * @returns {TinyAiScheduler|null}
+   */
+  getScheduler() {
+    return this.#_scheduler;
+  }
+
+  /**
+   * Set the priority lane used by the requests of a session in the scheduler, like `interactive` or `batch`.
+   *
+   * @param {string|null} value - The lane name, or null to use the first lane of the scheduler.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void}
+   */
+  setRequestPriority(value, id) {
+    if (typeof value === 'string' || value === null) {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { requestPriority: value });
+      this.#emit('setRequestPriority', value, selectedId);
+      return;
+    }
+    throw new Error('Invalid request priority!');
+  }
+
+  /**
+   * Get the priority lane used by the requests of a session in the scheduler.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {string | null} The lane name, or null if not set.
+   */
+  getRequestPriority(id) {
+    const history = this.getData(id);
+    return history && typeof history.requestPriority === 'string' ? history.requestPriority : null;
+  }
+
+  /**
+   * Sends a request through the scheduler, or immediately when there is no scheduler.
+   *
+   * @param {string} type - The method that made the request.
+   * @param {string|null} model - The model of the request.
+   * @param {number} tokens - The estimated tokens of the request.
+   * @param {() => any} task - The function that makes the request.
+   * @param {AbortController} [controller] - The controller of the request. Aborting it removes the request from the queue.
+   * @param {string|null} [sessionId=null] - The session that made the request, used for its priority lane.
+   * @returns {any} The result of the task.
+   */
+  #schedule(type, model, tokens, task, controller, sessionId = null) {
+    if (!this.#_scheduler) return task();
+    return this.#_scheduler.schedule(task, {
+      type,
+      model,
+      tokens,
+      priority: (sessionId && this.getRequestPriority(sessionId)) || undefined,
+      signal: controller ? controller.signal : undefined,
+    });
+  }
+
+  /**
+   * Get the list of models for the AI session.
+   *
+   * @returns {(AiModel|AiCategory)[]} The list of models.
+   */
+  getModelsList() {
+    return Array.isArray(this.models) ? this.models : [];
+  }
+
+  /**
+   * Get model data from the list of models.
+   *
+   * @param {string} id - The model data id to search for in the models list.
+   * @returns {AiModel|null} The model data if found, otherwise null.
+   */
+  getModelData(id) {
+    // @ts-ignore
+    const model = this.models.find((item) => item.id === id);
+    // @ts-ignore
+    if (model) return model;
+    else {
+      for (const index in this.models) {
+        // @ts-ignore
+        if (this.models[index].category) {
+          // @ts-ignore
+          const modelCategory = this.models[index].data.find((item) => item.id === id);
+          if (modelCategory) return modelCategory;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if a model exists in the model list.
+   *
+   * @param {string} id - The model id to check for in the models list.
+   * @returns {boolean} True if the model exists, false otherwise.
+   */
+  existsModel(id) {
+    return this.getModelData(id) ? true : false;
+  }
+
+  /**
+   * Insert a new model into the AI session's models list.
    * If the model already exists, it will not be inserted again.
    *
-   * @param {Object} model - The model to insert.
-   * @param {*} model._response - The raw response.
-   * @param {number} model.index - The index position.
-   * @param {string} model.id - The unique identifier for the model.
-   * @param {string} [model.name] - The name of the model.
-   * @param {string} [model.displayName] - The display name of the model.
-   * @param {string} [model.version] - The version of the model.
-   * @param {string} [model.description] - A description of the model.
-   * @param {number} [model.inputTokenLimit] - The input token limit for the model.
-   * @param {number} [model.outputTokenLimit] - The output token limit for the model.
-   * @param {number} [model.temperature] - The temperature setting for the model.
-   * @param {number} [model.maxTemperature] - The maximum temperature setting for the model.
-   * @param {number} [model.topP] - The top P setting for the model.
-   * @param {number} [model.topK] - The top K setting for the model.
-   * @param {Array<string>} [model.supportedGenerationMethods] - The generation methods supported by the model.
-   * @param {Object} [model.category] - The category of the model.
-   * @param {string} model.category.id - The unique identifier for the category.
-   * @param {string} model.category.displayName - The display name of the category.
-   * @param {number} model.category.index - The index of the category.
-   * @returns {Record<string, any>|null} The inserted model data, or null if the model already exists.
+   * @param {Object} model - The model to insert.
+   * @param {*} model._response - The raw response.
+   * @param {number} model.index - The index position.
+   * @param {string} model.id - The unique identifier for the model.
+   * @param {string} [model.name] - The name of the model.
+   * @param {string} [model.displayName] - The display name of the model.
+   * @param {string} [model.version] - The version of the model.
+   * @param {string} [model.description] - A description of the model.
+   * @param {number} [model.inputTokenLimit] - The input token limit for the model.
+   * @param {number} [model.outputTokenLimit] - The output token limit for the model.
+   * @param {number} [model.temperature] - The temperature setting for the model.
+   * @param {number} [model.maxTemperature] - The maximum temperature setting for the model.
+   * @param {number} [model.topP] - The top P setting for the model.
+   * @param {number} [model.topK] - The top K setting for the model.
+   * @param {Array<string>} [model.supportedGenerationMethods] - The generation methods supported by the model.
+   * @param {Object} [model.category] - The category of the model.
+   * @param {string} model.category.id - The unique identifier for the category.
+   * @param {string} model.category.displayName - The display name of the category.
+   * @param {number} model.category.index - The index of the category.
+   * @returns {Record<string, any>|null} The inserted model data, or null if the model already exists.
+   */
+  _insertNewModel(model) {
+    if (!isJsonObject(model)) throw new Error('Model data must be a valid object.');
+    // @ts-ignore
+    if (this.models.findIndex((item) => item.id === model.id) < 0) {
+      /** @type {AiModel} */
+      const newData = {
+        _response: model._response,
+        index: typeof model.index === 'number' ? model.index : 9999999,
+        name: typeof model.name === 'string' ? model.name : null,
+        id: typeof model.id === 'string' ? model.id : null,
+        displayName: typeof model.displayName === 'string' ? model.displayName : null,
+        version: typeof model.version === 'string' ? model.version : null,
+        description: typeof model.description === 'string' ? model.description : null,
+        inputTokenLimit: typeof model.inputTokenLimit === 'number' ? model.inputTokenLimit : null,
+        outputTokenLimit:
+          typeof model.outputTokenLimit === 'number' ? model.outputTokenLimit : null,
+        temperature: typeof model.temperature === 'number' ? model.temperature : null,
+        maxTemperature: typeof model.maxTemperature === 'number' ? model.maxTemperature : null,
+        topP: typeof model.topP === 'number' ? model.topP : null,
+        topK: typeof model.topK === 'number' ? model.topK : null,
+      };
+
+      // Supported generation methods
+      if (Array.isArray(model.supportedGenerationMethods)) {
+        newData.supportedGenerationMethods = [];
+        for (const index in model.supportedGenerationMethods) {
+          if (typeof model.supportedGenerationMethods[index] === 'string')
+            newData.supportedGenerationMethods.push(model.supportedGenerationMethods[index]);
+        }
+      }
+
+      // Is category
+      if (
+        model.category &&
+        typeof model.category.id === 'string' &&
+        typeof model.category.displayName === 'string' &&
+        typeof model.category.index === 'number'
+      ) {
+        // Check category
+        /** @type {AiCategory|null} */
+        // @ts-ignore
+        let category = this.models.find((item) => item.category === model.category.id);
+        // Insert new category
+        if (!category) {
+          category = {
+            category: model.category.id,
+            displayName: model.category.displayName,
+            index: model.category.index,
+            data: [],
+          };
+          this.models.push(category);
+        }
+
+        // Compare function that sorts objects by their `index` property.
+        category.data.push(newData);
+        category.data.sort(
+          /** @param {{ index: number, [key: string]: any }} a @param {{ index: number, [key: string]: any }} b */
+          (a, b) => a.index - b.index,
+        );
+      }
+
+      // Normal mode
+      else this.models.push(newData);
+
+      // Sort data
+      this.models.sort((a, b) => a.index - b.index);
+      return newData;
+    }
+    return null;
+  }
+
+  /**
+   * Sets a function to handle the count of tokens in the AI session.
+   * If a valid function is provided, it will be used to count tokens.
+   * The function receives `(apiKey, model, controller, data, config)`, where `config` is the
+   * `AiRequestConfig` snapshot of the session that made the request.
+   *
+   * @param {Function|null} countTokens - The function that will handle the token count.
+   * @throws {Error} Throws an error if the provided value is not a function.
+   * @returns {void}
+   */
+  _setCountTokens(countTokens) {
+    this.#_countTokens = typeof countTokens === 'function' ? countTokens : null;
+  }
+
+  /**
+   * Sets the estimator used to count tokens offline.
+   *
+   * @param {TinyAiTokenEstimator|null} estimator - The estimator. If null, the default estimator (4 characters per token) is used.
+   * @returns {void}
+   * @throws {Error} If the estimator is invalid.
+   */
+  setTokenEstimator(estimator) {
+    if (estimator !== null && !(estimator instanceof TinyAiTokenEstimator))
+      throw new Error('Invalid token estimator!');
+    this.#_tokenEstimator = estimator || new TinyAiTokenEstimator();
+  }
+
+  /**
+   * Gets the estimator used to count tokens offline.
+   *
+   * @returns {TinyAiTokenEstimator}
+   */
+  getTokenEstimator() {
+    return this.#_tokenEstimator;
+  }
+
+  /**
+   * Estimates the tokens of contents offline, with the token estimator and the registered part types.
+   * Only the contents are counted, so the system instruction is counted only when it is a `system`
+   * item of the contents, like in the requests of the providers.
+   *
+   * @param {AIContentData[]|AIContentData} data - The contents.
+   * @returns {{ totalTokens: number, cachedContentTokenCount: null, estimated: true }} The estimate, in the format of the `countTokens` result.
+   */
+  estimateTokens(data) {
+    const contents = Array.isArray(data) ? data : isJsonObject(data) ? [data] : [];
+    let totalTokens = 0;
+    for (const index in contents)
+      if (isJsonObject(contents[index]))
+        totalTokens += this.#estimateContentTokens(contents[index]);
+    return { totalTokens, cachedContentTokenCount: null, estimated: true };
+  }
+
+  /**
+   * Counts the tokens based on the provided data and model, using a defined token counting function.
+   *
+   * The tokens are estimated offline with `estimateTokens()` when `offline` is `true`, when no
+   * token counting function is defined, or when the data has no contents to send. Estimated
+   * results have `estimated: true`.
+   *
+   * @param {AIContentData[]|AIContentData} data - The contents that need to be tokenized.
+   * @param {string} [model] - The model to use for counting tokens. If not provided, the default model is used.
+   * @param {AbortController} [controller] - The controller that manages the process or settings for counting tokens.
+   * @param {Object} [options={}] - Counting options.
+   * @param {boolean} [options.offline=false] - Estimates the tokens without calling the API, like a free pre-check before paid requests.
+   * @returns {Promise<Record<string, any>>} The count of tokens.
+   */
+  countTokens(data, model, controller, { offline = false } = {}) {
+    const hasContents = Array.isArray(data)
+      ? data.some((item) => item && item.role !== 'system')
+      : isJsonObject(data);
+    if (!offline && hasContents && typeof this.#_countTokens === 'function') {
+      const selectedId = this.getId();
+      const usedModel = model || this.getModel();
+      const config = this.getRequestConfig();
+      const apiKey = this.#_apiKey;
+      const countTokens = this.#_countTokens;
+      let startTime = Date.now();
+      const result = this.#schedule(
+        'countTokens',
+        usedModel,
+        0,
+        () => {
+          startTime = Date.now();
+          return countTokens(apiKey, usedModel, controller, data, config);
+        },
+        controller,
+        selectedId,
+      );
+      if (selectedId && result && typeof result.then === 'function')
+        return result.then(
+          (/** @type {Record<string, any>} */ finalData) => {
+            this.#recordUsage('countTokens', selectedId, usedModel, startTime, finalData);
+            return finalData;
+          },
+          (/** @type {any} */ err) => {
+            this.#recordUsage('countTokens', selectedId, usedModel, startTime, null, err);
+            throw err;
+          },
+        );
+      return result;
+    }
+    return Promise.resolve(this.estimateTokens(data));
+  }
+
+  /**
+   * Adds a request to the usage ledger of a session.
+   *
+   * @param {'genContent'|'countTokens'} type - The method that made the request.
+   * @param {string} selectedId - The session ID.
+   * @param {string|null} model - The model of the request.
+   * @param {number} startTime - The time when the request started.
+   * @param {Record<string, any>|null} result - The result, or null if the request was rejected.
+   * @param {any} [err] - The rejection reason.
+   * @returns {void}
+   */
+  #recordUsage(type, selectedId, model, startTime, result, err) {
+    const history = this.getData(selectedId);
+    if (!history) return;
+
+    /** @type {Record<string, any>} */
+    const tokenUsage = result && isJsonObject(result.tokenUsage) ? result.tokenUsage : {};
+    /** @type {Record<string, any>} */
+    const count = isJsonObject(tokenUsage.count) ? tokenUsage.count : {};
+    /** @param {any} value */
+    const getCount = (value) => (typeof value === 'number' ? value : 0);
+
+    /** @type {AiUsageTokens} */
+    const tokens = {
+      prompt: getCount(type === 'countTokens' && result ? result.totalTokens : count.prompt),
+      candidates: getCount(count.candidates),
+      cached: getCount(
+        typeof count.cached === 'number' ? count.cached : result && result.cachedContentTokenCount,
+      ),
+      cacheWrite: getCount(count.cacheWrite),
+      thoughts: getCount(count.thoughts),
+      total: 0,
+    };
+    tokens.total =
+      typeof count.total === 'number'
+        ? count.total
+        : tokens.prompt + tokens.candidates + tokens.thoughts;
+
+    /** @type {AiUsageEntry} */
+    const entry = {
+      time: startTime,
+      type,
+      model: typeof model === 'string' ? model : null,
+      apiKey: this.#_apiKey ? objHash(this.#_apiKey).substring(0, 12) : null,
+      tokens,
+      modalities: isJsonObject(tokenUsage.modalities)
+        ? /** @type {Record<string, Record<string, number>>} */ (tokenUsage.modalities)
+        : {},
+      latency: Date.now() - startTime,
+      outcome: !result ? 'exception' : result.error ? 'error' : 'success',
+      error: !result
+        ? err instanceof Error
+          ? err.message
+          : String(err)
+        : result.error && typeof result.error.message === 'string'
+          ? result.error.message
+          : null,
+    };
+
+    if (!Array.isArray(history.usage)) history.usage = [];
+    history.usage.push(entry);
+    this.#emit('usage', entry, selectedId);
+  }
+
+  /**
+   * Sets the price table used by `getUsage()` to calculate costs.
+   *
+   * The keys are model IDs. A key ending with `*` matches every model starting with it, like
+   * `gemini-2.5-flash*`. Prices are per 1 million tokens.
+   *
+   * @param {Record<string, AiModelPrice>} prices - The price table.
+   * @returns {void}
+   * @throws {Error} If the price table is invalid.
+   */
+  setPrices(prices) {
+    if (!isJsonObject(prices)) throw new Error('Invalid price table!');
+    for (const model in prices) {
+      /** @type {Record<string, any>} */
+      const price = prices[model];
+      if (!isJsonObject(price)) throw new Error('Invalid price table!');
+      for (const where in price)
+        if (where !== 'modalities' && typeof price[where] !== 'number')
+          throw new Error('Invalid price table!');
+      if (typeof price.modalities !== 'undefined' && !isJsonObject(price.modalities))
+        throw new Error('Invalid price table!');
+    }
+    this.#_prices = prices;
+    this.#emit('setPrices', prices);
+  }
+
+  /**
+   * Gets the price table.
+   *
+   * @returns {Record<string, AiModelPrice>}
+   */
+  getPrices() {
+    return this.#_prices;
+  }
+
+  /**
+   * Gets the price of a model from the price table.
+   *
+   * @param {string|null} model - The model ID.
+   * @returns {AiModelPrice|null}
+   */
+  #getModelPrice(model) {
+    if (typeof model !== 'string') return null;
+    if (this.#_prices[model]) return this.#_prices[model];
+    let prefix = '';
+    for (const key in this.#_prices)
+      if (key.endsWith('*') && model.startsWith(key.slice(0, -1)) && key.length > prefix.length)
+        prefix = key;
+    return prefix ? this.#_prices[prefix] : null;
+  }
+
+  /**
+   * Calculates the cost of a usage entry with the price table.
+   *
+   * @param {AiUsageEntry} entry - The usage entry.
+   * @returns {number|null} The cost, or null if the model has no price.
+   */
+  getUsageCost(entry) {
+    const price = this.#getModelPrice(entry.model);
+    if (!price) return null;
+    if (entry.type !== 'genContent') return 0;
+
+    /**
+     * @param {'prompt'|'cached'|'cacheWrite'|'candidates'|'thoughts'} where
+     * @param {string|null} modality
+     * @returns {number}
+     */
+    const getRate = (where, modality) => {
+      /** @type {Record<string, number|undefined>|null} */
+      const modalityPrice = modality && price.modalities ? price.modalities[modality] : null;
+      const modalityRate = modalityPrice ? modalityPrice[where] : undefined;
+      if (typeof modalityRate === 'number') return modalityRate;
+      if ((where === 'cached' || where === 'cacheWrite') && typeof price[where] !== 'number')
+        return getRate('prompt', modality);
+      if (where === 'thoughts' && typeof price.thoughts !== 'number')
+        return getRate('candidates', null);
+      return typeof price[where] === 'number' ? price[where] : 0;
+    };
+
+    // Entries recorded before `cacheWrite` existed do not have it
+    const cacheWrite = typeof entry.tokens.cacheWrite === 'number' ? entry.tokens.cacheWrite : 0;
+    let cost = entry.tokens.thoughts * getRate('thoughts', null);
+    /** @type {Array<'prompt'|'cached'|'cacheWrite'|'candidates'>} */
+    const list = ['prompt', 'cached', 'cacheWrite', 'candidates'];
+    for (const index in list) {
+      const where = list[index];
+      // The prompt counts include the cached and the written tokens
+      const total =
+        where === 'prompt'
+          ? entry.tokens.prompt - entry.tokens.cached - cacheWrite
+          : where === 'cacheWrite'
+            ? cacheWrite
+            : entry.tokens[where];
+      /** @type {Record<string, number>} */
+      const modalities = { ...(entry.modalities[where] || {}) };
+      if (where === 'prompt' && entry.modalities.cached)
+        for (const modality in entry.modalities.cached)
+          if (typeof modalities[modality] === 'number')
+            modalities[modality] -= entry.modalities.cached[modality];
+
+      let covered = 0;
+      for (const modality in modalities) {
+        covered += modalities[modality];
+        cost += modalities[modality] * getRate(where, modality);
+      }
+      cost += Math.max(total - covered, 0) * getRate(where, null);
+    }
+    return cost / 1000000;
+  }
+
+  /**
+   * Gets the usage of the sessions, with the aggregated tokens and costs.
+   *
+   * @param {Object} [filter={}] - Usage filters.
+   * @param {string} [filter.id] - The session ID. If omitted, every session is used.
+   * @param {string} [filter.model] - The model ID.
+   * @param {string} [filter.apiKey] - The API key.
+   * @param {number|Date} [filter.since] - The minimum time of the requests.
+   * @param {number|Date} [filter.until] - The maximum time of the requests.
+   * @returns {AiUsageSummary}
+   */
+  getUsage({ id, model, apiKey, since, until } = {}) {
+    const sinceTime = since instanceof Date ? since.getTime() : since;
+    const untilTime = until instanceof Date ? until.getTime() : until;
+    const keyHash = typeof apiKey === 'string' ? objHash(apiKey).substring(0, 12) : null;
+
+    /** @type {AiUsageSummary} */
+    const summary = {
+      entries: [],
+      requests: 0,
+      errors: 0,
+      tokens: { prompt: 0, candidates: 0, cached: 0, cacheWrite: 0, thoughts: 0, total: 0 },
+      counted: 0,
+      cost: 0,
+      unpriced: 0,
+      latency: 0,
+    };
+
+    /** @type {Array<keyof AiUsageTokens>} */
+    const tokenKeys = ['prompt', 'candidates', 'cached', 'cacheWrite', 'thoughts', 'total'];
+    const ids = typeof id === 'string' ? [id] : Object.keys(this.history);
+    for (const index in ids) {
+      const history = this.history[ids[index]];
+      if (!history || !Array.isArray(history.usage)) continue;
+      for (const index2 in history.usage) {
+        const entry = history.usage[index2];
+        if (typeof model === 'string' && entry.model !== model) continue;
+        if (keyHash && entry.apiKey !== keyHash) continue;
+        if (typeof sinceTime === 'number' && entry.time < sinceTime) continue;
+        if (typeof untilTime === 'number' && entry.time > untilTime) continue;
+
+        const cost = this.getUsageCost(entry);
+        summary.entries.push({ ...entry, id: ids[index], cost });
+        summary.requests++;
+        if (entry.outcome !== 'success') summary.errors++;
+        if (entry.type === 'countTokens') summary.counted += entry.tokens.prompt || 0;
+        else
+          for (const index3 in tokenKeys)
+            summary.tokens[tokenKeys[index3]] += entry.tokens[tokenKeys[index3]] || 0;
+        if (cost === null) summary.unpriced++;
+        else summary.cost += cost;
+        summary.latency += entry.latency;
+      }
+    }
+
+    summary.entries.sort((a, b) => a.time - b.time);
+    if (summary.requests > 0) summary.latency /= summary.requests;
+    return summary;
+  }
+
+  /**
+   * Gets a copy of the usage ledger of a session, used to export it.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {AiUsageEntry[]}
+   */
+  exportUsage(id) {
+    const history = this.getData(id);
+    return history && Array.isArray(history.usage)
+      ? history.usage.map((entry) => JSON.parse(JSON.stringify(entry)))
+      : [];
+  }
+
+  /**
+   * Restores exported usage entries into the usage ledger of a session.
+   *
+   * @param {AiUsageEntry[]} entries - The exported entries.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void}
+   * @throws {Error} If the session or an entry is invalid.
+   */
+  restoreUsage(entries, id) {
+    const selectedId = this.getId(id);
+    const history = this.getData(id);
+    if (!selectedId || !history) throw new Error('Invalid history id data!');
+    if (
+      !Array.isArray(entries) ||
+      !entries.every(
+        (entry) =>
+          isJsonObject(entry) &&
+          typeof entry.time === 'number' &&
+          isJsonObject(entry.tokens) &&
+          typeof entry.latency === 'number',
+      )
+    )
+      throw new Error('Invalid usage entries!');
+
+    /** @type {AiUsageEntry[]} */
+    const usage = [
+      ...(Array.isArray(history.usage) ? history.usage : []),
+      ...entries.map((entry) => JSON.parse(JSON.stringify(entry))),
+    ];
+    usage.sort((a, b) => a.time - b.time);
+    this.#_insertIntoHistory(selectedId, { usage });
+    this.#emit('restoreUsage', entries, selectedId);
+  }
+
+  /**
+   * Clears the usage ledger of a session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void}
+   */
+  clearUsage(id) {
+    const selectedId = this.getId(id);
+    if (!this.getData(id)) throw new Error('Invalid history id data!');
+    this.#_insertIntoHistory(selectedId, { usage: [] });
+    this.#emit('clearUsage', selectedId);
+  }
+
+  /**
+   * Generates the embedding vectors of texts with the `embed()` method of the provider.
+   * The provider splits the texts into batches within the limits of its API.
+   *
+   * @param {string|string[]} texts - The text, or the texts, to embed.
+   * @param {Object} [options={}] - Embedding options.
+   * @param {string} [options.model] - The embedding model. If omitted, the default embedding model of the provider is used.
+   * @param {string} [options.taskType] - The task type of the embeddings, like `RETRIEVAL_QUERY` or `RETRIEVAL_DOCUMENT`.
+   * @param {number} [options.outputDimensionality] - The number of dimensions of the vectors.
+   * @param {AbortController} [options.controller] - The controller used to cancel the requests.
+   * @returns {Promise<Record<string, any>>} The result with `embeddings` (one `Float32Array` per text), `tokenUsage` and `_response`, or an `error` object.
+   * @throws {Error} If a value is invalid or the provider does not support embeddings.
+   */
+  async embed(texts, { model, taskType, outputDimensionality, controller } = {}) {
+    const list = typeof texts === 'string' ? [texts] : texts;
+    if (
+      !Array.isArray(list) ||
+      list.length < 1 ||
+      !list.every((/** @type {any} */ text) => typeof text === 'string')
+    )
+      throw new Error('Invalid embed texts!');
+    if (typeof taskType !== 'undefined' && typeof taskType !== 'string')
+      throw new Error('Invalid embed task type!');
+    if (
+      typeof outputDimensionality !== 'undefined' &&
+      (!Number.isInteger(outputDimensionality) || outputDimensionality < 1)
+    )
+      throw new Error('Invalid embed output dimensionality!');
+    if (!this.#_provider || !this.#_provider.capabilities.embed)
+      throw new Error('No embed api script defined.');
+
+    const result = await this.#_provider.embed({
+      instance: this,
+      apiKey: this.#_apiKey,
+      model: model || null,
+      texts: list,
+      options: { taskType, outputDimensionality },
+      controller,
+    });
+    if (!result.error && Array.isArray(result.embeddings))
+      result.embeddings = result.embeddings.map((/** @type {ArrayLike<number>} */ vector) =>
+        vector instanceof Float32Array ? vector : Float32Array.from(vector),
+      );
+    return result;
+  }
+
+  /**
+   * @typedef {{ text: string, hide?: boolean }} ErrorCode
+   */
+
+  /**
+   * Sets the error codes for the current session.
+   *
+   * @param {Record<string|number, string|ErrorCode>} errors - The error codes to set, typically an object containing error code definitions.
+   * @returns {void}
+   */
+  _setErrorCodes(errors) {
+    this._errorCode = errors;
+  }
+
+  /**
+   * Get error details based on the provided error code.
+   *
+   * @param {string|number} code - The error code to look up.
+   * @returns {ErrorCode|null} An object containing the error message, or null if no error is found.
+   */
+  getErrorCode(code) {
+    if (this._errorCode) {
+      const errData = this._errorCode[code];
+      if (errData) {
+        if (typeof errData === 'string') return { text: errData };
+        else if (isJsonObject(errData) && typeof errData.text === 'string') return errData;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Sets the content generation callback function for the AI session.
+   *
+   * The callback receives `(apiKey, isStream, data, model, streamCallback, controller, config)`,
+   * where `config` is the `AiRequestConfig` snapshot of the session that made the request.
+   *
+   * @param {Function|null} callback - The callback function that handles content generation.
+   * @returns {void}
+   */
+  _setGenContent(callback) {
+    this.#_genContentApi = typeof callback === 'function' ? callback : null;
+  }
+
+  /**
+   * Generates content for the AI session.
+   *
+   * @param {Record<string, any>} data - The data for content generation.
+   * @param {string} [model] - The model to be used for content generation. If not provided, the default model is used.
+   * @param {AbortController} [controller] - The controller managing the content generation process.
+   * @param {Function} [streamCallback] - The callback function for streaming content (optional).
+   * @returns {Record<string, any>} The generated content returned by the API.
+   * @throws {Error} If no content generator API script is defined.
+   */
+  genContent(data, model, controller, streamCallback) {
+    return this.#genContent(data, model, controller, streamCallback);
+  }
+
+  /**
+   * Generates content for the AI session, see `genContent()`.
+   *
+   * @param {Record<string, any>} data - The data for content generation.
+   * @param {string} [model] - The model to be used for content generation.
+   * @param {AbortController} [controller] - The controller managing the content generation process.
+   * @param {Function} [streamCallback] - The callback function for streaming content.
+   * @param {Partial<AiRequestConfig>} [overrides={}] - Request settings that replace the session settings, only for this request.
+   * @returns {Record<string, any>} The generated content returned by the API.
+   * @throws {Error} If no content generator API script is defined.
+   */
+  #genContent(data, model, controller, streamCallback, overrides = {}) {
+    if (typeof this.#_genContentApi === 'function') {
+      const config = { ...this.getRequestConfig(), ...overrides };
+      const selectedId = config.sessionId;
+      const usedModel = model || this.getModel(selectedId || undefined);
+      const apiKey = this.#_apiKey;
+      const genContentApi = this.#_genContentApi;
+      let startTime = Date.now();
+      const result = this.#schedule(
+        'genContent',
+        usedModel,
+        this.#_scheduler ? this.estimateTokens(/** @type {any} */ (data)).totalTokens : 0,
+        () => {
+          startTime = Date.now();
+          return genContentApi(
+            apiKey,
+            typeof streamCallback === 'function' ? true : false,
+            data,
+            usedModel,
+            streamCallback,
+            controller,
+            config,
+          );
+        },
+        controller,
+        selectedId,
+      );
+
+      // Usage ledger and automatic token counts
+      if (selectedId && result && typeof result.then === 'function')
+        return result.then(
+          (/** @type {Record<string, any>} */ finalData) => {
+            this.#recordUsage('genContent', selectedId, usedModel, startTime, finalData);
+            if (this.isAutoTokens(selectedId)) this.#applyTokenUsage(data, finalData, selectedId);
+            return finalData;
+          },
+          (/** @type {any} */ err) => {
+            this.#recordUsage('genContent', selectedId, usedModel, startTime, null, err);
+            throw err;
+          },
+        );
+      return result;
+    }
+    throw new Error('No content generator api script defined.');
+  }
+
+  /**
+   * Writes the token usage of a result into the token counts of the session.
+   *
+   * Only requests whose last content is the last message of the session are used. The count of
+   * that message, when it is a user message without a real count, is the prompt count minus the
+   * tokens of the other contents, including the `system` items of the request. The candidates
+   * count is kept until the model reply is added with `addData()`.
+   *
+   * @param {Record<string, any>} data - The contents of the request.
+   * @param {Record<string, any>} result - The result of the request.
+   * @param {string} selectedId - The session ID.
+   * @returns {void}
+   */
+  #applyTokenUsage(data, result, selectedId) {
+    const history = this.getData(selectedId);
+    if (!history || !result || result.error || !isJsonObject(result.tokenUsage)) return;
+    const count = result.tokenUsage.count;
+    if (!isJsonObject(count)) return;
+
+    /** @type {AIContentData[]} */
+    const contents = Array.isArray(data)
+      ? data.filter((item) => isJsonObject(item) && item.role !== 'system')
+      : [];
+    const lastIndex = history.data.length - 1;
+    if (
+      contents.length < 1 ||
+      lastIndex < 0 ||
+      this.#hashContent(contents[contents.length - 1]) !== history.hash.data[lastIndex]
+    )
+      return;
+
+    // Newest user turn
+    const tokenData = history.tokens.data[lastIndex];
+    if (
+      typeof count.prompt === 'number' &&
+      history.data[lastIndex].role === 'user' &&
+      (!tokenData || typeof tokenData.count !== 'number' || tokenData.estimated)
+    ) {
+      // System items of the request
+      const systemInstruction = this.getSystemInstruction(selectedId);
+      const systemHash = systemInstruction
+        ? this._hashCacheContent({ role: 'system', parts: [{ text: systemInstruction }] })
+        : null;
+      /** @type {AIContentData[]} */
+      const systemItems = Array.isArray(data)
+        ? data.filter((item) => isJsonObject(item) && item.role === 'system')
+        : [];
+      let otherTokens = 0;
+      for (const index in systemItems)
+        otherTokens +=
+          typeof history.tokens.systemInstruction === 'number' &&
+          this._hashCacheContent(systemItems[index]) === systemHash
+            ? history.tokens.systemInstruction
+            : this.#estimateContentTokens(systemItems[index]);
+      for (let index = 0; index < contents.length - 1; index++) {
+        const msgIndex = history.hash.data.indexOf(this.#hashContent(contents[index]));
+        const msgTokens = msgIndex > -1 ? history.tokens.data[msgIndex] : null;
+        otherTokens +=
+          msgTokens && typeof msgTokens.count === 'number'
+            ? msgTokens.count
+            : this.#estimateContentTokens(contents[index]);
+      }
+
+      /** @type {TokenCount} */
+      const newTokens = {
+        ...(isJsonObject(tokenData) ? tokenData : {}),
+        count: Math.max(count.prompt - otherTokens, 0),
+      };
+      delete newTokens.estimated;
+      this.replaceIndex(lastIndex, undefined, newTokens, selectedId);
+    }
+
+    // Model reply
+    if (typeof count.candidates === 'number')
+      this.#_pendingTokens.set(selectedId, count.candidates);
+  }
+
+  /**
+   * Generates content as an async iterable of streaming events.
+   *
+   * Instead of the accumulated contents sent to the `genContent` callback, each event only
+   * carries what changed since the previous chunk: `delta` with the new text of a part, `part`
+   * for every non-text part, `usage` when the token usage changes, and `finish` when a content
+   * receives its finish reason. The final aggregated result is available in `result`.
+   *
+   * Breaking out of a `for await` loop aborts the request.
+   *
+   * @param {Record<string, any>} data - The data for content generation.
+   * @param {Object} [options={}] - Streaming options.
+   * @param {string} [options.model] - The model to be used. If not provided, the default model is used.
+   * @param {AbortController} [options.controller] - The controller managing the request. A new one is created if omitted.
+   * @returns {AiContentStream} The event stream, with the `result` promise and the `controller` used by the request.
+   * @throws {Error} If no content generator API script is defined.
    */
-  _insertNewModel(model) {
-    if (!isJsonObject(model)) throw new Error('Model data must be a valid object.');
-    // @ts-ignore
-    if (this.models.findIndex((item) => item.id === model.id) < 0) {
-      /** @type {AiModel} */
-      const newData = {
-        _response: model._response,
-        index: typeof model.index === 'number' ? model.index : 9999999,
-        name: typeof model.name === 'string' ? model.name : null,
-        id: typeof model.id === 'string' ? model.id : null,
-        displayName: typeof model.displayName === 'string' ? model.displayName : null,
-        version: typeof model.version === 'string' ? model.version : null,
-        description: typeof model.description === 'string' ? model.description : null,
-        inputTokenLimit: typeof model.inputTokenLimit === 'number' ? model.inputTokenLimit : null,
-        outputTokenLimit:
-          typeof model.outputTokenLimit === 'number' ? model.outputTokenLimit : null,
-        temperature: typeof model.temperature === 'number' ? model.temperature : null,
-        maxTemperature: typeof model.maxTemperature === 'number' ? model.maxTemperature : null,
-        topP: typeof model.topP === 'number' ? model.topP : null,
-        topK: typeof model.topK === 'number' ? model.topK : null,
+  genContentStream(data, { model, controller = new AbortController() } = {}) {
+    /** @type {AiStreamEvent[]} */
+    const queue = [];
+    /** @type {(() => void)|null} */
+    let wakeUp = null;
+    let finished = false;
+    /** @type {any} */
+    let streamError = null;
+
+    /** @type {Record<string, any>[][]} */
+    const lastParts = [];
+    /** @type {Record<string, any>[][]} */
+    const lastThoughts = [];
+    /** @type {Array<string|number|undefined>} */
+    const lastFinish = [];
+    let lastUsage = '';
+
+    /** @param {AiStreamEvent} event */
+    const push = (event) => queue.push(event);
+
+    /** @param {Record<string, any>} chunk */
+    const streamCallback = (chunk) => {
+      if (chunk.done) return;
+      const contents = Array.isArray(chunk.contents) ? chunk.contents : [];
+      /**
+       * @param {number} index
+       * @param {any} parts
+       * @param {Record<string, any>[][]} oldParts
+       * @param {boolean} thought
+       */
+      const pushParts = (index, parts, oldParts, thought) => {
+        if (!oldParts[index]) oldParts[index] = [];
+        if (!Array.isArray(parts)) return;
+        for (let partIndex = 0; partIndex < parts.length; partIndex++) {
+          const part = parts[partIndex];
+          const oldPart = oldParts[index][partIndex];
+          // Text
+          if (typeof part.text === 'string') {
+            const oldText = oldPart && typeof oldPart.text === 'string' ? oldPart.text : '';
+            const text = part.text.startsWith(oldText)
+              ? part.text.substring(oldText.length)
+              : part.text;
+            if (text.length > 0) push({ type: 'delta', index, partIndex, text, thought });
+          }
+          // Other parts
+          else if (!oldPart) push({ type: 'part', index, partIndex, part, thought });
+          oldParts[index][partIndex] = { ...part };
+        }
       };
 
-      // Supported generation methods
-      if (Array.isArray(model.supportedGenerationMethods)) {
-        newData.supportedGenerationMethods = [];
-        for (const index in model.supportedGenerationMethods) {
-          if (typeof model.supportedGenerationMethods[index] === 'string')
-            newData.supportedGenerationMethods.push(model.supportedGenerationMethods[index]);
+      for (let index = 0; index < contents.length; index++) {
+        const content = contents[index];
+        pushParts(index, content.thoughts, lastThoughts, true);
+        pushParts(index, content.parts, lastParts, false);
+
+        // Finish reason
+        if (
+          (typeof content.finishReason === 'string' || typeof content.finishReason === 'number') &&
+          lastFinish[index] !== content.finishReason
+        ) {
+          lastFinish[index] = content.finishReason;
+          push({ type: 'finish', index, finishReason: content.finishReason });
         }
       }
 
-      // Is category
-      if (
-        model.category &&
-        typeof model.category.id === 'string' &&
-        typeof model.category.displayName === 'string' &&
-        typeof model.category.index === 'number'
-      ) {
-        // Check category
-        /** @type {AiCategory|null} */
-        // @ts-ignore
-        let category = this.models.find((item) => item.category === model.category.id);
-        // Insert new category
-        if (!category) {
-          category = {
-            category: model.category.id,
-            displayName: model.category.displayName,
-            index: model.category.index,
-            data: [],
-          };
-          this.models.push(category);
+      // Token usage
+      if (chunk.tokenUsage) {
+        const usage = JSON.stringify(chunk.tokenUsage);
+        if (usage !== lastUsage) {
+          lastUsage = usage;
+          push({ type: 'usage', tokenUsage: chunk.tokenUsage });
         }
+      }
 
-        // Compare function that sorts objects by their `index` property.
-        category.data.push(newData);
-        category.data.sort(
-          /** @param {{ index: number, [key: string]: any }} a @param {{ index: number, [key: string]: any }} b */
-          (a, b) => a.index - b.index,
+      if (wakeUp) wakeUp();
+    };
+
+    const result = Promise.resolve(this.genContent(data, model, controller, streamCallback));
+    result
+      .catch((err) => {
+        streamError = err;
+      })
+      .finally(() => {
+        finished = true;
+        if (wakeUp) wakeUp();
+      });
+
+    // Complete
+    return {
+      result,
+      controller,
+      async *[Symbol.asyncIterator]() {
+        try {
+          while (true) {
+            const event = queue.shift();
+            if (event) {
+              yield event;
+              continue;
+            }
+            if (finished) break;
+            await new Promise((resolve) => {
+              wakeUp = () => {
+                wakeUp = null;
+                resolve(undefined);
+              };
+            });
+          }
+          if (streamError) throw streamError;
+        } finally {
+          if (!finished) controller.abort();
+        }
+      },
+    };
+  }
+
+  /**
+   * Sets the provider used by the AI session.
+   *
+   * The provider methods are registered as the content generator, model list, token counter
+   * and error codes of the instance, based on the provider `capabilities`. Methods that are not
+   * supported by the provider are unregistered, so calling them throws the usual "not defined" errors.
+   *
+   * @param {TinyAiProvider} provider - The provider instance.
+   * @throws {Error} If the value is not a `TinyAiProvider` instance.
+   * @returns {void}
+   */
+  setProvider(provider) {
+    if (!(provider instanceof TinyAiProvider)) throw new Error('Invalid provider!');
+    const capabilities = provider.capabilities;
+    this.#_provider = provider;
+    this._setErrorCodes(provider.errorCodes());
+
+    // Content
+    this._setGenContent(
+      capabilities.generate || capabilities.stream
+        ? /**
+           * @param {string|null} apiKey
+           * @param {boolean} isStream
+           * @param {any} data
+           * @param {string|null} model
+           * @param {import('./TinyAiProvider.mjs').TinyAiStreamCallback} streamCallback
+           * @param {AbortController} [controller]
+           * @param {AiRequestConfig} [config]
+           */
+          (apiKey, isStream, data, model, streamCallback, controller, config) => {
+            const request = this.#buildProviderRequest(apiKey, data, model, controller, config);
+            if (isStream) {
+              if (!capabilities.stream)
+                throw new Error('This provider does not support streaming.');
+              return provider.stream(request, streamCallback);
+            }
+            if (!capabilities.generate)
+              throw new Error('This provider only supports streaming requests.');
+            return provider.generate(request);
+          }
+        : null,
+    );
+
+    // Models
+    this._setGetModels(
+      capabilities.models
+        ? /**
+           * @param {string|null} apiKey
+           * @param {number} pageSize
+           * @param {string|null} pageToken
+           */
+          (apiKey, pageSize, pageToken) =>
+            provider.listModels({ instance: this, apiKey, pageSize, pageToken })
+        : null,
+    );
+
+    // Tokens
+    this._setCountTokens(
+      capabilities.countTokens
+        ? /**
+           * @param {string|null} apiKey
+           * @param {string|null} model
+           * @param {AbortController|undefined} controller
+           * @param {any} data
+           * @param {AiRequestConfig} [config]
+           */
+          (apiKey, model, controller, data, config) =>
+            provider.countTokens(
+              this.#buildProviderRequest(apiKey, data, model, controller, config),
+            )
+        : null,
+    );
+
+    this.#emit('setProvider', provider);
+  }
+
+  /**
+   * Builds the request sent to the provider methods.
+   * Requests made without a config, like the ones of custom `_setGenContent` wrappers, use the selected session.
+   *
+   * @param {string|null} apiKey
+   * @param {any} data
+   * @param {string|null} model
+   * @param {AbortController|undefined} controller
+   * @param {AiRequestConfig} [config]
+   * @returns {import('./TinyAiProvider.mjs').TinyAiProviderRequest}
+   */
+  #buildProviderRequest(apiKey, data, model, controller, config) {
+    const requestConfig = config || this.getRequestConfig();
+    return {
+      instance: this,
+      apiKey,
+      data,
+      model,
+      controller,
+      sessionId: requestConfig.sessionId,
+      config: requestConfig,
+    };
+  }
+
+  /**
+   * Get the provider used by the AI session.
+   *
+   * @returns {TinyAiProvider|null} The last provider set with `setProvider()`, or null if no provider was set.
+   */
+  getProvider() {
+    return this.#_provider;
+  }
+
+  /**
+   * Registers a tool (function) that the model can call.
+   *
+   * The registered tools are sent with every content request. When the model calls a tool,
+   * `genContentWithTools()` executes the handler and sends its result back to the model.
+   *
+   * @param {string} name - The function name. Must start with a letter or underscore, followed by up to 63 letters, numbers, underscores, dots or dashes.
+   * @param {Record<string, any>|null} jsonSchema - The JSON Schema of the function arguments, or null if the function has no arguments.
+   * @param {AiToolHandler} handler - The function executed when the model calls the tool.
+   * @param {string|null} [description=null] - What the function does, read by the model.
+   * @throws {Error} If any of the values is invalid.
+   * @returns {void}
+   */
+  registerTool(name, jsonSchema, handler, description = null) {
+    if (typeof name !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/.test(name))
+      throw new Error('Invalid tool name!');
+    if (jsonSchema !== null && !isJsonObject(jsonSchema)) throw new Error('Invalid tool schema!');
+    if (typeof handler !== 'function') throw new Error('Invalid tool handler!');
+    if (description !== null && typeof description !== 'string')
+      throw new Error('Invalid tool description!');
+
+    /** @type {AiTool} */
+    const tool = { name, description, parameters: jsonSchema, handler };
+    this.#_tools.set(name, tool);
+    this.#emit('registerTool', tool);
+  }
+
+  /**
+   * Removes a registered tool.
+   *
+   * @param {string} name - The function name.
+   * @returns {boolean} `true` if the tool existed and was removed, `false` otherwise.
+   */
+  unregisterTool(name) {
+    const removed = this.#_tools.delete(name);
+    if (removed) this.#emit('unregisterTool', name);
+    return removed;
+  }
+
+  /**
+   * Get a registered tool.
+   *
+   * @param {string} name - The function name.
+   * @returns {AiTool|null} The tool, or null if it is not registered.
+   */
+  getTool(name) {
+    return this.#_tools.get(name) || null;
+  }
+
+  /**
+   * Get all the registered tools.
+   *
+   * @returns {AiTool[]} The tools, in registration order.
+   */
+  getTools() {
+    return Array.from(this.#_tools.values());
+  }
+
+  /**
+   * Executes the handler of a function call and builds the `functionResponse` part.
+   * Errors thrown by the handler, and calls to unknown tools, are sent back to the model
+   * as an `error` response, so it can recover from them.
+   *
+   * @param {{ name: string, args?: Record<string, any>, id?: string }} call - The `functionCall` part value.
+   * @param {AbortController} [controller] - The controller of the request.
+   * @returns {Promise<{ functionResponse: { name: string, response: Record<string, any>, id?: string } }>}
+   */
+  async #runTool(call, controller) {
+    const tool = this.#_tools.get(call.name);
+    /** @type {Record<string, any>} */
+    let response;
+    try {
+      if (!tool) throw new Error(`Unknown tool: ${call.name}`);
+      const output = await tool.handler(isJsonObject(call.args) ? call.args : {}, {
+        name: call.name,
+        callId: typeof call.id === 'string' ? call.id : null,
+        instance: this,
+        controller,
+      });
+      response = isJsonObject(output) ? output : { result: output };
+    } catch (err) {
+      response = { error: err instanceof Error ? err.message : String(err) };
+    }
+
+    /** @type {{ name: string, response: Record<string, any>, id?: string }} */
+    const functionResponse = { name: call.name, response };
+    if (typeof call.id === 'string') functionResponse.id = call.id;
+    this.#emit('toolCall', call, response);
+    return { functionResponse };
+  }
+
+  /**
+   * Generates content with the context retrieved from the memory of the selected session.
+   *
+   * The best matches of the last user message are inserted as a context block before the parts
+   * of that message, within the token budget (see `TinyAiMemory.augment()`). The session history
+   * is not changed. The result of `genContent` is returned with the `retrieval` used.
+   *
+   * @param {AIContentData[]} data - The contents of the request.
+   * @param {Object} [options={}] - Generation and retrieval options.
+   * @param {string} [options.model] - The model to be used. If not provided, the default model is used.
+   * @param {AbortController} [options.controller] - The controller managing the requests.
+   * @param {number} [options.topK] - The maximum number of matches.
+   * @param {number} [options.minScore] - The minimum cosine similarity of a match.
+   * @param {number} [options.maxTokens] - The token budget of the context block.
+   * @param {string} [options.header] - The first line of the context block.
+   * @returns {Promise<Record<string, any>>} The result, with `retrieval`.
+   * @throws {Error} If the session has no memory or the data is invalid.
+   */
+  async genContentWithMemory(data, { model, controller, ...options } = {}) {
+    if (!Array.isArray(data)) throw new Error('Invalid content data!');
+    const memory = this.getMemory();
+    if (!memory) throw new Error('No memory defined in the session!');
+
+    const { contents, retrieval } = await memory.augment(data, { ...options, controller });
+    this.#emit('memoryRetrieval', retrieval, this.getId());
+    const result = await this.genContent(contents, model, controller);
+    result.retrieval = retrieval;
+    return result;
+  }
+
+  /**
+   * Generates content and automatically executes the tools called by the model.
+   *
+   * While the model answers with `functionCall` parts, the handlers of the called tools are
+   * executed, the model content and the `functionResponse` parts are appended to the request,
+   * and the model is called again. The loop stops when the model answers without function calls,
+   * when the API returns an error, or after `maxSteps` rounds of tool execution.
+   *
+   * The result is the last result returned by `genContent`, with these extra values:
+   * - `toolContents`: The contents appended during the loop (model function calls and function responses), in order. Add them to the session history with `addData()` to keep the conversation complete.
+   * - `toolSteps`: The number of tool rounds executed.
+   * - `maxStepsReached`: `true` if the loop stopped while the model was still calling functions.
+   *
+   * @param {AIContentData[]} data - The contents of the request.
+   * @param {Object} [options={}] - Loop options.
+   * @param {string} [options.model] - The model to be used. If not provided, the default model is used.
+   * @param {AbortController} [options.controller] - The controller managing the requests.
+   * @param {number} [options.maxSteps=5] - The maximum number of tool rounds.
+   * @returns {Promise<Record<string, any>>} The final result.
+   * @throws {Error} If the data or the max steps value is invalid.
+   */
+  async genContentWithTools(data, { model, controller, maxSteps = 5 } = {}) {
+    if (!Array.isArray(data)) throw new Error('Invalid content data!');
+    if (!Number.isInteger(maxSteps) || maxSteps < 0) throw new Error('Invalid max steps value!');
+
+    const contents = [...data];
+    /** @type {AIContentData[]} */
+    const toolContents = [];
+    let toolSteps = 0;
+
+    while (true) {
+      const result = await this.genContent(contents, model, controller);
+      if (result.error || !Array.isArray(result.contents) || !result.contents[0]) {
+        return { ...result, toolContents, toolSteps, maxStepsReached: false };
+      }
+
+      // Function calls
+      const content = result.contents[0];
+      const calls = content.parts
+        .filter((/** @type {*} */ part) => isJsonObject(part.functionCall))
+        .map((/** @type {*} */ part) => part.functionCall);
+      if (calls.length < 1 || toolSteps >= maxSteps) {
+        return { ...result, toolContents, toolSteps, maxStepsReached: calls.length > 0 };
+      }
+
+      // Execute tools
+      toolSteps++;
+      const parts = await Promise.all(
+        calls.map((/** @type {*} */ call) => this.#runTool(call, controller)),
+      );
+
+      /** @type {AIContentData} */
+      const callContent = { role: content.role || 'model', parts: content.parts };
+      /** @type {AIContentData} */
+      const responseContent = { role: 'user', parts };
+      contents.push(callContent, responseContent);
+      toolContents.push(callContent, responseContent);
+      this.#emit('toolStep', toolSteps, callContent, responseContent);
+    }
+  }
+
+  /**
+   * Generates structured JSON content and validates it against a JSON Schema.
+   *
+   * The request is sent with the schema and the `application/json` MIME type, without
+   * changing the session settings. The answer is parsed (code fences are removed) and validated
+   * locally with `validateJsonSchema`. When `retries` is greater than zero, an invalid answer
+   * is sent back to the model with the validation issues, asking for a corrected JSON.
+   *
+   * @param {AIContentData[]} data - The contents of the request.
+   * @param {Record<string, any>|null} [schema] - The JSON Schema. If omitted, the session response schema is used.
+   * @param {Object} [options={}] - Generation options.
+   * @param {string} [options.model] - The model to be used. If not provided, the default model is used.
+   * @param {AbortController} [options.controller] - The controller managing the requests.
+   * @param {number} [options.retries=0] - How many times the model is asked to correct an invalid answer.
+   * @returns {Promise<{ value: any, result: Record<string, any>, attempts: number }>} The parsed value, the last `genContent` result and the number of requests made.
+   * @throws {TinyAiJsonError} If the API returns an error, or the last answer is not valid.
+   * @throws {Error} If the data, the schema or the retries value is invalid.
+   */
+  async genJson(data, schema, { model, controller, retries = 0 } = {}) {
+    if (!Array.isArray(data)) throw new Error('Invalid content data!');
+    const responseSchema = schema ? schema : this.getResponseSchema();
+    if (!isJsonObject(responseSchema)) throw new Error('Invalid response schema!');
+    if (!Number.isInteger(retries) || retries < 0) throw new Error('Invalid retries value!');
+
+    // Retries use the session of the first request, even if another session is selected meanwhile.
+    const config = {
+      ...this.getRequestConfig(),
+      responseSchema,
+      responseMimeType: 'application/json',
+    };
+    const contents = [...data];
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+
+      const result = await this.#genContent(contents, model, controller, undefined, config);
+      if (result.error)
+        throw new TinyAiJsonError('API_ERROR', 'The API returned an error.', { result });
+
+      // Text
+      const content = Array.isArray(result.contents) ? result.contents[0] : null;
+      let text = '';
+      if (content && Array.isArray(content.parts))
+        for (const index in content.parts)
+          if (typeof content.parts[index].text === 'string') text += content.parts[index].text;
+      const codeBlock = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+      const jsonText = codeBlock ? codeBlock[1] : text;
+
+      // Validate
+      /** @type {TinyAiJsonError} */
+      let error;
+      try {
+        const value = JSON.parse(jsonText);
+        const issues = validateJsonSchema(value, responseSchema);
+        if (issues.length < 1) return { value, result, attempts };
+        error = new TinyAiJsonError(
+          'SCHEMA_MISMATCH',
+          `The JSON does not match the schema: ${issues[0].path} ${issues[0].message}`,
+          { issues, text, value, result },
         );
+      } catch (err) {
+        if (err instanceof TinyAiJsonError) throw err;
+        const message = err instanceof Error ? err.message : String(err);
+        error = new TinyAiJsonError('INVALID_JSON', `Invalid JSON: ${message}`, {
+          issues: [{ path: '$', message }],
+          text,
+          result,
+        });
       }
 
-      // Normal mode
-      else this.models.push(newData);
+      // Re-prompt
+      if (attempts > retries) throw error;
+      contents.push(
+        { role: content && content.role ? content.role : 'model', parts: [{ text }] },
+        {
+          role: 'user',
+          parts: [
+            {
+              text: `The previous answer is not valid:\n${error.issues
+                .map((item) => `- ${item.path}: ${item.message}`)
+                .join('\n')}\nAnswer again with only the corrected JSON.`,
+            },
+          ],
+        },
+      );
+      this.#emit('genJsonRetry', attempts, error);
+    }
+  }
 
-      // Sort data
-      this.models.sort((a, b) => a.index - b.index);
-      return newData;
+  /**
+   * Generates the hash used to check if a request content is cached.
+   * Only the role and the parts are used, so values like `finishReason` do not change it.
+   *
+   * @param {AIContentData} item - The content.
+   * @returns {string}
+   */
+  _hashCacheContent(item) {
+    return objHash({ role: typeof item.role === 'string' ? item.role : null, parts: item.parts });
+  }
+
+  /**
+   * Builds the content part of a file: `fileData` for uploaded files and `inlineData` for the others.
+   *
+   * @param {{ mime: string, base64?: string, uri?: string }} file - The file.
+   * @returns {Record<string, any>}
+   */
+  #buildFilePart(file) {
+    return typeof file.uri === 'string'
+      ? { fileData: { fileUri: file.uri, mimeType: file.mime } }
+      : { inlineData: { mime_type: file.mime, data: file.base64 } };
+  }
+
+  /**
+   * Builds the `user` content sent before the history with the session file and the session attachments.
+   *
+   * @param {string} id - The session ID.
+   * @returns {AIContentData|null} The content, or null if the session has no file and no attachments.
+   */
+  #getSessionContext(id) {
+    const file = this.getFileData(id);
+    const parts = [
+      ...(file ? [this.#buildFilePart(file)] : []),
+      ...this.getAttachmentParts(null, id),
+    ];
+    return parts.length > 0 ? { role: 'user', parts } : null;
+  }
+
+  /**
+   * Builds a message of the session as it is sent in requests, with the parts of its attachments before its own parts.
+   *
+   * @param {string} id - The session ID.
+   * @param {number} index - The message index.
+   * @returns {AIContentData}
+   */
+  #getRequestMessage(id, index) {
+    const history = this.history[id];
+    const data = history.data[index];
+    const parts = this.getAttachmentParts(history.ids[index], id);
+    return parts.length > 0 ? { ...data, parts: [...parts, ...data.parts] } : data;
+  }
+
+  /**
+   * Builds the contents of a session cache: the system instruction, the session file and attachments,
+   * and the history with the message attachments, in the same format as `buildRequestContents()`.
+   *
+   * @param {string} id - The session ID.
+   * @returns {AIContentData[]}
+   */
+  #getSessionContents(id) {
+    const history = this.history[id];
+    /** @type {AIContentData[]} */
+    const contents = [];
+
+    const systemInstruction = this.getSystemInstruction(id);
+    if (systemInstruction) contents.push({ role: 'system', parts: [{ text: systemInstruction }] });
+
+    const context = this.#getSessionContext(id);
+    if (context) contents.push(context);
+
+    for (let index = 0; index < history.data.length; index++)
+      contents.push(this.#getRequestMessage(id, index));
+    return contents;
+  }
+
+  /**
+   * Gets the provider used by the cache methods.
+   *
+   * @returns {TinyAiProvider}
+   * @throws {Error} If the provider does not support caches.
+   */
+  #getCacheProvider() {
+    if (this.#_provider && this.#_provider.capabilities.caches) return this.#_provider;
+    throw new Error('No cache api script defined.');
+  }
+
+  /**
+   * Converts a time to live into the `'<seconds>s'` format.
+   *
+   * @param {number|string} ttl - The time to live in seconds, or a string like `'3600s'`.
+   * @returns {string}
+   * @throws {Error} If the value is invalid.
+   */
+  #parseCacheTtl(ttl) {
+    if (typeof ttl === 'number' && Number.isFinite(ttl) && ttl > 0) return `${ttl}s`;
+    if (typeof ttl === 'string' && /^\d+(\.\d+)?s$/.test(ttl)) return ttl;
+    throw new Error('Invalid cache ttl!');
+  }
+
+  /**
+   * Creates a server-side cache with the system instruction and the history of a session.
+   *
+   * While the cache is valid, content requests of the session whose contents start with the
+   * cached contents reference the cache and only send the uncached tail. Tokens read from the
+   * cache are reported in the `cachedContentTokenCount` of the result.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @param {Object} [options={}] - Cache options.
+   * @param {number|string} [options.ttl=3600] - The time to live in seconds, or a string like `'3600s'`.
+   * @param {string|null} [options.displayName=null] - The display name of the cache.
+   * @param {string} [options.model] - The model of the cache. If not provided, the session model is used.
+   * @param {AbortController} [options.controller] - The controller managing the request.
+   * @returns {Promise<Record<string, any>>} The provider result, with `cache` or `error`.
+   * @throws {Error} If the session, the ttl or the provider is invalid.
+   */
+  async createCache(id, { ttl = 3600, displayName = null, model, controller } = {}) {
+    const selectedId = this.getId(id);
+    if (!selectedId || !this.history[selectedId]) throw new Error('Invalid history id data!');
+    const provider = this.#getCacheProvider();
+
+    const data = this.#getSessionContents(selectedId);
+    const result = await provider.createCache({
+      instance: this,
+      apiKey: this.#_apiKey,
+      model: model || this.getModel(selectedId),
+      data,
+      ttl: this.#parseCacheTtl(ttl),
+      displayName,
+      controller,
+      config: this.getRequestConfig(selectedId),
+    });
+
+    if (!result.error && result.cache) {
+      const system = data.find((item) => item.role === 'system');
+      /** @type {SessionCache} */
+      const cache = {
+        ...result.cache,
+        contentHashes: data
+          .filter((item) => item.role !== 'system')
+          .map((item) => this._hashCacheContent(item)),
+        systemInstructionHash: system ? this._hashCacheContent(system) : null,
+      };
+      this.#_insertIntoHistory(selectedId, { cache });
+      this.#emit('createCache', cache, selectedId);
     }
-    return null;
+    return result;
   }
 
   /**
-   * Sets a function to handle the count of tokens in the AI session.
-   * If a valid function is provided, it will be used to count tokens.
+   * Get the server-side cache of a session.
    *
-   * @param {Function} countTokens - The function that will handle the token count.
-   * @throws {Error} Throws an error if the provided value is not a function.
-   * @returns {void}
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {SessionCache|null} The cache, or null if the session has no cache.
    */
-  _setCountTokens(countTokens) {
-    this.#_countTokens = typeof countTokens === 'function' ? countTokens : null;
+  getCache(id) {
+    const history = this.getData(id);
+    return history && history.cache ? history.cache : null;
+  }
+
+  /**
+   * Lists the server-side caches of the API key.
+   *
+   * @param {number} [pageSize=50] - The number of caches to retrieve per page.
+   * @param {string|null} [pageToken=null] - The token for the next page of caches.
+   * @returns {Promise<Record<string, any>>} The provider result, with `caches` and `nextPageToken`, or `error`.
+   */
+  listCaches(pageSize = 50, pageToken = null) {
+    return this.#getCacheProvider().listCaches({
+      instance: this,
+      apiKey: this.#_apiKey,
+      pageSize,
+      pageToken,
+    });
+  }
+
+  /**
+   * Finds the cache name and the sessions that use it.
+   *
+   * @param {string} [id] - A session ID, or the resource name of a cache (`cachedContents/...`).
+   * @returns {{ name: string, sessions: string[] }}
+   * @throws {Error} If the session has no cache.
+   */
+  #findCache(id) {
+    /** @type {string|null} */
+    let name = null;
+    if (typeof id === 'string' && id.startsWith('cachedContents/')) name = id;
+    else {
+      const cache = this.getCache(id);
+      if (cache) name = cache.name;
+    }
+    if (!name) throw new Error('Invalid cache!');
+
+    /** @type {string[]} */
+    const sessions = [];
+    for (const sessionId in this.history) {
+      const cache = this.history[sessionId].cache;
+      if (cache && cache.name === name) sessions.push(sessionId);
+    }
+    return { name, sessions };
+  }
+
+  /**
+   * Updates the time to live of a server-side cache.
+   *
+   * @param {string|undefined} id - A session ID, or the resource name of a cache (`cachedContents/...`). If omitted, the currently selected session will be used.
+   * @param {number|string} ttl - The new time to live in seconds, or a string like `'3600s'`.
+   * @returns {Promise<Record<string, any>>} The provider result, with the updated `cache` or `error`.
+   * @throws {Error} If the cache, the ttl or the provider is invalid.
+   */
+  async updateCacheTtl(id, ttl) {
+    const provider = this.#getCacheProvider();
+    const { name, sessions } = this.#findCache(id);
+    const result = await provider.updateCache({
+      instance: this,
+      apiKey: this.#_apiKey,
+      name,
+      ttl: this.#parseCacheTtl(ttl),
+    });
+
+    if (!result.error && result.cache) {
+      for (const index in sessions) {
+        const cache = this.history[sessions[index]].cache;
+        cache.expireTime = result.cache.expireTime;
+        cache.updateTime = result.cache.updateTime;
+        this.#emit('updateCacheTtl', cache, sessions[index]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Deletes a server-side cache, and removes it from the sessions that use it.
+   *
+   * @param {string} [id] - A session ID, or the resource name of a cache (`cachedContents/...`). If omitted, the currently selected session will be used.
+   * @returns {Promise<Record<string, any>>} The provider result, with `error` if the request failed.
+   * @throws {Error} If the cache or the provider is invalid.
+   */
+  async deleteCache(id) {
+    const provider = this.#getCacheProvider();
+    const { name, sessions } = this.#findCache(id);
+    const result = await provider.deleteCache({ instance: this, apiKey: this.#_apiKey, name });
+
+    if (!result.error) {
+      for (const index in sessions) {
+        this.#_insertIntoHistory(sessions[index], { cache: null });
+        this.#emit('deleteCache', name, sessions[index]);
+      }
+    }
+    return result;
   }
 
   /**
-   * Counts the tokens based on the provided data and model, using a defined token counting function.
-   * If the function to count tokens is not set, an error is thrown.
+   * Gets the provider used by the file methods.
    *
-   * @param {Record<string, any>} data - The data that needs to be tokenized.
-   * @param {string} [model] - The model to use for counting tokens. If not provided, the default model is used.
-   * @param {AbortController} [controller] - The controller that manages the process or settings for counting tokens.
-   * @throws {Error} Throws an error if no token counting function is defined.
-   * @returns {Record<string, any>} The count of tokens.
+   * @returns {TinyAiProvider}
+   * @throws {Error} If the provider does not support files.
    */
-  countTokens(data, model, controller) {
-    if (typeof this.#_countTokens === 'function')
-      return this.#_countTokens(this.#_apiKey, model || this.getModel(), controller, data);
-    throw new Error('No count token api script defined.');
+  #getFileProvider() {
+    if (this.#_provider && this.#_provider.capabilities.files) return this.#_provider;
+    throw new Error('No file api script defined.');
   }
 
   /**
-   * @typedef {{ text: string, hide?: boolean }} ErrorCode
+   * Uploads a file to the AI API, so it can be referenced by URI instead of being sent as base64.
+   *
+   * The returned `file.uri` is used in `fileData` parts (`{ fileData: { fileUri, mimeType } }`)
+   * or in `setFileUri()`. Videos and large documents are processed after the upload; by default
+   * this method waits until the file is `ACTIVE`.
+   *
+   * @param {Blob|ArrayBuffer|ArrayBufferView} data - The file content. A `Buffer` or `Uint8Array` can be used.
+   * @param {string} [mime] - The MIME type of the file. If omitted, the type of the Blob is used.
+   * @param {string|null} [displayName=null] - The display name of the file.
+   * @param {Object} [options={}] - Upload options.
+   * @param {boolean} [options.waitActive=true] - Waits until the file processing ends.
+   * @param {number} [options.interval=2000] - Time in milliseconds between the processing checks.
+   * @param {number} [options.timeout=300000] - Maximum time in milliseconds to wait for the processing.
+   * @param {AbortController} [options.controller] - The controller used to cancel the upload and the wait.
+   * @returns {Promise<Record<string, any>>} The provider result, with `file` or `error`.
+   * @throws {Error} If the data or the provider is invalid, or if the processing times out.
    */
+  async uploadFile(
+    data,
+    mime,
+    displayName = null,
+    { waitActive = true, interval = 2000, timeout = 300000, controller } = {},
+  ) {
+    if (!(data instanceof Blob) && !(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data))
+      throw new Error('Invalid file data!');
+    if (typeof mime !== 'string') mime = data instanceof Blob && data.type ? data.type : undefined;
+    if (typeof mime !== 'string') throw new Error('Invalid file mime!');
+    const provider = this.#getFileProvider();
+
+    const result = await provider.uploadFile({
+      instance: this,
+      apiKey: this.#_apiKey,
+      data,
+      mime,
+      displayName,
+      controller,
+    });
+    if (result.error || !result.file) return result;
+    this.#emit('uploadFile', result.file);
+
+    if (!waitActive || result.file.state !== 'PROCESSING') return result;
+    return this.waitFileActive(result.file.name, { interval, timeout, controller });
+  }
 
   /**
-   * Sets the error codes for the current session.
+   * Waits until an uploaded file is not `PROCESSING` anymore.
    *
-   * @param {Record<string|number, string|ErrorCode>} errors - The error codes to set, typically an object containing error code definitions.
-   * @returns {void}
+   * @param {string} name - The resource name of the file, like `files/abc`.
+   * @param {Object} [options={}] - Wait options.
+   * @param {number} [options.interval=2000] - Time in milliseconds between the checks.
+   * @param {number} [options.timeout=300000] - Maximum time in milliseconds to wait.
+   * @param {AbortController} [options.controller] - The controller used to cancel the wait.
+   * @returns {Promise<Record<string, any>>} The last `getFile()` result. A `FAILED` file is returned as `error`.
+   * @throws {Error} If the wait times out or is aborted.
    */
-  _setErrorCodes(errors) {
-    this._errorCode = errors;
+  async waitFileActive(name, { interval = 2000, timeout = 300000, controller } = {}) {
+    const endTime = Date.now() + timeout;
+    while (true) {
+      const result = await this.getFile(name, controller);
+      if (result.error || !result.file) return result;
+
+      const file = result.file;
+      if (file.state === 'FAILED')
+        return {
+          _response: result._response,
+          file,
+          error: { code: null, message: file.error || 'File processing failed.', status: 'FAILED' },
+        };
+      if (file.state !== 'PROCESSING') {
+        this.#emit('fileActive', file);
+        return result;
+      }
+
+      if (Date.now() + interval > endTime) throw new Error('File processing timed out!');
+      await new Promise((resolve) => setTimeout(resolve, interval));
+      if (controller && controller.signal.aborted) throw new Error('File processing aborted!');
+    }
   }
 
   /**
-   * Get error details based on the provided error code.
+   * Gets the metadata of an uploaded file.
    *
-   * @param {string|number} code - The error code to look up.
-   * @returns {ErrorCode|null} An object containing the error message, or null if no error is found.
+   * @param {string} name - The resource name of the file, like `files/abc`.
+   * @param {AbortController} [controller] - The controller used to cancel the request.
+   * @returns {Promise<Record<string, any>>} The provider result, with `file` or `error`.
    */
-  getErrorCode(code) {
-    if (this._errorCode) {
-      const errData = this._errorCode[code];
-      if (errData) {
-        if (typeof errData === 'string') return { text: errData };
-        else if (isJsonObject(errData) && typeof errData.text === 'string') return errData;
-      }
-    }
-    return null;
+  async getFile(name, controller) {
+    if (typeof name !== 'string') throw new Error('Invalid file name!');
+    return this.#getFileProvider().getFile({
+      instance: this,
+      apiKey: this.#_apiKey,
+      name,
+      controller,
+    });
   }
 
   /**
-   * Sets the content generation callback function for the AI session.
+   * Lists the uploaded files of the API key.
    *
-   * @param {Function} callback - The callback function that handles content generation.
-   * @returns {void}
+   * @param {number} [pageSize=50] - The number of files to retrieve per page.
+   * @param {string|null} [pageToken=null] - The token for the next page of files.
+   * @returns {Promise<Record<string, any>>} The provider result, with `files` and `nextPageToken`, or `error`.
    */
-  _setGenContent(callback) {
-    this.#_genContentApi = typeof callback === 'function' ? callback : null;
+  listFiles(pageSize = 50, pageToken = null) {
+    return this.#getFileProvider().listFiles({
+      instance: this,
+      apiKey: this.#_apiKey,
+      pageSize,
+      pageToken,
+    });
   }
 
   /**
-   * Generates content for the AI session.
+   * Deletes an uploaded file.
    *
-   * @param {Record<string, any>} data - The data for content generation.
-   * @param {string} [model] - The model to be used for content generation. If not provided, the default model is used.
-   * @param {AbortController} [controller] - The controller managing the content generation process.
-   * @param {Function} [streamCallback] - The callback function for streaming content (optional).
-   * @returns {Record<string, any>} The generated content returned by the API.
-   * @throws {Error} If no content generator API script is defined.
+   * @param {string} name - The resource name of the file, like `files/abc`.
+   * @returns {Promise<Record<string, any>>} The provider result, with `error` if the request failed.
    */
-  genContent(data, model, controller, streamCallback) {
-    if (typeof this.#_genContentApi === 'function')
-      return this.#_genContentApi(
-        this.#_apiKey,
-        typeof streamCallback === 'function' ? true : false,
-        data,
-        model || this.getModel(),
-        streamCallback,
-        controller,
-      );
-    throw new Error('No content generator api script defined.');
+  async deleteFile(name) {
+    if (typeof name !== 'string') throw new Error('Invalid file name!');
+    const result = await this.#getFileProvider().deleteFile({
+      instance: this,
+      apiKey: this.#_apiKey,
+      name,
+    });
+    if (!result.error) this.#emit('deleteFile', name);
+    return result;
   }
 
   /**
@@ -1136,11 +3553,505 @@ class TinyAiInstance {
           result += history.tokens[item];
         }
       }
+      if (Array.isArray(history.attachments))
+        for (const index in history.attachments) {
+          if (typeof history.attachments[index].tokens === 'number')
+            result += history.attachments[index].tokens;
+        }
       return result;
     }
     return null;
   }
 
+  /**
+   * Enables or disables the automatic token counts of a session.
+   *
+   * When enabled, the `tokenUsage` of every `genContent` result is written into `tokens.data`:
+   * the newest user message receives the prompt count minus the tokens of the rest of the request,
+   * and the next model message added with `addData()` without a count receives the candidates count.
+   * Only requests whose last content is the last message of the session are used.
+   *
+   * @param {boolean} value - Whether the automatic token counts are enabled.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {void}
+   */
+  setAutoTokens(value, id) {
+    if (typeof value === 'boolean') {
+      const selectedId = this.getId(id);
+      this.#_insertIntoHistory(selectedId, { autoTokens: value });
+      if (!value && selectedId) this.#_pendingTokens.delete(selectedId);
+      this.#emit('setAutoTokens', value, selectedId);
+      return;
+    }
+    throw new Error('Invalid boolean value!');
+  }
+
+  /**
+   * Checks if the automatic token counts are enabled in a session.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session will be used.
+   * @returns {boolean}
+   */
+  isAutoTokens(id) {
+    const history = this.getData(id);
+    return history ? history.autoTokens === true : false;
+  }
+
+  /**
+   * Pins or unpins a message, so the `keep-pinned` strategy of `buildRequestContents()` never drops it.
+   *
+   * @param {number} msgId - The message ID.
+   * @param {boolean} [pinned=true] - Whether the message is pinned.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {void}
+   * @throws {Error} If the session or the message is invalid.
+   */
+  pinMessage(msgId, pinned = true, id = undefined) {
+    const selectedId = this.getId(id);
+    const history = this.getData(id);
+    if (!selectedId || !history) throw new Error('Invalid history id data!');
+    if (history.ids.indexOf(msgId) < 0) throw new Error('Invalid message id!');
+
+    /** @type {number[]} */
+    const list = Array.isArray(history.pinned)
+      ? history.pinned.filter((item) => item !== msgId)
+      : [];
+    if (pinned) list.push(msgId);
+    this.#_insertIntoHistory(selectedId, { pinned: list });
+    this.#emit('pinMessage', msgId, pinned, selectedId);
+  }
+
+  /**
+   * Checks if a message is pinned.
+   *
+   * @param {number} msgId - The message ID.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {boolean}
+   */
+  isPinned(msgId, id) {
+    const history = this.getData(id);
+    return history && Array.isArray(history.pinned) ? history.pinned.indexOf(msgId) > -1 : false;
+  }
+
+  /**
+   * Fills the unknown token counts of the messages of a session with estimates.
+   * The estimated entries of `tokens.data` have `estimated: true`, and are replaced like any other
+   * entry when the real count is known.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {number} The number of estimated messages.
+   * @throws {Error} If the session is invalid.
+   */
+  estimateMsgTokens(id) {
+    const history = this.getData(id);
+    if (!history) throw new Error('Invalid history id data!');
+    let amount = 0;
+    for (let index = 0; index < history.data.length; index++) {
+      const tokenData = history.tokens.data[index];
+      if (tokenData && typeof tokenData.count === 'number') continue;
+      this.replaceIndex(
+        index,
+        undefined,
+        {
+          ...(isJsonObject(tokenData) ? tokenData : {}),
+          count: this.#estimateContentTokens(history.data[index]),
+          estimated: true,
+        },
+        id,
+      );
+      amount++;
+    }
+    return amount;
+  }
+
+  /**
+   * Estimates the tokens of a message when its token count is unknown, using the registered part types.
+   *
+   * @param {AIContentData} data - The message.
+   * @returns {number}
+   */
+  #estimateContentTokens(data) {
+    let result = 0;
+    if (Array.isArray(data.parts))
+      for (const index in data.parts) result += this.countPartTokens(data.parts[index]) || 0;
+    return result;
+  }
+
+  /**
+   * Builds the contents of a request from the session history, fitting them into the input token limit.
+   *
+   * The token counts of the messages (`tokens.data`) are used, with their attachments, together
+   * with the session counts (prompt, system instruction, file and session attachments). Messages,
+   * the system instruction, the file and the attachments without a count are estimated. The most
+   * recent messages are kept first, and the older ones are dropped until the request fits.
+   *
+   * The contents start with the system instruction and a `user` content with the session file and
+   * the session attachments, followed by the kept messages with the parts of their attachments.
+   *
+   * Strategies:
+   * - `sliding-window`: Only the most recent messages are kept.
+   * - `keep-first`: The first `keepFirst` messages are always kept, like the opening of a roleplay.
+   * - `keep-pinned`: The messages pinned with `pinMessage()` are always kept.
+   *
+   * The last message is always kept. If the kept messages do not fit, `overflow` is `true`.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @param {Object} [options={}] - Fitting options.
+   * @param {number} [options.maxInputTokens] - The token limit. If omitted, the `inputTokenLimit` of the session model is used.
+   * @param {AiContextStrategy} [options.strategy='sliding-window'] - The strategy used to choose the kept messages.
+   * @param {number} [options.keepFirst=0] - The number of first messages kept by the `keep-first` strategy.
+   * @param {number} [options.reserveTokens=0] - Tokens reserved for the new input, subtracted from the limit.
+   * @param {boolean} [options.truncate=false] - Truncates the text of the newest dropped message to fill the remaining tokens, instead of dropping it.
+   * @returns {AiRequestContents}
+   * @throws {Error} If the session, the limit, the strategy or the reserved tokens are invalid.
+   */
+  buildRequestContents(
+    id,
+    {
+      maxInputTokens,
+      strategy = 'sliding-window',
+      keepFirst = 0,
+      reserveTokens = 0,
+      truncate = false,
+    } = {},
+  ) {
+    const selectedId = this.getId(id);
+    const history = this.getData(id);
+    if (!selectedId || !history) throw new Error('Invalid history id data!');
+    const model = this.getModel(selectedId);
+    if (typeof maxInputTokens === 'undefined' && model) {
+      const modelData = this.getModelData(model);
+      if (modelData && typeof modelData.inputTokenLimit === 'number')
+        maxInputTokens = modelData.inputTokenLimit;
+    }
+    if (typeof maxInputTokens !== 'number' || maxInputTokens < 1)
+      throw new Error('Invalid max input tokens!');
+    if (strategy !== 'sliding-window' && strategy !== 'keep-first' && strategy !== 'keep-pinned')
+      throw new Error('Invalid context strategy!');
+    if (!Number.isInteger(keepFirst) || keepFirst < 0) throw new Error('Invalid keep first value!');
+    if (!Number.isInteger(reserveTokens) || reserveTokens < 0)
+      throw new Error('Invalid reserve tokens value!');
+
+    // Session tokens
+    const limit = maxInputTokens - reserveTokens;
+    let tokens = 0;
+    for (const where in history.tokens)
+      if (
+        where !== 'systemInstruction' &&
+        where !== 'file' &&
+        typeof history.tokens[where] === 'number'
+      )
+        tokens += history.tokens[where];
+
+    const systemInstruction = this.getSystemInstruction(selectedId);
+    if (systemInstruction)
+      tokens +=
+        typeof history.tokens.systemInstruction === 'number'
+          ? history.tokens.systemInstruction
+          : this.#_tokenEstimator.countText(systemInstruction);
+
+    const context = this.#getSessionContext(selectedId);
+    const file = this.getFileData(selectedId);
+    if (file)
+      tokens +=
+        typeof history.tokens.file === 'number'
+          ? history.tokens.file
+          : this.countPartTokens(this.#buildFilePart(file)) || 0;
+
+    /** @type {Record<string, number>} */
+    const attachmentTokens = {};
+    const attachments = this.getAttachments('all', selectedId);
+    for (const index in attachments) {
+      const item = attachments[index];
+      const count =
+        typeof item.tokens === 'number'
+          ? item.tokens
+          : this.countPartTokens(this.#buildFilePart(item)) || 0;
+      if (item.msgId === null) tokens += count;
+      else attachmentTokens[item.msgId] = (attachmentTokens[item.msgId] || 0) + count;
+    }
+
+    // Message tokens
+    const msgTokens = history.data.map((data, index) => {
+      const tokenData = history.tokens.data[index];
+      const count =
+        tokenData && typeof tokenData.count === 'number'
+          ? tokenData.count
+          : this.#estimateContentTokens(data);
+      return count + (attachmentTokens[history.ids[index]] || 0);
+    });
+
+    // Required messages
+    /** @type {Set<number>} */
+    const kept = new Set();
+    const lastIndex = history.data.length - 1;
+    for (let index = 0; index <= lastIndex; index++) {
+      if (
+        index === lastIndex ||
+        (strategy === 'keep-first' && index < keepFirst) ||
+        (strategy === 'keep-pinned' && this.isPinned(history.ids[index], selectedId))
+      ) {
+        kept.add(index);
+        tokens += msgTokens[index];
+      }
+    }
+    const overflow = tokens > limit;
+
+    // Recent messages
+    /** @type {AiExcludedContent[]} */
+    const excluded = [];
+    /** @type {Record<number, AIContentData>} */
+    const truncated = {};
+    let isFull = overflow;
+    for (let index = lastIndex - 1; index >= 0; index--) {
+      if (kept.has(index)) continue;
+      const item = { index, msgId: history.ids[index], tokens: msgTokens[index] };
+      if (!isFull && tokens + msgTokens[index] <= limit) {
+        kept.add(index);
+        tokens += msgTokens[index];
+        continue;
+      }
+
+      // Truncate the text of the newest dropped message
+      const data = history.data[index];
+      if (!isFull && truncate && data.parts.every((part) => typeof part.text === 'string')) {
+        const text = this.#_tokenEstimator.sliceTextEnd(
+          data.parts.map((part) => part.text).join('\n'),
+          limit - tokens,
+        );
+        if (text.length > 0) {
+          truncated[index] = { ...data, parts: [{ text }] };
+          const truncatedTokens = Math.min(
+            this.#estimateContentTokens(truncated[index]),
+            limit - tokens,
+          );
+          kept.add(index);
+          tokens += truncatedTokens;
+          excluded.push({ ...item, reason: 'truncated' });
+          isFull = true;
+          continue;
+        }
+      }
+
+      isFull = true;
+      excluded.push({ ...item, reason: 'dropped' });
+    }
+
+    // Function responses without their function calls
+    for (let index = 0; index <= lastIndex; index++) {
+      if (
+        index > 0 &&
+        kept.has(index) &&
+        !kept.has(index - 1) &&
+        index !== lastIndex &&
+        history.data[index].parts.some((part) => isJsonObject(part.functionResponse))
+      ) {
+        kept.delete(index);
+        tokens -= msgTokens[index];
+        excluded.push({
+          index,
+          msgId: history.ids[index],
+          tokens: msgTokens[index],
+          reason: 'orphan',
+        });
+      }
+    }
+
+    // Complete
+    /** @type {AIContentData[]} */
+    const contents = [];
+    if (systemInstruction) contents.push({ role: 'system', parts: [{ text: systemInstruction }] });
+    if (context) contents.push(context);
+
+    /** @type {number[]} */
+    const msgIds = [];
+    for (let index = 0; index <= lastIndex; index++) {
+      if (!kept.has(index)) continue;
+      contents.push(truncated[index] || this.#getRequestMessage(selectedId, index));
+      msgIds.push(history.ids[index]);
+    }
+
+    excluded.sort((a, b) => a.index - b.index);
+    return { contents, msgIds, excluded, tokens, maxInputTokens, overflow };
+  }
+
+  /**
+   * Summarizes the older messages of a session, replacing them with a single summary message.
+   *
+   * The model is asked to summarize every message except the last `keepLast` ones. The summary
+   * is inserted in their place as a `user` message marked as `synthetic`, with its own token count
+   * and hash. The original messages, with their token counts, hashes, pins and attachments, are
+   * moved to the session archive, where they can be exported or restored with `restoreArchive()`.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @param {Object} [options={}] - Compaction options.
+   * @param {number} [options.keepLast=4] - The number of recent messages that are not summarized.
+   * @param {string} [options.summaryPrompt] - The instruction sent after the summarized messages.
+   * @param {string} [options.model] - The model to be used. If not provided, the session model is used.
+   * @param {AbortController} [options.controller] - The controller managing the request.
+   * @returns {Promise<{ archive: AiHistoryArchive|null, result: Record<string, any>|null }>} The new archive and the result of `genContent`. The archive is `null` if there was nothing to summarize, the API returned an error, or the summarized messages were removed or edited during the request.
+   * @throws {Error} If the session or the keep last value is invalid.
+   */
+  async compactHistory(
+    id,
+    {
+      keepLast = 4,
+      summaryPrompt = 'Summarize the conversation above. Keep every fact, decision, name and open question needed to continue it. Answer only with the summary.',
+      model,
+      controller,
+    } = {},
+  ) {
+    const selectedId = this.getId(id);
+    const history = this.getData(id);
+    if (!selectedId || !history) throw new Error('Invalid history id data!');
+    if (!Number.isInteger(keepLast) || keepLast < 0) throw new Error('Invalid keep last value!');
+    if (typeof summaryPrompt !== 'string' || summaryPrompt.length < 1)
+      throw new Error('Invalid summary prompt!');
+
+    // Function responses stay with their function calls
+    let amount = Math.max(history.data.length - keepLast, 0);
+    while (
+      amount > 0 &&
+      amount < history.data.length &&
+      history.data[amount].parts.some((part) => isJsonObject(part.functionResponse))
+    )
+      amount++;
+    if (amount < 1) return { archive: null, result: null };
+
+    // Summary
+    const ids = history.ids.slice(0, amount);
+    const hashes = history.hash.data.slice(0, amount);
+    const contents = [
+      ...history.data.slice(0, amount),
+      { role: 'user', parts: [{ text: summaryPrompt }] },
+    ];
+    const result = await this.#genContent(
+      contents,
+      model || this.getModel(selectedId) || undefined,
+      controller,
+      undefined,
+      this.getRequestConfig(selectedId),
+    );
+    const content = !result.error && Array.isArray(result.contents) ? result.contents[0] : null;
+    let text = '';
+    if (content && Array.isArray(content.parts))
+      for (const index in content.parts)
+        if (typeof content.parts[index].text === 'string') text += content.parts[index].text;
+    text = text.trim();
+    if (text.length < 1) return { archive: null, result };
+
+    // The session can change during the request
+    const current = this.getData(selectedId);
+    if (!current) return { archive: null, result };
+    const start = current.ids.indexOf(ids[0]);
+    if (
+      start < 0 ||
+      !ids.every(
+        (msgId, index) =>
+          current.ids[start + index] === msgId &&
+          current.hash.data[start + index] === hashes[index],
+      )
+    )
+      return { archive: null, result };
+
+    /** @type {AIContentData} */
+    const summary = {
+      role: 'user',
+      parts: [{ text: `Summary of the previous conversation:\n${text}` }],
+      synthetic: true,
+    };
+    const count =
+      result.tokenUsage &&
+      result.tokenUsage.count &&
+      typeof result.tokenUsage.count.candidates === 'number'
+        ? result.tokenUsage.count.candidates
+        : this.#estimateContentTokens(summary);
+
+    // Archive
+    const end = start + amount;
+    /** @type {AiHistoryArchive} */
+    const archive = {
+      summaryId: 0,
+      data: current.data.slice(start, end),
+      ids,
+      tokens: current.tokens.data.slice(start, end),
+      hash: current.hash.data.slice(start, end),
+      pinned: Array.isArray(current.pinned)
+        ? current.pinned.filter((msgId) => ids.indexOf(msgId) > -1)
+        : [],
+      attachments: Array.isArray(current.attachments)
+        ? current.attachments.filter((item) => item.msgId !== null && ids.indexOf(item.msgId) > -1)
+        : [],
+      time: Date.now(),
+    };
+
+    // Replace the messages
+    if (typeof current.nextId !== 'number') current.nextId = 0;
+    archive.summaryId = current.nextId;
+    current.nextId++;
+    const hash = this.#hashContent(summary);
+    current.data.splice(start, amount, summary);
+    current.ids.splice(start, amount, archive.summaryId);
+    current.tokens.data.splice(start, amount, { count });
+    current.hash.data.splice(start, amount, hash);
+    this.#_insertIntoHistory(selectedId, {
+      pinned: Array.isArray(current.pinned)
+        ? current.pinned.filter((msgId) => ids.indexOf(msgId) < 0)
+        : [],
+      attachments: Array.isArray(current.attachments)
+        ? current.attachments.filter((item) => archive.attachments.indexOf(item) < 0)
+        : [],
+      archive: [...(Array.isArray(current.archive) ? current.archive : []), archive],
+    });
+
+    // Complete
+    this.#emit('compactHistory', archive, summary, { count }, hash, selectedId);
+    return { archive, result };
+  }
+
+  /**
+   * Returns the archives created by `compactHistory()`, from the oldest to the newest.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {AiHistoryArchive[]}
+   */
+  getArchives(id) {
+    const history = this.getData(id);
+    return history && Array.isArray(history.archive) ? [...history.archive] : [];
+  }
+
+  /**
+   * Restores the messages replaced by a summary, removing the summary message.
+   *
+   * @param {number} summaryId - The ID of the summary message.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {boolean} `true` if the messages were restored, `false` if the archive or the summary message does not exist.
+   */
+  restoreArchive(summaryId, id) {
+    const selectedId = this.getId(id);
+    const history = this.getData(id);
+    if (!selectedId || !history || !Array.isArray(history.archive)) return false;
+    const archive = history.archive.find((item) => item.summaryId === summaryId);
+    const index = history.ids.indexOf(summaryId);
+    if (!archive || index < 0) return false;
+
+    history.data.splice(index, 1, ...archive.data);
+    history.ids.splice(index, 1, ...archive.ids);
+    history.tokens.data.splice(index, 1, ...archive.tokens);
+    history.hash.data.splice(index, 1, ...archive.hash);
+    this.#_insertIntoHistory(selectedId, {
+      pinned: [...(Array.isArray(history.pinned) ? history.pinned : []), ...archive.pinned],
+      attachments: [
+        ...(Array.isArray(history.attachments) ? history.attachments : []),
+        ...archive.attachments,
+      ],
+      archive: history.archive.filter((item) => item !== archive),
+    });
+
+    this.#emit('restoreArchive', archive, selectedId);
+    return true;
+  }
+
   /**
    * Retrieves the token data for a specific message in the session history by its index.
    *
@@ -1272,7 +4183,7 @@ class TinyAiInstance {
    *
    * @param {number} index - The index of the data to retrieve.
    * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
-   * @returns {string|number} The message ID at the specified index, or `-1` if the index is out of bounds or not found.
+   * @returns {number} The message ID at the specified index, or `-1` if the index is out of bounds or not found.
    */
   getIdByIndex(index, id) {
     const history = this.getData(id);
@@ -1290,12 +4201,22 @@ class TinyAiInstance {
   deleteIndex(index, id) {
     const history = this.getData(id);
     if (history && history.data[index]) {
-      const msgId = this.getIdByIndex(index);
+      const msgId = this.getIdByIndex(index, id);
       history.data.splice(index, 1);
       history.ids.splice(index, 1);
       history.hash.data.splice(index, 1);
       history.tokens.data.splice(index, 1);
       this.#emit('deleteIndex', index, msgId, this.getId(id));
+
+      // Pinned message
+      if (Array.isArray(history.pinned) && history.pinned.indexOf(msgId) > -1)
+        history.pinned.splice(history.pinned.indexOf(msgId), 1);
+
+      // Message attachments
+      if (Array.isArray(history.attachments)) {
+        const attachments = history.attachments.filter((item) => item.msgId === msgId);
+        for (const index in attachments) this.removeAttachment(attachments[index].id, id);
+      }
       return true;
     }
     return false;
@@ -1315,7 +4236,7 @@ class TinyAiInstance {
     if (history && history.data[index] && (data || tokens)) {
       let hash = null;
       if (data) {
-        hash = objHash(data);
+        hash = this.#hashContent(data);
         history.data[index] = data;
         history.hash.data[index] = hash;
       }
@@ -1381,7 +4302,7 @@ class TinyAiInstance {
    * If no session ID is provided, the currently selected session history ID will be used.
    *
    * **Note**: The `tokenData` parameter is optional and can be used to track token-related data associated with the new entry.
-   * This may include token counts, but this script does not manage token counting automatically. Developers must implement token management separately if necessary.
+   * When the session enables `setAutoTokens()`, a missing count is filled in from the token usage of the next request.
    *
    * @param {AIContentData} data - The data to be added to the session history.
    * @param {TokenCount} [tokenData={count: null}] - Optional token-related data to be associated with the new entry. Defaults to `{count: null}`.
@@ -1395,12 +4316,20 @@ class TinyAiInstance {
       if (typeof this.history[selectedId].nextId !== 'number') this.history[selectedId].nextId = 0;
       const newId = this.history[selectedId].nextId;
       this.history[selectedId].nextId++;
-      const hash = objHash(data);
+      const hash = this.#hashContent(data);
 
-      const tokenContent = isJsonObject(tokenData)
+      let tokenContent = isJsonObject(tokenData)
         ? tokenData
         : { count: typeof tokenData === 'number' ? tokenData : null };
 
+      // Automatic token count of the model reply
+      const pendingTokens = this.#_pendingTokens.get(selectedId);
+      if (typeof pendingTokens === 'number') {
+        if (data.role === 'model' && typeof tokenContent.count !== 'number')
+          tokenContent = { ...tokenContent, count: pendingTokens };
+        this.#_pendingTokens.delete(selectedId);
+      }
+
       this.history[selectedId].data.push(data);
       this.history[selectedId].tokens.data.push(tokenContent);
       this.history[selectedId].ids.push(newId);
@@ -1412,6 +4341,95 @@ class TinyAiInstance {
     throw new Error('Invalid history id data!');
   }
 
+  /**
+   * Adds a message with alternative candidates to the session history.
+   *
+   * The selected candidate is copied into the message, so it is used like any other message.
+   * The other candidates are kept in `candidates` and can be activated with `selectCandidate()`.
+   *
+   * @param {AIContentData[]} candidates - The candidate contents, like the `contents` of a `genContent` result.
+   * @param {Array<TokenCount|number|null>} [tokens=[]] - The token count of each candidate.
+   * @param {number} [selected=0] - The index of the active candidate.
+   * @param {string} [id] - The session history ID. If omitted, the currently selected session ID will be used.
+   * @returns {number} The new ID of the added data entry.
+   * @throws {Error} If the candidates, the selected index or the session ID is invalid.
+   */
+  addCandidates(candidates, tokens = [], selected = 0, id = undefined) {
+    if (!Array.isArray(candidates) || candidates.length < 1) throw new Error('Invalid candidates!');
+    if (!Number.isInteger(selected) || !candidates[selected])
+      throw new Error('Invalid candidate index!');
+
+    /** @type {AiCandidate[]} */
+    const list = candidates.map((content, index) => {
+      const tokenData = Array.isArray(tokens) ? tokens[index] : null;
+      return {
+        content,
+        tokens: isJsonObject(tokenData)
+          ? /** @type {TokenCount} */ (tokenData)
+          : { count: typeof tokenData === 'number' ? tokenData : null },
+      };
+    });
+
+    return this.addData(
+      { ...candidates[selected], candidates: list, candidateIndex: selected },
+      list[selected].tokens,
+      id,
+    );
+  }
+
+  /**
+   * Changes the active candidate of a history message.
+   * The message content, hash and tokens are replaced with the values of the selected candidate.
+   *
+   * @param {number} msgId - The message ID.
+   * @param {number} candidateIndex - The index of the candidate to activate.
+   * @param {string} [id] - The session history ID. If omitted, the currently selected session ID will be used.
+   * @returns {AIContentData} The updated message.
+   * @throws {Error} If the message has no candidates or the candidate index is invalid.
+   */
+  selectCandidate(msgId, candidateIndex, id) {
+    const history = this.getData(id);
+    const index = this.getIndexOfId(msgId, id);
+    const data = history ? history.data[index] : null;
+    if (!history || !data || !Array.isArray(data.candidates))
+      throw new Error('Invalid candidate message!');
+
+    const candidate = data.candidates[candidateIndex];
+    if (!Number.isInteger(candidateIndex) || !candidate)
+      throw new Error('Invalid candidate index!');
+
+    /** @type {AIContentData} */
+    const newData = { ...candidate.content, candidates: data.candidates, candidateIndex };
+    const hash = this.#hashContent(newData);
+    history.data[index] = newData;
+    history.hash.data[index] = hash;
+    history.tokens.data[index] = candidate.tokens;
+
+    this.#emit(
+      'selectCandidate',
+      msgId,
+      candidateIndex,
+      newData,
+      candidate.tokens,
+      hash,
+      this.getId(id),
+    );
+    return newData;
+  }
+
+  /**
+   * Retrieves the alternative candidates of a history message.
+   *
+   * @param {number} msgId - The message ID.
+   * @param {string} [id] - The session history ID. If omitted, the currently selected session ID will be used.
+   * @returns {AiCandidate[]} The candidates, or an empty array if the message has no candidates.
+   */
+  getCandidates(msgId, id) {
+    const history = this.getData(id);
+    const data = history ? history.data[this.getIndexOfId(msgId, id)] : null;
+    return data && Array.isArray(data.candidates) ? data.candidates : [];
+  }
+
   /**
    * Sets a prompt for the selected session history.
    *
@@ -1532,6 +4550,31 @@ class TinyAiInstance {
     throw new Error('Invalid history id data!');
   }
 
+  /**
+   * Sets an uploaded file as the file of the selected session history.
+   * Only the URI is stored, so the session does not keep the file content.
+   *
+   * @param {string} mime - The MIME type of the file.
+   * @param {string} uri - The URI of the file, returned by `uploadFile()`.
+   * @param {number} [tokenAmount] - The token count associated with the file (optional).
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @throws {Error} If the session ID is invalid or uri/mime is not a string.
+   * @returns {void}
+   */
+  setFileUri(mime, uri, tokenAmount = undefined, id = undefined) {
+    const selectedId = this.getId(id);
+    if (!selectedId || !this.history[selectedId]) throw new Error('Invalid history id data!');
+    if (typeof mime !== 'string' || typeof uri !== 'string') throw new Error('Invalid file uri!');
+
+    this.history[selectedId].file = { mime, uri };
+    const hash = objHash(this.history[selectedId].file);
+    this.history[selectedId].hash.file = hash;
+
+    if (typeof tokenAmount === 'number') this.history[selectedId].tokens.file = tokenAmount;
+    else delete this.history[selectedId].tokens.file;
+    this.#emit('setFileData', this.history[selectedId].file, hash, selectedId);
+  }
+
   /**
    * Removes file data from the selected session history.
    *
@@ -1555,7 +4598,7 @@ class TinyAiInstance {
    * Retrieves file data from the selected session history.
    *
    * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
-   * @returns {{data: string, mime: string}|null} The file data, including MIME type and encoded content, or null if no file data is found.
+   * @returns {AiFileData|null} The file data, including MIME type and encoded content or URI, or null if no file data is found.
    * @throws {Error} If no valid session history ID is found.
    */
   getFileData(id) {
@@ -1564,7 +4607,8 @@ class TinyAiInstance {
       selectedId &&
       this.history[selectedId] &&
       this.history[selectedId].file &&
-      typeof this.history[selectedId].file.data === 'string' &&
+      (typeof this.history[selectedId].file.data === 'string' ||
+        typeof this.history[selectedId].file.uri === 'string') &&
       typeof this.history[selectedId].file.mime === 'string'
     ) {
       return this.history[selectedId].file;
@@ -1572,6 +4616,124 @@ class TinyAiInstance {
     return null;
   }
 
+  /**
+   * Adds an attachment to a session, or to one of its messages.
+   * A session can have several attachments, like PDFs and images, each with its own token count and hash.
+   *
+   * @param {AiAttachmentInput} attachment - The attachment data. Either `data` or `uri` is required.
+   * @param {number|null} [msgId=null] - The ID of the message that owns the attachment, or null for a session attachment.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {number} The attachment ID.
+   * @throws {Error} If the session, the message or the attachment data is invalid.
+   */
+  addAttachment(
+    { mime, data, isBase64 = false, uri, name = null, tokens = null },
+    msgId = null,
+    id = undefined,
+  ) {
+    const selectedId = this.getId(id);
+    if (!selectedId || !this.history[selectedId]) throw new Error('Invalid history id data!');
+    const history = this.history[selectedId];
+    if (msgId !== null && history.ids.indexOf(msgId) < 0) throw new Error('Invalid message id!');
+    if (
+      typeof mime !== 'string' ||
+      (typeof uri !== 'string' && typeof data !== 'string') ||
+      (name !== null && typeof name !== 'string') ||
+      (tokens !== null && typeof tokens !== 'number')
+    )
+      throw new Error('Invalid attachment data!');
+
+    if (!Array.isArray(history.attachments)) history.attachments = [];
+    if (typeof history.nextAttachmentId !== 'number') history.nextAttachmentId = 0;
+
+    /** @type {AiAttachment} */
+    const item = { id: history.nextAttachmentId++, msgId, mime, name, tokens, hash: '' };
+    if (typeof uri === 'string') item.uri = uri;
+    else if (typeof data === 'string') {
+      item.data = data;
+      item.base64 = !isBase64 ? encodeBase64(data) : data;
+    }
+    item.hash = objHash({ mime, base64: item.base64 ?? null, uri: item.uri ?? null });
+
+    history.attachments.push(item);
+    this.#emit('addAttachment', item, selectedId);
+    return item.id;
+  }
+
+  /**
+   * Removes an attachment from a session.
+   *
+   * @param {number} attachmentId - The attachment ID.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {boolean} `true` if the attachment was removed, `false` if it does not exist.
+   */
+  removeAttachment(attachmentId, id) {
+    const history = this.getData(id);
+    if (!history || !Array.isArray(history.attachments)) return false;
+    const index = history.attachments.findIndex((item) => item.id === attachmentId);
+    if (index < 0) return false;
+
+    const [item] = history.attachments.splice(index, 1);
+    this.#emit('removeAttachment', item.id, item.msgId, this.getId(id));
+    return true;
+  }
+
+  /**
+   * Sets the token count of an attachment.
+   *
+   * @param {number} attachmentId - The attachment ID.
+   * @param {number|null} tokens - The token count, or null to remove it.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {void}
+   * @throws {Error} If the attachment or the token count is invalid.
+   */
+  setAttachmentTokens(attachmentId, tokens, id) {
+    const item = this.getAttachment(attachmentId, id);
+    if (!item) throw new Error('Invalid attachment id!');
+    if (tokens !== null && typeof tokens !== 'number')
+      throw new Error('Invalid attachment tokens!');
+    item.tokens = tokens;
+    this.#emit('setAttachmentTokens', item.id, tokens, this.getId(id));
+  }
+
+  /**
+   * Get an attachment of a session.
+   *
+   * @param {number} attachmentId - The attachment ID.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {AiAttachment|null} The attachment, or null if it does not exist.
+   */
+  getAttachment(attachmentId, id) {
+    const history = this.getData(id);
+    if (!history || !Array.isArray(history.attachments)) return null;
+    return history.attachments.find((item) => item.id === attachmentId) || null;
+  }
+
+  /**
+   * Lists the attachments of a session.
+   *
+   * @param {number|null|'all'} [msgId=null] - A message ID to list its attachments, null to list the session attachments, or `'all'` to list every attachment.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {AiAttachment[]} The attachments, in the order they were added.
+   */
+  getAttachments(msgId = null, id = undefined) {
+    const history = this.getData(id);
+    if (!history || !Array.isArray(history.attachments)) return [];
+    return history.attachments.filter((item) => msgId === 'all' || item.msgId === msgId);
+  }
+
+  /**
+   * Builds the content parts of attachments, to be sent with a request.
+   * Inline attachments become `inlineData` parts, and uploaded attachments become `fileData` parts.
+   *
+   * @param {number|null|'all'} [msgId=null] - The attachments to use. See `getAttachments()`.
+   * @param {string} [id] - The session ID. If omitted, the currently selected session history ID will be used.
+   * @returns {Array<Record<string, any>>} The content parts.
+   */
+  getAttachmentParts(msgId = null, id = undefined) {
+    return this.getAttachments(msgId, id).map((item) => this.#buildFilePart(item));
+  }
+
   /**
    * Sets a system instruction for the selected session history.
    *
@@ -1683,6 +4845,7 @@ class TinyAiInstance {
   stopDataId(id) {
     if (this.history[id]) {
       delete this.history[id];
+      this.#_pendingTokens.delete(id);
       if (this.getId() === id) this.selectDataId(null);
       this.#emit('stopDataId', id);
       return true;
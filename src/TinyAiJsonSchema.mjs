@@ -0,0 +1,184 @@
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * @typedef {Object} JsonSchemaIssue
+ * @property {string} path - The path of the invalid value, like `$.items[0].name`.
+ * @property {string} message - What is wrong with the value.
+ */
+
+/**
+ * @typedef {'INVALID_JSON'|'SCHEMA_MISMATCH'|'API_ERROR'} TinyAiJsonErrorCode
+ */
+
+/**
+ * Error thrown by `TinyAiInstance.genJson()` when the model answer cannot be used.
+ *
+ * - `INVALID_JSON`: The answer is not valid JSON.
+ * - `SCHEMA_MISMATCH`: The answer does not match the schema. See `issues`.
+ * - `API_ERROR`: The API returned an error object. See `result.error`.
+ */
+export class TinyAiJsonError extends Error {
+  /**
+   * @param {TinyAiJsonErrorCode} code - The error code.
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - Extra error data.
+   * @param {JsonSchemaIssue[]} [details.issues=[]] - The validation issues.
+   * @param {string|null} [details.text=null] - The text answered by the model.
+   * @param {any} [details.value] - The parsed value, when the text is valid JSON.
+   * @param {Record<string, any>|null} [details.result=null] - The last result returned by `genContent`.
+   */
+  constructor(code, message, { issues = [], text = null, value, result = null } = {}) {
+    super(message);
+    this.name = 'TinyAiJsonError';
+    /** @type {TinyAiJsonErrorCode} */
+    this.code = code;
+    /** @type {JsonSchemaIssue[]} */
+    this.issues = issues;
+    /** @type {string|null} */
+    this.text = text;
+    /** @type {any} */
+    this.value = value;
+    /** @type {Record<string, any>|null} */
+    this.result = result;
+  }
+}
+
+/**
+ * Gets the JSON type name of a value.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+const getJsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Builds the path of an object property.
+ *
+ * @param {string} path
+ * @param {string} key
+ * @returns {string}
+ */
+const propPath = (path, key) =>
+  /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * Supports the keywords used by structured output schemas: `type` (also in the uppercase
+ * OpenAPI form, like `STRING`), `nullable`, `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`, `maxItems`, `minLength`, `maxLength`, `pattern`,
+ * `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `anyOf` and `allOf`.
+ * Unknown keywords are ignored.
+ *
+ * @param {any} value - The value to validate.
+ * @param {Record<string, any>} schema - The JSON Schema.
+ * @param {string} [path='$'] - The path of the value, used in the issues.
+ * @returns {JsonSchemaIssue[]} The validation issues. Empty when the value is valid.
+ */
+export const validateJsonSchema = (value, schema, path = '$') => {
+  /** @type {JsonSchemaIssue[]} */
+  const issues = [];
+  if (!isJsonObject(schema)) return issues;
+  /** @param {string} message */
+  const issue = (message) => issues.push({ path, message });
+  const valueType = getJsonType(value);
+
+  // Type
+  if (value === null && schema.nullable === true) return issues;
+  if (typeof schema.type !== 'undefined') {
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(
+      (/** @type {string} */ type) => String(type).toLowerCase(),
+    );
+    const isValid = types.some(
+      (/** @type {string} */ type) =>
+        type === valueType || (type === 'number' && valueType === 'integer'),
+    );
+    if (!isValid) {
+      issue(`Expected ${types.join(' or ')}, received ${valueType}.`);
+      return issues;
+    }
+  }
+
+  // Values
+  if (
+    Array.isArray(schema.enum) &&
+    !schema.enum.some((/** @type {any} */ item) => JSON.stringify(item) === JSON.stringify(value))
+  )
+    issue(`Expected one of ${JSON.stringify(schema.enum)}.`);
+  if (typeof schema.const !== 'undefined' && JSON.stringify(schema.const) !== JSON.stringify(value))
+    issue(`Expected ${JSON.stringify(schema.const)}.`);
+
+  // String
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength)
+      issue(`Expected at least ${schema.minLength} characters.`);
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength)
+      issue(`Expected at most ${schema.maxLength} characters.`);
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(value))
+      issue(`Expected to match the pattern ${schema.pattern}.`);
+  }
+
+  // Number
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum)
+      issue(`Expected a number >= ${schema.minimum}.`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum)
+      issue(`Expected a number <= ${schema.maximum}.`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum)
+      issue(`Expected a number > ${schema.exclusiveMinimum}.`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum)
+      issue(`Expected a number < ${schema.exclusiveMaximum}.`);
+  }
+
+  // Array
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems)
+      issue(`Expected at least ${schema.minItems} items.`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems)
+      issue(`Expected at most ${schema.maxItems} items.`);
+    if (isJsonObject(schema.items))
+      for (let index = 0; index < value.length; index++)
+        issues.push(...validateJsonSchema(value[index], schema.items, `${path}[${index}]`));
+  }
+
+  // Object
+  if (valueType === 'object') {
+    const properties = isJsonObject(schema.properties) ? schema.properties : {};
+    if (Array.isArray(schema.required))
+      for (const index in schema.required) {
+        const key = schema.required[index];
+        if (typeof value[key] === 'undefined')
+          issues.push({ path: propPath(path, key), message: 'Required property is missing.' });
+      }
+
+    for (const key in value) {
+      if (isJsonObject(properties[key]))
+        issues.push(...validateJsonSchema(value[key], properties[key], propPath(path, key)));
+      else if (schema.additionalProperties === false)
+        issues.push({ path: propPath(path, key), message: 'Unexpected property.' });
+      else if (isJsonObject(schema.additionalProperties))
+        issues.push(
+          ...validateJsonSchema(value[key], schema.additionalProperties, propPath(path, key)),
+        );
+    }
+  }
+
+  // Combinations
+  if (Array.isArray(schema.anyOf)) {
+    const isValid = schema.anyOf.some(
+      (/** @type {Record<string, any>} */ item) => validateJsonSchema(value, item, path).length < 1,
+    );
+    if (!isValid) issue('Expected to match at least one schema of anyOf.');
+  }
+  if (Array.isArray(schema.allOf))
+    for (const index in schema.allOf)
+      issues.push(...validateJsonSchema(value, schema.allOf[index], path));
+
+  // Complete
+  return issues;
+};
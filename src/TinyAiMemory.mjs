@@ -0,0 +1,447 @@
+/**
+ * @typedef {import('./TinyAiInstance.mjs').default} TinyAiInstance
+ */
+
+/**
+ * @typedef {{ parts: Array<Record<string, any>>, role?: string|undefined }} AIContentData
+ * A content in the format of the session history.
+ */
+
+/**
+ * @typedef {Object} AiMemoryChunk
+ * @property {number} id - The chunk ID, unique in the memory.
+ * @property {string} docId - The ID of the document that owns the chunk.
+ * @property {'document'|'message'} source - Whether the chunk comes from a document or from a session message.
+ * @property {string} text - The text of the chunk.
+ * @property {number} tokens - The estimated tokens of the text.
+ * @property {Record<string, any>} metadata - The metadata of the document.
+ * @property {Float32Array} vector - The embedding vector of the text.
+ */
+
+/**
+ * @typedef {Object} AiMemoryMatch
+ * @property {AiMemoryChunk} chunk - The matching chunk.
+ * @property {number} score - The cosine similarity between the query and the chunk, from `-1` to `1`.
+ */
+
+/**
+ * @typedef {Object} AiMemoryRetrieval
+ * @property {string} query - The text used in the search.
+ * @property {string|null} text - The context block, or null if no chunk matched.
+ * @property {AiMemoryMatch[]} matches - The matches inserted in the context block.
+ * @property {number} tokens - The estimated tokens of the context block.
+ */
+
+/**
+ * Calculates the cosine similarity of two vectors.
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number} The similarity from `-1` to `1`, or `0` if a vector is empty.
+ */
+const cosineSimilarity = (a, b) => {
+  const length = Math.min(a.length, b.length);
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// Preferred chunk breaks, from the strongest to the weakest.
+const separators = ['\n\n', '\n', '. ', ' '];
+
+/**
+ * Gets the text of the parts of a content.
+ *
+ * @param {AIContentData} content
+ * @returns {string}
+ */
+const getContentText = (content) =>
+  Array.isArray(content.parts)
+    ? content.parts
+        .filter((part) => typeof part.text === 'string' && part.thought !== true)
+        .map((part) => part.text)
+        .join('\n')
+    : '';
+
+/**
+ * Tiny AI Memory
+ * -----------------------------
+ * An in-memory vector store used for retrieval-augmented sessions.
+ *
+ * Documents and session messages are split into chunks, embedded with `TinyAiInstance.embed()`
+ * and searched locally by cosine similarity. `retrieve()` builds a context block with the best
+ * matches within a token budget, and `augment()` inserts it into the contents of a request.
+ *
+ * A memory is attached to a session with `TinyAiInstance.setMemory()`. It is serialized by
+ * `toJSON()`, so it is saved together with the session history, and restored by `fromJSON()`.
+ */
+class TinyAiMemory {
+  /** @type {TinyAiInstance} */ #instance;
+  /** @type {AiMemoryChunk[]} */ #chunks = [];
+  #nextId = 0;
+
+  /**
+   * @param {TinyAiInstance} instance - The instance used to generate the embeddings.
+   * @param {Object} [options={}] - Memory options.
+   * @param {number} [options.chunkSize=1000] - The maximum number of characters of a chunk.
+   * @param {number} [options.chunkOverlap=200] - The number of characters repeated between consecutive chunks.
+   * @param {string|null} [options.model=null] - The embedding model. If null, the default embedding model of the provider is used.
+   * @param {number|null} [options.outputDimensionality=null] - The number of dimensions of the vectors.
+   * @throws {Error} If a value is invalid.
+   */
+  constructor(
+    instance,
+    { chunkSize = 1000, chunkOverlap = 200, model = null, outputDimensionality = null } = {},
+  ) {
+    if (!instance || typeof instance.embed !== 'function')
+      throw new Error('Invalid memory instance!');
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) throw new Error('Invalid chunk size!');
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize)
+      throw new Error('Invalid chunk overlap!');
+    if (model !== null && typeof model !== 'string') throw new Error('Invalid memory model!');
+    if (
+      outputDimensionality !== null &&
+      (!Number.isInteger(outputDimensionality) || outputDimensionality < 1)
+    )
+      throw new Error('Invalid memory output dimensionality!');
+
+    this.#instance = instance;
+    /** @readonly */ this.chunkSize = chunkSize;
+    /** @readonly */ this.chunkOverlap = chunkOverlap;
+    /** @readonly */ this.model = model;
+    /** @readonly */ this.outputDimensionality = outputDimensionality;
+  }
+
+  /**
+   * Splits a text into chunks of up to `chunkSize` characters.
+   * Chunks end at a paragraph, line or word break when possible, and consecutive chunks repeat
+   * up to `chunkOverlap` characters.
+   *
+   * @param {string} text - The text.
+   * @returns {string[]} The chunks, without empty ones.
+   */
+  chunkText(text) {
+    /** @type {string[]} */
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(start + this.chunkSize, text.length);
+      if (end < text.length) {
+        const slice = text.substring(start, end);
+        const minEnd = Math.floor(this.chunkSize / 2);
+        for (const index in separators) {
+          const separator = separators[index];
+          const breakIndex = slice.lastIndexOf(separator);
+          if (breakIndex >= minEnd) {
+            end = start + breakIndex + separator.length;
+            break;
+          }
+        }
+      }
+
+      const chunk = text.substring(start, end).trim();
+      if (chunk.length > 0) chunks.push(chunk);
+      if (end >= text.length) break;
+
+      // The overlap starts at a word break when possible
+      let nextStart = end - this.chunkOverlap;
+      if (nextStart > 0 && /\S/.test(text[nextStart - 1])) {
+        const breakIndex = text.substring(nextStart, end).search(/\s/);
+        if (breakIndex > -1) nextStart += breakIndex + 1;
+      }
+      start = Math.max(nextStart, start + 1);
+    }
+    return chunks;
+  }
+
+  /**
+   * Embeds texts with the options of the memory.
+   *
+   * @param {string[]} texts - The texts.
+   * @param {string} taskType - The task type of the embeddings.
+   * @param {AbortController} [controller] - The controller used to cancel the requests.
+   * @returns {Promise<Float32Array[]>}
+   * @throws {Error} If the embedding request fails.
+   */
+  async #embed(texts, taskType, controller) {
+    const result = await this.#instance.embed(texts, {
+      model: this.model || undefined,
+      outputDimensionality: this.outputDimensionality || undefined,
+      taskType,
+      controller,
+    });
+    if (result.error)
+      throw new Error(`Memory embedding failed: ${result.error.message || 'Unknown error'}`, {
+        cause: result.error,
+      });
+    return result.embeddings;
+  }
+
+  /**
+   * Indexes a text.
+   *
+   * @param {string} docId - The document ID.
+   * @param {'document'|'message'} source - The source of the text.
+   * @param {string} text - The text.
+   * @param {Record<string, any>} metadata - The metadata of the document.
+   * @param {AbortController} [controller] - The controller used to cancel the requests.
+   * @returns {Promise<AiMemoryChunk[]>} The new chunks.
+   */
+  async #index(docId, source, text, metadata, controller) {
+    const texts = this.chunkText(text);
+    if (texts.length < 1) return [];
+    const vectors = await this.#embed(texts, 'RETRIEVAL_DOCUMENT', controller);
+
+    /** @type {AiMemoryChunk[]} */
+    const chunks = texts.map((chunkText, index) => ({
+      id: this.#nextId++,
+      docId,
+      source,
+      text: chunkText,
+      tokens: this.#instance.countPartTokens({ text: chunkText }) || 0,
+      metadata,
+      vector: vectors[index],
+    }));
+    this.#chunks.push(...chunks);
+    return chunks;
+  }
+
+  /**
+   * Adds a document to the memory. Long texts are split into several chunks.
+   * Adding a document ID again replaces the previous document.
+   *
+   * @param {string} docId - The document ID.
+   * @param {string} text - The document text.
+   * @param {Object} [options={}] - Document options.
+   * @param {Record<string, any>} [options.metadata={}] - Metadata copied to every chunk, like the title or the URL.
+   * @param {AbortController} [options.controller] - The controller used to cancel the embedding requests.
+   * @returns {Promise<AiMemoryChunk[]>} The chunks of the document.
+   * @throws {Error} If a value is invalid or the embedding request fails.
+   */
+  async addDocument(docId, text, { metadata = {}, controller } = {}) {
+    if (typeof docId !== 'string' || docId.length < 1) throw new Error('Invalid document id!');
+    if (typeof text !== 'string') throw new Error('Invalid document text!');
+    const chunks = await this.#index(docId, 'document', text, metadata, controller);
+    this.#chunks = this.#chunks.filter((chunk) => chunk.docId !== docId || chunks.includes(chunk));
+    return chunks;
+  }
+
+  /**
+   * Indexes the text of the messages of a session. Messages that were already indexed are skipped.
+   * The document ID of a message is `msg:<sessionId>:<msgId>`.
+   *
+   * @param {string} [id] - The session ID. If omitted, the currently selected session is used.
+   * @param {Object} [options={}] - Indexing options.
+   * @param {AbortController} [options.controller] - The controller used to cancel the embedding requests.
+   * @returns {Promise<AiMemoryChunk[]>} The new chunks.
+   * @throws {Error} If the session is invalid or the embedding request fails.
+   */
+  async addMessages(id, { controller } = {}) {
+    const sessionId = this.#instance.getId(id);
+    const history = sessionId ? this.#instance.getData(sessionId) : null;
+    if (!sessionId || !history) throw new Error('Invalid history id data!');
+
+    /** @type {AiMemoryChunk[]} */
+    const chunks = [];
+    for (const index in history.data) {
+      const msgId = history.ids[index];
+      const docId = `msg:${sessionId}:${msgId}`;
+      if (this.hasDocument(docId)) continue;
+
+      const content = history.data[index];
+      const metadata = { sessionId, msgId, role: content.role ?? null };
+      chunks.push(
+        ...(await this.#index(docId, 'message', getContentText(content), metadata, controller)),
+      );
+    }
+    return chunks;
+  }
+
+  /**
+   * Checks if a document is in the memory.
+   *
+   * @param {string} docId - The document ID.
+   * @returns {boolean}
+   */
+  hasDocument(docId) {
+    return this.#chunks.some((chunk) => chunk.docId === docId);
+  }
+
+  /**
+   * Removes a document from the memory.
+   *
+   * @param {string} docId - The document ID.
+   * @returns {boolean} `true` if the document existed.
+   */
+  removeDocument(docId) {
+    const size = this.#chunks.length;
+    this.#chunks = this.#chunks.filter((chunk) => chunk.docId !== docId);
+    return this.#chunks.length !== size;
+  }
+
+  /**
+   * Lists the chunks of the memory.
+   *
+   * @returns {AiMemoryChunk[]}
+   */
+  getChunks() {
+    return [...this.#chunks];
+  }
+
+  /**
+   * Removes every chunk of the memory.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.#chunks = [];
+  }
+
+  /**
+   * Searches the chunks that are most similar to a query.
+   *
+   * @param {string} query - The query text.
+   * @param {Object} [options={}] - Search options.
+   * @param {number} [options.topK=5] - The maximum number of matches.
+   * @param {number} [options.minScore=0] - The minimum cosine similarity of a match.
+   * @param {AbortController} [options.controller] - The controller used to cancel the embedding request.
+   * @returns {Promise<AiMemoryMatch[]>} The matches, from the most to the least similar.
+   * @throws {Error} If a value is invalid or the embedding request fails.
+   */
+  async search(query, { topK = 5, minScore = 0, controller } = {}) {
+    if (typeof query !== 'string') throw new Error('Invalid memory query!');
+    if (!Number.isInteger(topK) || topK < 1) throw new Error('Invalid memory top k!');
+    if (this.#chunks.length < 1 || query.trim().length < 1) return [];
+
+    const [vector] = await this.#embed([query], 'RETRIEVAL_QUERY', controller);
+    return this.#chunks
+      .map((chunk) => ({ chunk, score: cosineSimilarity(vector, chunk.vector) }))
+      .filter((match) => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Searches a query and builds a context block with the best matches.
+   * Matches are added from the most similar one while the block fits in the token budget.
+   *
+   * @param {string} query - The query text.
+   * @param {Object} [options={}] - Retrieval options.
+   * @param {number} [options.topK=5] - The maximum number of matches.
+   * @param {number} [options.minScore=0] - The minimum cosine similarity of a match.
+   * @param {number} [options.maxTokens=1000] - The token budget of the context block.
+   * @param {string} [options.header='Relevant context:'] - The first line of the context block.
+   * @param {AbortController} [options.controller] - The controller used to cancel the embedding request.
+   * @returns {Promise<AiMemoryRetrieval>}
+   * @throws {Error} If a value is invalid or the embedding request fails.
+   */
+  async retrieve(
+    query,
+    { topK = 5, minScore = 0, maxTokens = 1000, header = 'Relevant context:', controller } = {},
+  ) {
+    if (typeof maxTokens !== 'number' || maxTokens < 0) throw new Error('Invalid memory budget!');
+    const found = await this.search(query, { topK, minScore, controller });
+
+    /** @type {AiMemoryMatch[]} */
+    const matches = [];
+    let text = header;
+    let tokens = this.#instance.countPartTokens({ text }) || 0;
+    for (const index in found) {
+      const match = found[index];
+      const nextText = `${text}\n\n[${matches.length + 1}] ${match.chunk.text}`;
+      const nextTokens = this.#instance.countPartTokens({ text: nextText }) || 0;
+      if (nextTokens > maxTokens) continue;
+      matches.push(match);
+      text = nextText;
+      tokens = nextTokens;
+    }
+
+    if (matches.length < 1) return { query, text: null, matches, tokens: 0 };
+    return { query, text, matches, tokens };
+  }
+
+  /**
+   * Retrieves the context of the last user message and inserts it as a text part before the
+   * parts of that message. The original contents are not changed.
+   *
+   * @param {AIContentData[]} contents - The contents of the request.
+   * @param {Object} [options={}] - The options of `retrieve()`.
+   * @param {number} [options.topK]
+   * @param {number} [options.minScore]
+   * @param {number} [options.maxTokens]
+   * @param {string} [options.header]
+   * @param {AbortController} [options.controller]
+   * @returns {Promise<{ contents: AIContentData[], retrieval: AiMemoryRetrieval|null }>} The new contents, and the retrieval, or null if there is no user message.
+   */
+  async augment(contents, options = {}) {
+    let index = -1;
+    for (let i = contents.length - 1; i >= 0; i--)
+      if (contents[i] && contents[i].role === 'user') {
+        index = i;
+        break;
+      }
+    if (index < 0) return { contents: [...contents], retrieval: null };
+
+    const retrieval = await this.retrieve(getContentText(contents[index]), options);
+    const result = [...contents];
+    if (retrieval.text)
+      result[index] = {
+        ...contents[index],
+        parts: [{ text: retrieval.text }, ...contents[index].parts],
+      };
+    return { contents: result, retrieval };
+  }
+
+  /**
+   * Converts the memory into a JSON object. The vectors are converted into arrays.
+   *
+   * @returns {Record<string, any>}
+   */
+  toJSON() {
+    return {
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+      model: this.model,
+      outputDimensionality: this.outputDimensionality,
+      nextId: this.#nextId,
+      chunks: this.#chunks.map((chunk) => ({ ...chunk, vector: Array.from(chunk.vector) })),
+    };
+  }
+
+  /**
+   * Restores a memory saved by `toJSON()`.
+   *
+   * @param {TinyAiInstance} instance - The instance used to generate the embeddings.
+   * @param {Record<string, any>} data - The saved memory.
+   * @returns {TinyAiMemory}
+   * @throws {Error} If the data is invalid.
+   */
+  static fromJSON(instance, data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.chunks))
+      throw new Error('Invalid memory data!');
+    const memory = new TinyAiMemory(instance, {
+      chunkSize: data.chunkSize,
+      chunkOverlap: data.chunkOverlap,
+      model: data.model,
+      outputDimensionality: data.outputDimensionality,
+    });
+    memory.#chunks = data.chunks.map((/** @type {any} */ chunk) => ({
+      ...chunk,
+      vector: Float32Array.from(chunk.vector),
+    }));
+    memory.#nextId =
+      typeof data.nextId === 'number'
+        ? data.nextId
+        : memory.#chunks.reduce((max, chunk) => Math.max(max, chunk.id + 1), 0);
+    return memory;
+  }
+}
+
+export default TinyAiMemory;
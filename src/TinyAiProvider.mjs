@@ -0,0 +1,258 @@
+/**
+ * @typedef {import('./TinyAiInstance.mjs').default} TinyAiInstance
+ * @typedef {import('./TinyAiInstance.mjs').AiRequestConfig} AiRequestConfig
+ */
+
+/**
+ * @typedef {Object} TinyAiProviderCapabilities
+ * @property {boolean} generate - The provider implements `generate()`.
+ * @property {boolean} stream - The provider implements `stream()`.
+ * @property {boolean} models - The provider implements `listModels()`.
+ * @property {boolean} countTokens - The provider implements `countTokens()`.
+ * @property {boolean} embed - The provider implements `embed()`.
+ * @property {boolean} caches - The provider implements `createCache()`, `listCaches()`, `updateCache()` and `deleteCache()`.
+ * @property {boolean} files - The provider implements `uploadFile()`, `getFile()`, `listFiles()` and `deleteFile()`.
+ */
+
+/**
+ * @typedef {Object} TinyAiProviderRequest
+ * @property {TinyAiInstance} instance - The instance that made the request.
+ * @property {string|null} apiKey - The API key of the instance.
+ * @property {string|null} model - The model used by the request.
+ * @property {any} data - The contents of the request, in the `AIContentData` format.
+ * @property {AbortController} [controller] - The controller used to cancel the request.
+ * @property {string|null} sessionId - The session that made the request.
+ * @property {AiRequestConfig} config - The session settings when the request was made. Read them from here instead of the instance getters, since the request may start after the session changed.
+ */
+
+/**
+ * @typedef {Object} TinyAiProviderModelsRequest
+ * @property {TinyAiInstance} instance - The instance that made the request.
+ * @property {string|null} apiKey - The API key of the instance.
+ * @property {number} pageSize - The number of models to retrieve per page.
+ * @property {string|null} pageToken - The token for the next page of models.
+ */
+
+/**
+ * @typedef {Object} TinyAiProviderEmbedRequest
+ * @property {TinyAiInstance} instance - The instance that made the request.
+ * @property {string|null} apiKey - The API key of the instance.
+ * @property {string|null} model - The embedding model used by the request.
+ * @property {string[]} texts - The texts to embed.
+ * @property {Record<string, any>} options - Extra embedding options, such as the task type.
+ * @property {AbortController} [controller] - The controller used to cancel the request.
+ */
+
+/**
+ * @typedef {Object} TinyAiProviderCacheRequest
+ * @property {TinyAiInstance} instance - The instance that made the request.
+ * @property {string|null} apiKey - The API key of the instance.
+ * @property {string|null} [name] - The resource name of the cache, used to update and delete it.
+ * @property {string|null} [model] - The model of the new cache.
+ * @property {any} [data] - The contents of the new cache, in the `AIContentData` format.
+ * @property {string} [ttl] - The time to live of the cache, like `'3600s'`.
+ * @property {string|null} [displayName] - The display name of the new cache.
+ * @property {number} [pageSize] - The number of caches to retrieve per page.
+ * @property {string|null} [pageToken] - The token for the next page of caches.
+ * @property {AbortController} [controller] - The controller used to cancel the request.
+ * @property {AiRequestConfig} [config] - The settings of the session of the new cache, such as its tools.
+ */
+
+/**
+ * @typedef {Object} TinyAiProviderFileRequest
+ * @property {TinyAiInstance} instance - The instance that made the request.
+ * @property {string|null} apiKey - The API key of the instance.
+ * @property {string|null} [name] - The resource name of the file, like `files/abc`.
+ * @property {Blob|ArrayBuffer|ArrayBufferView} [data] - The content of the uploaded file.
+ * @property {string|null} [mime] - The MIME type of the uploaded file.
+ * @property {string|null} [displayName] - The display name of the uploaded file.
+ * @property {number} [pageSize] - The number of files to retrieve per page.
+ * @property {string|null} [pageToken] - The token for the next page of files.
+ * @property {AbortController} [controller] - The controller used to cancel the request.
+ */
+
+/**
+ * @typedef {(chunk: Record<string, any>) => void} TinyAiStreamCallback
+ * Receives `{ contents, tokenUsage, done: false }` for each streamed chunk, and `{ done: true }` at the end.
+ */
+
+/**
+ * Tiny AI Provider
+ * -----------------------------
+ * Base class for the providers used by `TinyAiInstance.setProvider()`.
+ *
+ * A provider connects an instance to an AI API using named async methods, instead of the
+ * positional callbacks of the underscore-prefixed `_set*` methods. Subclasses override the
+ * methods supported by their API and describe them in `capabilities`. Methods that are not
+ * overridden reject with an error.
+ *
+ * The same provider object can be used by several instances, since every request carries
+ * the instance that made it.
+ */
+class TinyAiProvider {
+  /**
+   * Describes which methods are implemented by the provider.
+   * @type {TinyAiProviderCapabilities}
+   */
+  capabilities = {
+    generate: false,
+    stream: false,
+    models: false,
+    countTokens: false,
+    embed: false,
+    caches: false,
+    files: false,
+  };
+
+  /**
+   * Builds the error thrown by the methods that are not implemented.
+   *
+   * @param {string} method - The method name.
+   * @returns {Error}
+   */
+  #notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}().`);
+  }
+
+  /**
+   * Returns the error codes of the provider, used by `TinyAiInstance.getErrorCode()`.
+   *
+   * @returns {Record<string|number, string|{ text: string, hide?: boolean }>}
+   */
+  errorCodes() {
+    return {};
+  }
+
+  /**
+   * Generates content.
+   *
+   * @param {TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `contents`, `tokenUsage`, `modelVersion` and `_response`, or an `error` object.
+   */
+  async generate(request) {
+    throw this.#notImplemented('generate');
+  }
+
+  /**
+   * Generates content, sending the partial results to the callback while they are received.
+   *
+   * @param {TinyAiProviderRequest} request - The request data.
+   * @param {TinyAiStreamCallback} callback - The streaming callback.
+   * @returns {Promise<Record<string, any>>} The final result, in the same format as `generate()`.
+   */
+  async stream(request, callback) {
+    throw this.#notImplemented('stream');
+  }
+
+  /**
+   * Lists the available models, inserting them with `instance._insertNewModel()`.
+   *
+   * @param {TinyAiProviderModelsRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `newData` and `_response`, or an `error` object.
+   */
+  async listModels(request) {
+    throw this.#notImplemented('listModels');
+  }
+
+  /**
+   * Counts the tokens of the request contents.
+   *
+   * @param {TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `totalTokens`, `cachedContentTokenCount` and `_response`, or an `error` object.
+   */
+  async countTokens(request) {
+    throw this.#notImplemented('countTokens');
+  }
+
+  /**
+   * Generates embedding vectors for texts.
+   *
+   * @param {TinyAiProviderEmbedRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `embeddings` (one vector per text, in the same order), `tokenUsage` and `_response`, or an `error` object.
+   */
+  async embed(request) {
+    throw this.#notImplemented('embed');
+  }
+
+  /**
+   * Creates a server-side cache of contents, used to reduce the cost of repeated requests.
+   *
+   * @param {TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `cache` (`name`, `model`, `displayName`, `createTime`, `updateTime`, `expireTime`, `totalTokenCount`) and `_response`, or an `error` object.
+   */
+  async createCache(request) {
+    throw this.#notImplemented('createCache');
+  }
+
+  /**
+   * Lists the server-side caches.
+   *
+   * @param {TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `caches`, `nextPageToken` and `_response`, or an `error` object.
+   */
+  async listCaches(request) {
+    throw this.#notImplemented('listCaches');
+  }
+
+  /**
+   * Updates the time to live of a server-side cache.
+   *
+   * @param {TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with the updated `cache` and `_response`, or an `error` object.
+   */
+  async updateCache(request) {
+    throw this.#notImplemented('updateCache');
+  }
+
+  /**
+   * Deletes a server-side cache.
+   *
+   * @param {TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `_response`, or an `error` object.
+   */
+  async deleteCache(request) {
+    throw this.#notImplemented('deleteCache');
+  }
+
+  /**
+   * Uploads a file that can be referenced by `fileData` parts.
+   *
+   * @param {TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `file` (`name`, `displayName`, `mimeType`, `sizeBytes`, `createTime`, `updateTime`, `expirationTime`, `sha256Hash`, `uri`, `state` and `error`) and `_response`, or an `error` object.
+   */
+  async uploadFile(request) {
+    throw this.#notImplemented('uploadFile');
+  }
+
+  /**
+   * Gets the metadata of an uploaded file.
+   *
+   * @param {TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `file` and `_response`, or an `error` object.
+   */
+  async getFile(request) {
+    throw this.#notImplemented('getFile');
+  }
+
+  /**
+   * Lists the uploaded files.
+   *
+   * @param {TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `files`, `nextPageToken` and `_response`, or an `error` object.
+   */
+  async listFiles(request) {
+    throw this.#notImplemented('listFiles');
+  }
+
+  /**
+   * Deletes an uploaded file.
+   *
+   * @param {TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<Record<string, any>>} The result with `_response`, or an `error` object.
+   */
+  async deleteFile(request) {
+    throw this.#notImplemented('deleteFile');
+  }
+}
+
+export default TinyAiProvider;
@@ -0,0 +1,462 @@
+import { EventEmitter } from 'events';
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * @typedef {Object} AiRateLimit
+ * @property {number|null} [rpm=null] - The maximum number of requests per minute, as an integer.
+ * @property {number|null} [tpm=null] - The maximum number of tokens per minute.
+ */
+
+/**
+ * @typedef {Object} AiScheduledJob
+ * @property {number} id - The job ID, unique in the scheduler.
+ * @property {string} type - The method that made the request, like `genContent`.
+ * @property {string|null} model - The model of the request.
+ * @property {string} priority - The priority lane of the request.
+ * @property {number} tokens - The estimated tokens of the request.
+ * @property {number} time - The time when the job was queued, in milliseconds.
+ * @property {number} position - The position in the queue, starting at `0`, or `-1` after the job started.
+ */
+
+/**
+ * @typedef {Object} AiSchedulerJobData
+ * @property {AiScheduledJob} job
+ * @property {() => any} task
+ * @property {(value: any) => void} resolve
+ * @property {(reason: any) => void} reject
+ * @property {string|null} waitReason
+ * @property {number|null} waitUntil
+ * @property {AbortSignal|null} signal
+ * @property {(() => void)|null} onAbort
+ */
+
+/**
+ * @typedef {{ time: number, tokens: number }} AiRateRecord
+ */
+
+// Size of the rate limit windows.
+const windowTime = 60000;
+
+/**
+ * Tiny AI Scheduler
+ * -----------------------------
+ * A client-side request queue with rate limits, used by `TinyAiInstance.setScheduler()`.
+ *
+ * Requests wait in the queue until a concurrency slot is free and the requests-per-minute and
+ * tokens-per-minute budgets of their model allow them. The queue is ordered by the priority
+ * lanes, like `interactive` before `batch`, and by arrival inside each lane. A waiting request
+ * does not block the requests of other models.
+ *
+ * The token budget reserves the estimated tokens of a request when it starts, and replaces them
+ * with `tokenUsage.count.total` of its result when the request ends.
+ *
+ * The same scheduler can be used by several instances, to share the limits of an API key.
+ *
+ * Events:
+ * - `enqueue` `(job)`: A request was queued.
+ * - `wait` `(job, waitTime, reason)`: A request is waiting. The reason is `concurrency`, `rpm` or `tpm`, and the wait time in milliseconds is null for `concurrency`.
+ * - `start` `(job)`: A request started.
+ * - `done` `(job, error)`: A request ended. The error is null on success.
+ * - `cancel` `(job)`: A queued request was aborted.
+ * - `queue` `(jobs)`: The queue changed. The jobs have their current positions.
+ */
+class TinyAiScheduler {
+  #events = new EventEmitter();
+  /** @type {AiSchedulerJobData[]} */ #queue = [];
+  /** @type {Map<string, AiRateRecord[]>} */ #windows = new Map();
+  /** @type {Record<string, AiRateLimit>} */ #limits = {};
+  /** @type {ReturnType<typeof setTimeout>|null} */ #timer = null;
+  #running = 0;
+  #nextId = 0;
+
+  /**
+   * @param {Object} [options={}] - Scheduler options.
+   * @param {number} [options.maxConcurrency=4] - The maximum number of requests running at the same time.
+   * @param {Record<string, AiRateLimit>} [options.limits={}] - The rate limits of the models. See `setLimits()`.
+   * @param {string[]} [options.lanes=['interactive', 'batch']] - The priority lanes, from the highest to the lowest priority.
+   * @throws {Error} If a value is invalid.
+   */
+  constructor({ maxConcurrency = 4, limits = {}, lanes = ['interactive', 'batch'] } = {}) {
+    if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1)
+      throw new Error('Invalid max concurrency!');
+    if (
+      !Array.isArray(lanes) ||
+      lanes.length < 1 ||
+      !lanes.every((lane) => typeof lane === 'string')
+    )
+      throw new Error('Invalid priority lanes!');
+    if (!isJsonObject(limits)) throw new Error('Invalid rate limits!');
+
+    /** @readonly */ this.maxConcurrency = maxConcurrency;
+    /** @readonly */ this.lanes = [...lanes];
+    for (const model in limits) this.setLimits(model, limits[model]);
+  }
+
+  /**
+   * Registers a listener for the specified event.
+   * @param {string | symbol} event - The name of the event to listen for.
+   * @param {(...args: any[]) => void} listener - The callback function to invoke.
+   * @returns {this} The current class instance (for chaining).
+   */
+  on(event, listener) {
+    this.#events.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Registers a one-time listener for the specified event.
+   * @param {string | symbol} event - The name of the event to listen for once.
+   * @param {(...args: any[]) => void} listener - The callback function to invoke.
+   * @returns {this} The current class instance (for chaining).
+   */
+  once(event, listener) {
+    this.#events.once(event, listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener from the specified event.
+   * @param {string | symbol} event - The name of the event.
+   * @param {(...args: any[]) => void} listener - The listener to remove.
+   * @returns {this} The current class instance (for chaining).
+   */
+  off(event, listener) {
+    this.#events.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Sets the rate limits of a model.
+   *
+   * A key ending with `*` matches every model starting with it, like `gemini-2.5-flash*`, and the
+   * `*` key matches every model, including the requests without model like `getModels`. Each
+   * model has its own budgets.
+   *
+   * @param {string} model - The model ID or pattern.
+   * @param {AiRateLimit|null} limits - The limits, or null to remove them.
+   * @returns {void}
+   * @throws {Error} If the limits are invalid.
+   */
+  setLimits(model, limits) {
+    if (typeof model !== 'string') throw new Error('Invalid rate limits!');
+    if (limits === null) {
+      delete this.#limits[model];
+    } else {
+      if (!isJsonObject(limits)) throw new Error('Invalid rate limits!');
+      const { rpm = null, tpm = null } = limits;
+      if (
+        [rpm, tpm].some((value) => value !== null && (typeof value !== 'number' || !(value > 0))) ||
+        (rpm !== null && !Number.isInteger(rpm))
+      )
+        throw new Error('Invalid rate limits!');
+      this.#limits[model] = { rpm, tpm };
+    }
+    this.#process();
+  }
+
+  /**
+   * Gets the rate limits used by a model.
+   *
+   * @param {string|null} model - The model ID.
+   * @returns {AiRateLimit|null}
+   */
+  getLimits(model) {
+    if (typeof model === 'string' && this.#limits[model]) return this.#limits[model];
+    let prefix = '';
+    for (const key in this.#limits)
+      if (
+        key.endsWith('*') &&
+        (key === '*' || (typeof model === 'string' && model.startsWith(key.slice(0, -1)))) &&
+        key.length > prefix.length
+      )
+        prefix = key;
+    return prefix ? this.#limits[prefix] : null;
+  }
+
+  /**
+   * Gets the queued requests, in the order they will start.
+   *
+   * @returns {AiScheduledJob[]}
+   */
+  getQueue() {
+    return this.#queue.map((item) => ({ ...item.job }));
+  }
+
+  /**
+   * Gets the position of a request in the queue.
+   *
+   * @param {number} jobId - The job ID.
+   * @returns {number} The position starting at `0`, or `-1` if the request is not queued.
+   */
+  getPosition(jobId) {
+    return this.#queue.findIndex((item) => item.job.id === jobId);
+  }
+
+  /**
+   * Gets the number of running and queued requests.
+   *
+   * @returns {{ running: number, queued: number }}
+   */
+  getStats() {
+    return { running: this.#running, queued: this.#queue.length };
+  }
+
+  /**
+   * Queues a request.
+   *
+   * @template T
+   * @param {() => T|Promise<T>} task - The function that makes the request.
+   * @param {Object} [options={}] - Request options.
+   * @param {string} [options.type='request'] - The method that made the request.
+   * @param {string|null} [options.model=null] - The model of the request.
+   * @param {number} [options.tokens=0] - The estimated tokens of the request.
+   * @param {string} [options.priority] - The priority lane. The first lane is used by default.
+   * @param {AbortSignal} [options.signal] - Removes the request from the queue when aborted.
+   * @returns {Promise<T>} The result of the task.
+   * @throws {Error} If the task or the priority lane is invalid.
+   */
+  schedule(task, { type = 'request', model = null, tokens = 0, priority, signal } = {}) {
+    if (typeof task !== 'function') throw new Error('Invalid scheduler task!');
+    const lane = typeof priority === 'string' ? priority : this.lanes[0];
+    if (this.lanes.indexOf(lane) < 0) throw new Error('Invalid priority lane!');
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      /** @type {AiSchedulerJobData} */
+      const item = {
+        job: {
+          id: this.#nextId++,
+          type,
+          model: typeof model === 'string' ? model : null,
+          priority: lane,
+          tokens: typeof tokens === 'number' && tokens > 0 ? tokens : 0,
+          time: Date.now(),
+          position: -1,
+        },
+        task,
+        resolve,
+        reject,
+        waitReason: null,
+        waitUntil: null,
+        signal: signal || null,
+        onAbort: null,
+      };
+
+      // Priority lanes
+      const laneIndex = this.lanes.indexOf(lane);
+      let index = this.#queue.findIndex(
+        (queued) => this.lanes.indexOf(queued.job.priority) > laneIndex,
+      );
+      if (index < 0) index = this.#queue.length;
+      this.#queue.splice(index, 0, item);
+      this.#updatePositions();
+      this.#events.emit('enqueue', { ...item.job });
+
+      // Abort
+      if (signal) {
+        item.onAbort = () => {
+          const position = this.#queue.indexOf(item);
+          if (position < 0) return;
+          this.#queue.splice(position, 1);
+          item.job.position = -1;
+          this.#updatePositions();
+          this.#events.emit('cancel', { ...item.job });
+          this.#emitQueue();
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+
+      this.#process();
+    });
+  }
+
+  /**
+   * Updates the positions of the queued requests.
+   *
+   * @returns {void}
+   */
+  #updatePositions() {
+    for (const index in this.#queue) this.#queue[index].job.position = Number(index);
+  }
+
+  /**
+   * Emits the current queue.
+   *
+   * @returns {void}
+   */
+  #emitQueue() {
+    this.#events.emit('queue', this.getQueue());
+  }
+
+  /**
+   * Gets the records of the rate window of a model, without the expired ones.
+   *
+   * @param {string|null} model - The model ID.
+   * @param {number} now - The current time.
+   * @returns {AiRateRecord[]}
+   */
+  #getWindow(model, now) {
+    const key = typeof model === 'string' ? model : '';
+    const records = (this.#windows.get(key) || []).filter(
+      (record) => record.time + windowTime > now,
+    );
+    this.#windows.set(key, records);
+    return records;
+  }
+
+  /**
+   * Calculates how long a request must wait for the rate limits of its model.
+   *
+   * @param {AiScheduledJob} job - The job.
+   * @param {number} now - The current time.
+   * @returns {{ time: number, reason: 'rpm'|'tpm'|null }}
+   */
+  #getWait(job, now) {
+    const limits = this.getLimits(job.model);
+    if (!limits) return { time: 0, reason: null };
+    const records = this.#getWindow(job.model, now);
+
+    // Requests per minute
+    if (typeof limits.rpm === 'number' && records.length >= limits.rpm)
+      return {
+        time: records[records.length - limits.rpm].time + windowTime - now,
+        reason: 'rpm',
+      };
+
+    // Tokens per minute
+    if (typeof limits.tpm === 'number') {
+      let used = 0;
+      for (const index in records) used += records[index].tokens;
+      // A request bigger than the budget runs alone
+      let index = 0;
+      while (used + job.tokens > limits.tpm && index < records.length) {
+        used -= records[index].tokens;
+        index++;
+      }
+      if (index > 0) return { time: records[index - 1].time + windowTime - now, reason: 'tpm' };
+    }
+    return { time: 0, reason: null };
+  }
+
+  /**
+   * Starts the queued requests allowed by the limits, and schedules the next check.
+   * The tasks run synchronously, so a request made while a slot is free starts before `schedule()` returns.
+   *
+   * @returns {void}
+   */
+  #process() {
+    if (this.#timer) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+
+    const now = Date.now();
+    let nextCheck = Infinity;
+    /** @type {{ item: AiSchedulerJobData, record: AiRateRecord }[]} */
+    const started = [];
+    for (let index = 0; index < this.#queue.length; index++) {
+      const item = this.#queue[index];
+
+      // Concurrency
+      if (this.#running >= this.maxConcurrency) {
+        if (item.waitReason !== 'concurrency') {
+          item.waitReason = 'concurrency';
+          item.waitUntil = null;
+          this.#events.emit('wait', { ...item.job }, null, 'concurrency');
+        }
+        continue;
+      }
+
+      // Rate limits
+      const wait = this.#getWait(item.job, now);
+      if (wait.reason) {
+        nextCheck = Math.min(nextCheck, wait.time);
+        if (item.waitReason !== wait.reason || item.waitUntil !== now + wait.time) {
+          item.waitReason = wait.reason;
+          item.waitUntil = now + wait.time;
+          this.#events.emit('wait', { ...item.job }, wait.time, wait.reason);
+        }
+        continue;
+      }
+
+      // Start
+      this.#queue.splice(index, 1);
+      index--;
+      started.push({ item, record: this.#reserve(item, now) });
+    }
+
+    if (started.length > 0) {
+      this.#updatePositions();
+      this.#emitQueue();
+    }
+    if (nextCheck !== Infinity) this.#timer = setTimeout(() => this.#process(), nextCheck);
+    for (const index in started) this.#start(started[index].item, started[index].record);
+  }
+
+  /**
+   * Reserves a concurrency slot and the rate budgets of a request that is starting.
+   *
+   * @param {AiSchedulerJobData} item - The queued request.
+   * @param {number} now - The current time.
+   * @returns {AiRateRecord} The record of the request in the rate window.
+   */
+  #reserve(item, now) {
+    /** @type {AiRateRecord} */
+    const record = { time: now, tokens: item.job.tokens };
+    this.#getWindow(item.job.model, now).push(record);
+    this.#running++;
+    item.job.position = -1;
+    if (item.signal && item.onAbort) item.signal.removeEventListener('abort', item.onAbort);
+    item.signal = null;
+    item.onAbort = null;
+    this.#events.emit('start', { ...item.job });
+    return record;
+  }
+
+  /**
+   * Runs the task of a request reserved by `#reserve()`.
+   *
+   * @param {AiSchedulerJobData} item - The started request.
+   * @param {AiRateRecord} record - The record of the request in the rate window.
+   * @returns {void}
+   */
+  #start(item, record) {
+    /** @type {any} */
+    let pending;
+    try {
+      pending = item.task();
+    } catch (err) {
+      pending = Promise.reject(err);
+    }
+
+    Promise.resolve(pending).then(
+      (result) => {
+        // Real token usage
+        if (
+          result &&
+          isJsonObject(result.tokenUsage) &&
+          isJsonObject(result.tokenUsage.count) &&
+          typeof result.tokenUsage.count.total === 'number'
+        )
+          record.tokens = result.tokenUsage.count.total;
+        this.#running--;
+        this.#events.emit('done', { ...item.job }, null);
+        item.resolve(result);
+        this.#process();
+      },
+      (err) => {
+        this.#running--;
+        this.#events.emit('done', { ...item.job }, err);
+        item.reject(err);
+        this.#process();
+      },
+    );
+  }
+}
+
+export default TinyAiScheduler;
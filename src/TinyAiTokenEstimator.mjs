@@ -0,0 +1,162 @@
+/**
+ * @typedef {string[]|Record<string, any>|string} AiTokenVocabulary
+ * A list of tokens, a JSON vocabulary like `{ "hello": 31373 }`, a Hugging Face `tokenizer.json`,
+ * or the text of a vocabulary file: JSON, or the `<base64 token> <rank>` lines of a `.tiktoken` file.
+ */
+
+// Markers used by byte-level BPE (`Ġ`, `Ċ`) and SentencePiece (`▁`) vocabularies.
+const tokenMarkers = { Ġ: ' ', Ċ: '\n', ĉ: '\t', '▁': ' ' };
+
+/**
+ * Decodes a base64 string to UTF-8 text.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeBase64 = (value) => {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index++) bytes[index] = binary.charCodeAt(index);
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Reads the tokens of a vocabulary.
+ *
+ * @param {AiTokenVocabulary} vocabulary
+ * @returns {string[]}
+ * @throws {Error} If the vocabulary is invalid.
+ */
+const readVocabulary = (vocabulary) => {
+  if (typeof vocabulary === 'string') {
+    const text = vocabulary.trim();
+    // JSON vocabulary
+    if (text.startsWith('{') || text.startsWith('[')) return readVocabulary(JSON.parse(text));
+
+    // Tiktoken vocabulary
+    /** @type {string[]} */
+    const tokens = [];
+    const lines = text.split('\n');
+    for (const index in lines) {
+      const token = lines[index].trim().split(' ')[0];
+      if (token) tokens.push(decodeBase64(token));
+    }
+    return tokens;
+  }
+
+  /** @type {string[]} */
+  let tokens;
+  if (Array.isArray(vocabulary)) tokens = vocabulary;
+  else if (vocabulary && typeof vocabulary === 'object')
+    tokens = Object.keys(
+      // Hugging Face tokenizer.json
+      vocabulary.model && typeof vocabulary.model === 'object' && vocabulary.model.vocab
+        ? vocabulary.model.vocab
+        : vocabulary,
+    );
+  else throw new Error('Invalid token vocabulary!');
+
+  return tokens
+    .filter((token) => typeof token === 'string' && token.length > 0)
+    .map((token) => token.replace(/[ĠĊĉ▁]/g, (char) => tokenMarkers[/** @type {'Ġ'} */ (char)]));
+};
+
+/**
+ * Tiny AI Token Estimator
+ * -----------------------------
+ * Estimates the tokens of texts offline, used by `TinyAiInstance.estimateTokens()`, by
+ * `countTokens()` when no API is available, and by the `text` part type.
+ *
+ * Without a vocabulary, the estimate is the text length divided by `charsPerToken`. Around `4`
+ * fits Gemini and OpenAI models for English text, and around `3.5` fits Claude models.
+ *
+ * With a vocabulary, the text is split greedily into the longest known tokens, and each unknown
+ * character counts as one token. The result is close to a BPE tokenizer using the same
+ * vocabulary, but it is still an estimate, since the merge rules are not applied.
+ */
+class TinyAiTokenEstimator {
+  /** @type {Set<string>|null} */ #vocabulary = null;
+  #maxTokenLength = 0;
+
+  /**
+   * @param {Object} [options={}] - Estimator options.
+   * @param {number} [options.charsPerToken=4] - The average number of characters of a token, used without a vocabulary.
+   * @param {AiTokenVocabulary|null} [options.vocabulary=null] - The vocabulary of the tokenizer.
+   * @throws {Error} If a value is invalid.
+   */
+  constructor({ charsPerToken = 4, vocabulary = null } = {}) {
+    if (typeof charsPerToken !== 'number' || !(charsPerToken > 0))
+      throw new Error('Invalid chars per token!');
+    /** @readonly */ this.charsPerToken = charsPerToken;
+
+    if (vocabulary !== null) {
+      const tokens = readVocabulary(vocabulary);
+      if (tokens.length < 1) throw new Error('Invalid token vocabulary!');
+      this.#vocabulary = new Set(tokens);
+      for (const index in tokens)
+        if (tokens[index].length > this.#maxTokenLength)
+          this.#maxTokenLength = tokens[index].length;
+    }
+  }
+
+  /**
+   * Checks if the estimator uses a vocabulary.
+   *
+   * @returns {boolean}
+   */
+  hasVocabulary() {
+    return this.#vocabulary !== null;
+  }
+
+  /**
+   * Splits a text greedily into the longest tokens of the vocabulary.
+   *
+   * @param {string} text - The text.
+   * @returns {number[]} The start index of each token.
+   */
+  #getTokenStarts(text) {
+    /** @type {number[]} */
+    const starts = [];
+    const vocabulary = /** @type {Set<string>} */ (this.#vocabulary);
+    let start = 0;
+    while (start < text.length) {
+      let length = Math.min(this.#maxTokenLength, text.length - start);
+      while (length > 1 && !vocabulary.has(text.substring(start, start + length))) length--;
+      starts.push(start);
+      start += length;
+    }
+    return starts;
+  }
+
+  /**
+   * Estimates the tokens of a text.
+   *
+   * @param {string} text - The text.
+   * @returns {number}
+   */
+  countText(text) {
+    if (typeof text !== 'string' || text.length < 1) return 0;
+    if (!this.#vocabulary) return Math.ceil(text.length / this.charsPerToken);
+    return this.#getTokenStarts(text).length;
+  }
+
+  /**
+   * Gets the longest end of a text whose estimated tokens fit in a limit.
+   * With a vocabulary, the text is cut at the start of a token.
+   *
+   * @param {string} text - The text.
+   * @param {number} maxTokens - The token limit.
+   * @returns {string} The end of the text, or an empty string if nothing fits.
+   */
+  sliceTextEnd(text, maxTokens) {
+    if (typeof text !== 'string' || !(maxTokens >= 1)) return '';
+    if (!this.#vocabulary)
+      return text.substring(Math.max(0, text.length - Math.floor(maxTokens * this.charsPerToken)));
+
+    const starts = this.#getTokenStarts(text);
+    if (starts.length <= maxTokens) return text;
+    return text.substring(starts[starts.length - Math.floor(maxTokens)]);
+  }
+}
+
+export default TinyAiTokenEstimator;
@@ -1,4 +1,40 @@
-import { TinyGoogleAi, setTinyGoogleAi } from './services/Google.mjs';
+import { TinyGoogleAi, TinyGoogleAiProvider, setTinyGoogleAi } from './services/Google.mjs';
+import { TinyOpenAi, TinyOpenAiProvider, setTinyOpenAi } from './services/OpenAi.mjs';
+import {
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+} from './services/Anthropic.mjs';
+import { TinyOllamaAi, TinyOllamaAiProvider, setTinyOllamaAi } from './services/Ollama.mjs';
+import { TinyMockAi, TinyMockAiProvider, setTinyMockAi } from './services/Mock.mjs';
 import TinyAiInstance from './TinyAiInstance.mjs';
+import TinyAiProvider from './TinyAiProvider.mjs';
+import TinyAiMemory from './TinyAiMemory.mjs';
+import TinyAiTokenEstimator from './TinyAiTokenEstimator.mjs';
+import TinyAiScheduler from './TinyAiScheduler.mjs';
+import { TinyAiJsonError, validateJsonSchema } from './TinyAiJsonSchema.mjs';
 
-export { TinyAiInstance, TinyGoogleAi, setTinyGoogleAi };
+export {
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAi,
+  TinyGoogleAiProvider,
+  setTinyGoogleAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  setTinyOpenAi,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+};
@@ -0,0 +1,601 @@
+import TinyAiInstance from '../TinyAiInstance.mjs';
+import TinyAiProvider from '../TinyAiProvider.mjs';
+import { buildHttpError, readSseStream } from './utils.mjs';
+
+/**
+ * Builds the request headers.
+ *
+ * @param {string|null} apiKey
+ * @returns {Record<string, string>}
+ */
+const getHeaders = (apiKey) => ({
+  'Content-Type': 'application/json',
+  'x-api-key': typeof apiKey === 'string' ? apiKey : '',
+  'anthropic-version': '2023-06-01',
+  // Required by the API when the request comes from a browser
+  'anthropic-dangerous-direct-browser-access': 'true',
+});
+
+/**
+ * @param {*} result
+ * @param {*} finalData
+ * @param {number} [httpStatus]
+ */
+const buildErrorData = (result, finalData, httpStatus) => {
+  if (typeof result === 'undefined') throw new Error('Invalid result or missing error object');
+
+  finalData.error = {
+    code: typeof httpStatus === 'number' ? httpStatus : null,
+    message: typeof result.error.message === 'string' ? result.error.message : null,
+    status: typeof result.error.type === 'string' ? result.error.type : null,
+  };
+};
+
+/**
+ * Converts the parts of a content into Messages API content blocks.
+ *
+ * @param {Array<Record<string, any>>} parts
+ * @returns {Array<Record<string, any>>}
+ */
+const buildMessageContent = (parts) => {
+  /** @type {Array<Record<string, any>>} */
+  const content = [];
+  for (const index in parts) {
+    const part = parts[index];
+    if (typeof part.text === 'string') content.push({ type: 'text', text: part.text });
+    else if (part.inlineData) {
+      const { mime_type, data } = part.inlineData;
+      content.push({
+        type: mime_type.startsWith('image/') ? 'image' : 'document',
+        source: { type: 'base64', media_type: mime_type, data },
+      });
+    }
+  }
+  return content;
+};
+
+/**
+ * Parses token usage metadata from an usage object.
+ * Cached input tokens are part of the prompt, so they are added to the prompt count.
+ * Tokens written to the cache are also reported in `cacheWrite`, since they have their own price.
+ *
+ * @param {*} usage - The usage object from the API response.
+ * @returns {{ count: { candidates: number|null, prompt: number|null, cached: number|null, cacheWrite: number|null, total: number|null } }}
+ */
+const buildUsageMetada = (usage) => {
+  /** @type {{ count: { candidates: number|null, prompt: number|null, cached: number|null, cacheWrite: number|null, total: number|null } }} */
+  const usageMetadata = {
+    count: {
+      candidates: null,
+      prompt: null,
+      cached: null,
+      cacheWrite: null,
+      total: null,
+    },
+  };
+
+  if (usage) {
+    // Candidates
+    if (typeof usage.output_tokens === 'number')
+      usageMetadata.count.candidates = usage.output_tokens;
+    // Prompt
+    if (typeof usage.input_tokens === 'number') {
+      usageMetadata.count.prompt =
+        usage.input_tokens +
+        (typeof usage.cache_read_input_tokens === 'number' ? usage.cache_read_input_tokens : 0) +
+        (typeof usage.cache_creation_input_tokens === 'number'
+          ? usage.cache_creation_input_tokens
+          : 0);
+    }
+    // Cached
+    if (typeof usage.cache_read_input_tokens === 'number')
+      usageMetadata.count.cached = usage.cache_read_input_tokens;
+    // Cache write
+    if (typeof usage.cache_creation_input_tokens === 'number')
+      usageMetadata.count.cacheWrite = usage.cache_creation_input_tokens;
+    // Total
+    if (
+      typeof usageMetadata.count.prompt === 'number' ||
+      typeof usageMetadata.count.candidates === 'number'
+    )
+      usageMetadata.count.total =
+        (usageMetadata.count.prompt || 0) + (usageMetadata.count.candidates || 0);
+  }
+  return usageMetadata;
+};
+
+/**
+ * Converts a stop reason into the upper case format used by the error codes.
+ *
+ * @param {*} stopReason
+ * @returns {string|null}
+ */
+const getFinishReason = (stopReason) =>
+  typeof stopReason === 'string' ? stopReason.toUpperCase() : null;
+
+/**
+ * Tiny Anthropic AI Provider
+ * -----------------------------
+ * The `TinyAiProvider` implementation of the Anthropic Messages API.
+ * It generates content with `/messages`, lists the models and counts tokens with `/messages/count_tokens`.
+ */
+class TinyAnthropicAiProvider extends TinyAiProvider {
+  /** @type {import('../TinyAiProvider.mjs').TinyAiProviderCapabilities} */
+  capabilities = {
+    generate: true,
+    stream: true,
+    models: true,
+    countTokens: true,
+    embed: false,
+    caches: false,
+    files: false,
+  };
+
+  /** @type {string} */
+  #apiUrl;
+
+  /** @type {number} */
+  #maxTokens;
+
+  /**
+   * @param {Object} [options={}] - Provider options.
+   * @param {string} [options.baseUrl='https://api.anthropic.com/v1'] - The API base URL, including the `/v1` path.
+   * @param {number} [options.maxTokens=4096] - The `max_tokens` value sent when the session has no max output tokens setting. The Messages API requires this field.
+   */
+  constructor({ baseUrl = 'https://api.anthropic.com/v1', maxTokens = 4096 } = {}) {
+    super();
+    this.#apiUrl = baseUrl.replace(/\/+$/, '');
+    this.#maxTokens = maxTokens;
+  }
+
+  /**
+   * Returns the stop reasons of the Messages API.
+   * The API values are converted to upper case before being stored into the content data.
+   *
+   * @returns {Record<string, {text: string, hide?: boolean}>}
+   */
+  errorCodes() {
+    return {
+      END_TURN: { text: 'Natural stop point of the model.', hide: true },
+      STOP_SEQUENCE: { text: 'One of the provided stop sequences was generated.', hide: true },
+      MAX_TOKENS: { text: 'The maximum number of tokens as specified in the request was reached.' },
+      TOOL_USE: { text: 'The model invoked one or more tools.' },
+      PAUSE_TURN: { text: 'The model paused a long-running turn.' },
+      REFUSAL: { text: 'The model declined to answer for safety reasons.' },
+    };
+  }
+
+  /**
+   * Constructs the full request body for the Messages API call.
+   *
+   * @param {TinyAiInstance} tinyAnthropicAI - The instance that made the request.
+   * @param {*} data
+   * @param {string} model
+   * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+   * @param {boolean} [isCountTokens=false] - Builds the body of the count tokens endpoint, which has no generation config.
+   * @returns {*}
+   */
+  #requestBuilder(tinyAnthropicAI, data, model, config, isCountTokens = false) {
+    /** @type {*} */
+    const requestBody = { model, messages: [] };
+
+    // Execute builder
+    for (const index in data) {
+      const item = data[index];
+      if (item) {
+        /** @type {*} */
+        const content = tinyAnthropicAI.buildContents(undefined, item, item.role, true);
+        // System instruction
+        if (item.role === 'system') {
+          const text = buildMessageContent(content.parts)
+            .filter((block) => block.type === 'text')
+            .map((block) => block.text)
+            .join('\n');
+          requestBody.system =
+            typeof requestBody.system === 'string' ? `${requestBody.system}\n${text}` : text;
+        }
+
+        // Message
+        else
+          requestBody.messages.push({
+            role: item.role === 'model' ? 'assistant' : 'user',
+            content: buildMessageContent(content.parts),
+          });
+      }
+    }
+
+    // Config
+    if (!isCountTokens) {
+      requestBody.max_tokens =
+        typeof config.maxOutputTokens === 'number' ? config.maxOutputTokens : this.#maxTokens;
+
+      if (typeof config.temperature === 'number') requestBody.temperature = config.temperature;
+
+      if (typeof config.topP === 'number') requestBody.top_p = config.topP;
+
+      if (typeof config.topK === 'number') requestBody.top_k = config.topK;
+
+      if (config.stopSequences) requestBody.stop_sequences = config.stopSequences;
+    }
+
+    // Complete
+    return requestBody;
+  }
+
+  // https://docs.anthropic.com/en/api/messages
+  /**
+   * Internal method that integrates with the Messages endpoint.
+   * It builds the request body, handles normal and SSE streaming responses, parses tokens and content,
+   * and returns the same structured response data used by the other services.
+   *
+   * @param {TinyAiInstance} tinyAnthropicAI - The instance that made the request.
+   * @param {string|null} apiKey - Your Anthropic API key.
+   * @param {boolean} isStream - Whether the request is a streaming request.
+   * @param {any} data - An array of messages to send (prompt).
+   * @param {string} model - The model ID (e.g., "claude-3-5-haiku-latest").
+   * @param {Function} streamingCallback - Callback for streaming results. Called with partials.
+   * @param {AbortController|undefined} controller - Optional abort controller for cancelling requests.
+   * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+   * @returns {Promise<any>} finalData - A promise that resolves with a structured response object:
+   * - finalData.contents: Parsed content output
+   * - finalData.tokenUsage: Usage info with prompt/candidate/total counts
+   * - finalData.modelVersion: Model version string
+   * - finalData._response: Raw response
+   * - finalData.error: (If error occurred) contains message, status, and code
+   */
+  #genContent(
+    tinyAnthropicAI,
+    apiKey,
+    isStream,
+    data,
+    model,
+    streamingCallback,
+    controller,
+    config,
+  ) {
+    return new Promise((resolve, reject) => {
+      // Request
+      const requestBody = this.#requestBuilder(tinyAnthropicAI, data, model, config);
+      if (isStream) requestBody.stream = true;
+
+      /**
+       * Builds the content data of a message.
+       *
+       * @param {Array<Record<string, any>>} blocks - The content blocks of the message.
+       * @param {*} stopReason - The stop reason of the message.
+       * @param {Array<*>} contents - The array where the content is appended.
+       */
+      const buildContent = (blocks, stopReason, contents) => {
+        /** @type {Array<{ text: string }>} */
+        const parts = [];
+        for (const index in blocks) {
+          if (blocks[index] && typeof blocks[index].text === 'string')
+            parts.push({ text: blocks[index].text });
+        }
+
+        tinyAnthropicAI.buildContents(contents, { parts }, 'model');
+        contents[contents.length - 1].finishReason = getFinishReason(stopReason);
+      };
+
+      /**
+       * Final handler that transforms the result into a structured response.
+       *
+       * @param {*} result - The response from the API.
+       * @param {number} [httpStatus] - The HTTP status of the response.
+       * @returns {*} finalData - Structured result with content, usage, model version, or error.
+       */
+      const finalPromise = (result, httpStatus) => {
+        /** @type {*} */
+        const finalData = { _response: result };
+        if (!result.error) {
+          finalData.contents = [];
+          finalData.modelVersion = typeof result.model === 'string' ? result.model : null;
+          finalData.tokenUsage = buildUsageMetada(result.usage);
+          buildContent(result.content, result.stop_reason, finalData.contents);
+        }
+
+        // Error result
+        else buildErrorData(result, finalData, httpStatus);
+
+        // Complete
+        return finalData;
+      };
+
+      /**
+       * Handles the SSE streaming response.
+       * The `message_start`, `content_block_delta` and `message_delta` events are merged
+       * into a single message, which is sent back using the streamingCallback.
+       *
+       * @param {ReadableStream} stream - The ReadableStream from fetch().body
+       * @returns {Promise<void>}
+       */
+      const streamingResponse = async (stream) => {
+        /** @type {*} */
+        let message = { content: [], usage: {} };
+        /** @type {*} */
+        let streamError = null;
+
+        await readSseStream(stream, ({ data: eventData }) => {
+          const chunk = JSON.parse(eventData);
+          switch (chunk.type) {
+            case 'message_start':
+              message = chunk.message;
+              if (!Array.isArray(message.content)) message.content = [];
+              if (!message.usage) message.usage = {};
+              break;
+
+            case 'content_block_start':
+              message.content[chunk.index] = chunk.content_block;
+              break;
+
+            case 'content_block_delta':
+              if (!message.content[chunk.index]) message.content[chunk.index] = { type: 'text' };
+              if (chunk.delta && chunk.delta.type === 'text_delta') {
+                const block = message.content[chunk.index];
+                block.text = `${typeof block.text === 'string' ? block.text : ''}${chunk.delta.text}`;
+              }
+              break;
+
+            case 'message_delta':
+              if (chunk.delta && typeof chunk.delta.stop_reason === 'string')
+                message.stop_reason = chunk.delta.stop_reason;
+              if (chunk.usage) Object.assign(message.usage, chunk.usage);
+              break;
+
+            case 'error':
+              streamError = chunk;
+              return;
+
+            default:
+              return;
+          }
+
+          // Send temp data
+          /** @type {*} */
+          const tinyData = { contents: [] };
+          buildContent(message.content, message.stop_reason, tinyData.contents);
+          streamingCallback({
+            contents: tinyData.contents,
+            tokenUsage: buildUsageMetada(message.usage),
+            done: false,
+          });
+        });
+
+        // Complete
+        streamingCallback({ done: true });
+        resolve(finalPromise(streamError || message));
+      };
+
+      // Request
+      fetch(`${this.#apiUrl}/messages`, {
+        signal: controller ? controller.signal : undefined,
+        method: 'POST',
+        headers: getHeaders(apiKey),
+        body: JSON.stringify(requestBody),
+      })
+        .then((res) => {
+          // Normal
+          if (!isStream)
+            res
+              .json()
+              .then((result) => resolve(finalPromise(result, res.status)))
+              .catch(reject);
+          else {
+            // Error Streaming
+            if (!res.body) reject(new Error('No AI streaming value found.'));
+            else if (!res.ok) reject(buildHttpError(res));
+            // Streaming
+            else streamingResponse(res.body).catch(reject);
+          }
+        })
+        // Error
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Generates content with the `/messages` endpoint.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>} The structured response object.
+   */
+  generate({ instance, apiKey, data, model, controller, config }) {
+    return this.#genContent(
+      instance,
+      apiKey,
+      false,
+      data,
+      model || '',
+      () => {},
+      controller,
+      config,
+    );
+  }
+
+  /**
+   * Generates content with the `/messages` endpoint, using Server-Sent Events.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @param {import('../TinyAiProvider.mjs').TinyAiStreamCallback} callback - Callback for streaming results. Called with partials.
+   * @returns {Promise<any>} The structured response object.
+   */
+  stream({ instance, apiKey, data, model, controller, config }, callback) {
+    return this.#genContent(
+      instance,
+      apiKey,
+      true,
+      data,
+      model || '',
+      callback,
+      controller,
+      config,
+    );
+  }
+
+  // https://docs.anthropic.com/en/api/models-list
+  /**
+   * Fetches the list of available Anthropic models.
+   * The page token is the `last_id` of the previous page.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderModelsRequest} request - The request data.
+   * @returns {Promise<any>}
+   *
+   * Returned object when resolved:
+   * {
+   *   _response: <original API response>,
+   *   newData: [<processed and inserted model objects>]
+   * }
+   */
+  listModels({ instance: tinyAnthropicAI, apiKey, pageSize, pageToken }) {
+    return new Promise((resolve, reject) =>
+      fetch(
+        `${this.#apiUrl}/models?limit=${encodeURIComponent(pageSize)}${pageToken ? `&after_id=${encodeURIComponent(pageToken)}` : ''}`,
+        {
+          method: 'GET',
+          headers: getHeaders(apiKey),
+        },
+      )
+        // Request
+        .then((res) => res.json().then((result) => [result, res.status]))
+        .then(([result, httpStatus]) => {
+          /** @type {*} */
+          const finalData = { _response: result };
+          if (!result.error) {
+            finalData.newData = [];
+
+            // Update Token
+            tinyAnthropicAI._setNextModelsPageToken(result.has_more ? result.last_id : null);
+
+            const models = Array.isArray(result.data) ? result.data : [];
+            const firstIndex = tinyAnthropicAI.getModelsList().length;
+            for (const index in models) {
+              const item = models[index];
+              if (item && typeof item.id === 'string') {
+                const inserted = tinyAnthropicAI._insertNewModel({
+                  _response: item,
+                  index: firstIndex + Number(index),
+                  id: item.id,
+                  name: item.id,
+                  displayName: item.display_name,
+                });
+                if (inserted) finalData.newData.push(inserted);
+              }
+            }
+          }
+
+          // Error result
+          else buildErrorData(result, finalData, httpStatus);
+
+          // Complete
+          resolve(finalData);
+        })
+        // Error
+        .catch(reject),
+    );
+  }
+
+  // https://docs.anthropic.com/en/api/messages-count-tokens
+  /**
+   * Calculates the token usage for a given model and input data
+   * using the `messages/count_tokens` endpoint.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>}
+   *
+   * Returned object when resolved:
+   * {
+   *   _response: <original API response>,
+   *   totalTokens: <number|null>,
+   *   cachedContentTokenCount: <number|null>
+   * }
+   */
+  countTokens({ instance: tinyAnthropicAI, apiKey, model, controller, data, config }) {
+    return new Promise((resolve, reject) => {
+      const dataContent = this.#requestBuilder(tinyAnthropicAI, data, model || '', config, true);
+      if (dataContent.messages.length > 0) {
+        fetch(`${this.#apiUrl}/messages/count_tokens`, {
+          signal: controller ? controller.signal : undefined,
+          method: 'POST',
+          headers: getHeaders(apiKey),
+          body: JSON.stringify(dataContent),
+        })
+          // Request
+          .then((res) => res.json().then((result) => [result, res.status]))
+          .then(([result, httpStatus]) => {
+            /** @type {*} */
+            const finalData = { _response: result };
+            if (!result.error) {
+              finalData.totalTokens =
+                typeof result.input_tokens === 'number' ? result.input_tokens : null;
+              finalData.cachedContentTokenCount = null;
+            }
+
+            // Error result
+            else buildErrorData(result, finalData, httpStatus);
+
+            // Complete
+            resolve(finalData);
+          })
+          // Error
+          .catch(reject);
+      } else
+        resolve({
+          _response: {},
+          totalTokens: null,
+          cachedContentTokenCount: null,
+        });
+    });
+  }
+}
+
+/**
+ * Configures the Tiny AI Api to use the Anthropic Messages API.
+ *
+ * This function sets up the Anthropic API in a TinyAiApi instance, providing
+ * the required authentication and model parameters.
+ *
+ * @param {TinyAiInstance} tinyAnthropicAI - The TinyAiApi instance to be configured.
+ * @param {string} ANTHROPIC_API_KEY - The API key for the Anthropic API.
+ * @param {string} [MODEL_DATA='claude-3-5-haiku-latest'] - The model to use (default is 'claude-3-5-haiku-latest').
+ * @param {Object} [options={}] - Extra service options.
+ * @param {string} [options.baseUrl='https://api.anthropic.com/v1'] - The API base URL, including the `/v1` path.
+ * @param {number} [options.maxTokens=4096] - The `max_tokens` value sent when the session has no max output tokens setting. The Messages API requires this field.
+ */
+export function setTinyAnthropicAi(
+  tinyAnthropicAI,
+  ANTHROPIC_API_KEY,
+  MODEL_DATA = 'claude-3-5-haiku-latest',
+  { baseUrl = 'https://api.anthropic.com/v1', maxTokens = 4096 } = {},
+) {
+  tinyAnthropicAI.setApiKey(ANTHROPIC_API_KEY);
+  tinyAnthropicAI.setModel(MODEL_DATA);
+  tinyAnthropicAI.setProvider(new TinyAnthropicAiProvider({ baseUrl, maxTokens }));
+
+  // Complete
+  return tinyAnthropicAI;
+}
+
+/**
+ * Creates and configures a new TinyAiInstance that is set up with the Anthropic Messages API.
+ *
+ * @class
+ * @extends TinyAiInstance
+ * @param {string} ANTHROPIC_API_KEY - The API key used to authenticate with the Anthropic API.
+ * @param {string} [MODEL_DATA='claude-3-5-haiku-latest'] - Optional. The model identifier to use. Defaults to `'claude-3-5-haiku-latest'`.
+ * @param {boolean} [isSingle=false] - If true, configures the instance to handle a single session only.
+ * @param {{ baseUrl?: string, maxTokens?: number }} [options={}] - Extra service options.
+ * @returns {TinyAiInstance} A configured instance of TinyAiApi.
+ */
+class TinyAnthropicAi extends TinyAiInstance {
+  constructor(
+    ANTHROPIC_API_KEY = '',
+    MODEL_DATA = 'claude-3-5-haiku-latest',
+    isSingle = false,
+    options = {},
+  ) {
+    super(isSingle);
+    setTinyAnthropicAi(this, ANTHROPIC_API_KEY, MODEL_DATA, options);
+  }
+}
+
+export { TinyAnthropicAi, TinyAnthropicAiProvider };
@@ -1,593 +1,812 @@
-import { jsonrepair } from 'jsonrepair';
 import TinyAiInstance from '../TinyAiInstance.mjs';
+import TinyAiProvider from '../TinyAiProvider.mjs';
+import { buildHttpError, readSseStream } from './utils.mjs';
+
+const apiUrl = 'https://generativelanguage.googleapis.com/v1beta';
+const uploadUrl = 'https://generativelanguage.googleapis.com/upload/v1beta';
+
+// Maximum number of requests of a `batchEmbedContents` call.
+const embedBatchSize = 100;
 
 /**
- * Configures the Tiny AI Api to use the Google Gemini API.
- *
- * This function sets up the Google Gemini API in a TinyAiApi instance, providing
- * the required authentication and model parameters.
+ * @param {*} [result={ error: { code: null, message: null, status: null, details: null } }]
+ * @param {*} [finalData={ error: { code: null, message: null, status: null, details: null } }]
+ */
+const buildErrorData = (
+  result = { error: { code: null, message: null, status: null, details: null } },
+  finalData = { error: { code: null, message: null, status: null, details: null } },
+) => {
+  if (typeof result === 'undefined') throw new Error('Invalid result or missing error object');
+
+  finalData.error = {
+    code: typeof result.error.code === 'number' ? result.error.code : null,
+    message: typeof result.error.message === 'string' ? result.error.message : null,
+    status: typeof result.error.status === 'string' ? result.error.status : null,
+  };
+
+  if (result.error.details) finalData.error.details = result.error.details;
+};
+
+/**
+ * @typedef {{ token: string|null, tokenId: number|null, logProbability: number|null }} LogprobToken
+ */
+
+/**
+ * @typedef {Object} LogprobsData
+ * @property {number|null} avgLogprobs - The average log probability of the candidate tokens.
+ * @property {{ chosenCandidates: LogprobToken[], topCandidates: LogprobToken[][] }} logprobsResult - The chosen token and the top tokens of each decoding step.
+ */
+
+/**
+ * Parses a token of the `logprobsResult` of a candidate.
  *
- * @param {TinyAiInstance} tinyGoogleAI - The TinyAiApi instance to be configured.
- * @param {string} GEMINI_API_KEY - The API key for Google Gemini.
- * @param {string} [MODEL_DATA='gemini-2.0-flash'] - The model to use (default is 'gemini-2.0-flash').
+ * @param {*} item
+ * @returns {LogprobToken}
  */
-export function setTinyGoogleAi(tinyGoogleAI, GEMINI_API_KEY, MODEL_DATA = 'gemini-2.0-flash') {
-  const apiUrl = 'https://generativelanguage.googleapis.com/v1beta';
-  tinyGoogleAI.setApiKey(GEMINI_API_KEY);
-  tinyGoogleAI.setModel(MODEL_DATA);
+const parseLogprobToken = (item) => ({
+  token: item && typeof item.token === 'string' ? item.token : null,
+  tokenId: item && typeof item.tokenId === 'number' ? item.tokenId : null,
+  logProbability: item && typeof item.logProbability === 'number' ? item.logProbability : null,
+});
 
-  /**
-   * A comprehensive map of HTTP status codes and their corresponding human-readable descriptions.
-   *
-   * This object includes:
-   * - Standard HTTP status codes (1xx–5xx)
-   * - Cloudflare-specific codes (520–530, 598–599)
-   * - Nginx-specific codes (444, 494–499)
-   *
-   * These codes are useful for interpreting responses from HTTP requests and displaying
-   * user-friendly messages or handling programmatic logic based on response status.
-   *
-   * @constant
-   * @type {Object<number, string>}
-   *
-   * @example
-   * const message = errorCodes[404]; // "Not Found"
-   * if (status >= 400) {
-   *   console.warn(`Error ${status}: ${errorCodes[status] || 'Unknown Status Code'}`);
-   * }
-   */
-  const errorCodes = {
-    100: 'Continue',
-    101: 'Switching Protocols',
-    102: 'Processing',
-    103: 'Early Hints',
-    200: 'OK',
-    201: 'Created',
-    202: 'Accepted',
-    203: 'Non-Authoritative Information',
-    204: 'No Content',
-    205: 'Reset Content',
-    206: 'Partial Content',
-    207: 'Multi-Status',
-    208: 'Already Reported',
-    226: 'IM Used',
-    300: 'Multiple Choices',
-    301: 'Moved Permanently',
-    302: 'Found',
-    303: 'See Other',
-    304: 'Not Modified',
-    305: 'Use Proxy',
-    306: 'Switch Proxy',
-    307: 'Temporary Redirect',
-    308: 'Permanent Redirect',
-    400: 'Bad Request',
-    401: 'Unauthorized',
-    402: 'Payment Required',
-    403: 'Forbidden',
-    404: 'Not Found',
-    405: 'Method Not Allowed',
-    406: 'Not Acceptable',
-    407: 'Proxy Authentication Required',
-    408: 'Request Timeout',
-    409: 'Conflict',
-    410: 'Gone',
-    411: 'Length Required',
-    412: 'Precondition Failed',
-    413: 'Payload Too Large',
-    414: 'URI Too Long',
-    415: 'Unsupported Media Type',
-    416: 'Range Not Satisfiable',
-    417: 'Expectation Failed',
-    418: "I'm a teapot",
-    421: 'Misdirected Request',
-    422: 'Unprocessable Entity',
-    423: 'Locked',
-    424: 'Failed Dependency',
-    425: 'Too Early',
-    426: 'Upgrade Required',
-    428: 'Precondition Required',
-    429: 'Too Many Requests',
-    431: 'Request Header Fields Too Large',
-    451: 'Unavailable For Legal Reasons',
-    500: 'Internal Server Error',
-    501: 'Not Implemented',
-    502: 'Bad Gateway',
-    503: 'Service Unavailable',
-    504: 'Gateway Timeout',
-    505: 'HTTP Version Not Supported',
-    506: 'Variant Also Negotiates',
-    507: 'Insufficient Storage',
-    508: 'Loop Detected',
-    510: 'Not Extended',
-    511: 'Network Authentication Required',
-    520: 'Web Server Returned an Unknown Error',
-    521: 'Web Server Is Down',
-    522: 'Connection Timed Out',
-    523: 'Origin Is Unreachable',
-    524: 'A Timeout Occurred',
-    525: 'SSL Handshake Failed',
-    526: 'Invalid SSL Certificate',
-    527: 'Railgun Error',
-    530: 'Site Frozen',
-    598: 'Network Read Timeout Error',
-    599: 'Network Connect Timeout Error',
-
-    // Nginx
-    444: 'No Response',
-    494: 'Request Header Too Large',
-    495: 'SSL Certificate Error',
-    496: 'SSL Certificate Required',
-    497: 'HTTP Request Sent to HTTPS Port',
-    499: 'Client Closed Request',
+/**
+ * Parses the log probabilities of a candidate.
+ * When the log probabilities of previous streaming chunks are provided, the new steps are appended to them.
+ *
+ * @param {*} item - A candidate of the API response.
+ * @param {LogprobsData|null} [logprobs=null] - The log probabilities of the previous chunks.
+ * @returns {LogprobsData|null} The log probabilities, or null if the candidate has none.
+ */
+const parseLogprobs = (item, logprobs = null) => {
+  const result = item.logprobsResult;
+  if (typeof item.avgLogprobs !== 'number' && (!result || typeof result !== 'object'))
+    return logprobs;
+
+  const data = logprobs || {
+    avgLogprobs: null,
+    logprobsResult: { chosenCandidates: [], topCandidates: [] },
   };
+  if (typeof item.avgLogprobs === 'number') data.avgLogprobs = item.avgLogprobs;
+  if (result && typeof result === 'object') {
+    if (Array.isArray(result.chosenCandidates))
+      for (const index in result.chosenCandidates)
+        data.logprobsResult.chosenCandidates.push(
+          parseLogprobToken(result.chosenCandidates[index]),
+        );
+    if (Array.isArray(result.topCandidates))
+      for (const index in result.topCandidates) {
+        const top = result.topCandidates[index];
+        data.logprobsResult.topCandidates.push(
+          top && Array.isArray(top.candidates) ? top.candidates.map(parseLogprobToken) : [],
+        );
+      }
+  }
+  return data;
+};
 
-  /**
-   * Registers a predefined set of error codes and their associated messages for interpreting
-   * the finish reasons returned by the Google Generative AI API.
-   *
-   * Each error code maps to a human-readable explanation and optional display rules (e.g. `hide`).
-   * These can be used to provide meaningful messages in the UI or logs when handling model responses.
-   *
-   * @function
-   * @name tinyGoogleAI._setErrorCodes
-   * @param {Object<string, {text: string, hide?: boolean}>} errorCodes - An object where each key is an error/finish reason returned by the API,
-   * and the value contains a `text` message and optionally a `hide` flag to control visibility in UI.
-   *
-   * @returns {void}
-   *
-   * @example
-   * tinyGoogleAI._setErrorCodes({
-   *   STOP: { text: 'Natural stop point of the model or provided stop sequence.', hide: true },
-   *   MAX_TOKENS: { text: 'The maximum number of tokens as specified in the request was reached.' },
-   *   SAFETY: { text: 'The response candidate content was flagged for safety reasons.' },
-   *   ...
-   * });
-   *
-   * Example usage:
-   * const reason = response.finishReason;
-   * const errorInfo = tinyGoogleAI.getErrorCode(reason);
-   * console.log(errorInfo.text); // Shows friendly explanation for the finish reason
-   */
-  tinyGoogleAI._setErrorCodes({
-    FINISH_REASON_UNSPECIFIED: { text: 'Default value. This value is unused.' },
-    STOP: { text: 'Natural stop point of the model or provided stop sequence.', hide: true },
-    MAX_TOKENS: { text: 'The maximum number of tokens as specified in the request was reached.' },
-    SAFETY: { text: 'The response candidate content was flagged for safety reasons.' },
-    RECITATION: { text: 'The response candidate content was flagged for recitation reasons.' },
-    LANGUAGE: {
-      text: 'The response candidate content was flagged for using an unsupported language.',
-    },
-    OTHER: { text: 'Unknown reason.' },
-    BLOCKLIST: { text: 'Token generation stopped because the content contains forbidden terms.' },
-    PROHIBITED_CONTENT: {
-      text: 'Token generation stopped for potentially containing prohibited content.',
-    },
-    SPII: {
-      text: 'Token generation stopped because the content potentially contains Sensitive Personally Identifiable Information (SPII).',
-    },
-    MALFORMED_FUNCTION_CALL: { text: 'The function call generated by the model is invalid.' },
-    IMAGE_SAFETY: {
-      text: 'Token generation stopped because generated images contain safety violations.',
-    },
-  });
+/**
+ * Moves the parts flagged with `thought: true` of a content into its `thoughts` array,
+ * so the answer parts are kept separate from the reasoning.
+ *
+ * @param {*} content - A content built by `buildContents()`.
+ * @returns {void}
+ */
+const splitThoughts = (content) => {
+  const thoughts = content.parts.filter((/** @type {*} */ part) => part.thought === true);
+  if (thoughts.length < 1) return;
+  content.parts = content.parts.filter((/** @type {*} */ part) => part.thought !== true);
+  content.thoughts = thoughts;
+};
 
-  /**
-   * @param {*} [result={ error: { code: null, message: null, status: null, details: null } }]
-   * @param {*} [finalData={ error: { code: null, message: null, status: null, details: null } }]
-   */
-  const buildErrorData = (
-    result = { error: { code: null, message: null, status: null, details: null } },
-    finalData = { error: { code: null, message: null, status: null, details: null } },
-  ) => {
-    if (typeof result === 'undefined') throw new Error('Invalid result or missing error object');
-
-    finalData.error = {
-      code: typeof result.error.code === 'number' ? result.error.code : null,
-      message: typeof result.error.message === 'string' ? result.error.message : null,
-      status: typeof result.error.status === 'string' ? result.error.status : null,
-    };
+/**
+ * Parses a `cachedContents` resource.
+ *
+ * @param {*} result - The resource returned by the API.
+ * @returns {import('../TinyAiInstance.mjs').AiCache}
+ */
+const parseCache = (result) => ({
+  name: typeof result.name === 'string' ? result.name : null,
+  model: typeof result.model === 'string' ? result.model : null,
+  displayName: typeof result.displayName === 'string' ? result.displayName : null,
+  createTime: typeof result.createTime === 'string' ? result.createTime : null,
+  updateTime: typeof result.updateTime === 'string' ? result.updateTime : null,
+  expireTime: typeof result.expireTime === 'string' ? result.expireTime : null,
+  totalTokenCount:
+    result.usageMetadata && typeof result.usageMetadata.totalTokenCount === 'number'
+      ? result.usageMetadata.totalTokenCount
+      : null,
+});
 
-    if (result.error.details) finalData.error.details = result.error.details;
-  };
+/**
+ * Parses a `files` resource.
+ *
+ * @param {*} result - The resource returned by the API.
+ * @returns {import('../TinyAiInstance.mjs').AiFile}
+ */
+const parseFile = (result) => ({
+  name: typeof result.name === 'string' ? result.name : null,
+  displayName: typeof result.displayName === 'string' ? result.displayName : null,
+  mimeType: typeof result.mimeType === 'string' ? result.mimeType : null,
+  sizeBytes: typeof result.sizeBytes === 'string' ? Number(result.sizeBytes) : null,
+  createTime: typeof result.createTime === 'string' ? result.createTime : null,
+  updateTime: typeof result.updateTime === 'string' ? result.updateTime : null,
+  expirationTime: typeof result.expirationTime === 'string' ? result.expirationTime : null,
+  sha256Hash: typeof result.sha256Hash === 'string' ? result.sha256Hash : null,
+  uri: typeof result.uri === 'string' ? result.uri : null,
+  state: typeof result.state === 'string' ? result.state : null,
+  error: result.error && typeof result.error.message === 'string' ? result.error.message : null,
+});
+
+/**
+ * Gets the cache of the request session, if it can be used by a request of the model.
+ * Expired caches and caches created for other models are ignored.
+ *
+ * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+ * @param {string} model - The model of the request.
+ * @returns {import('../TinyAiInstance.mjs').SessionCache|null}
+ */
+const getUsableCache = (config, model) => {
+  const cache = config.cache;
+  if (!cache || cache.model !== `models/${model}`) return null;
+  if (typeof cache.expireTime === 'string' && Date.parse(cache.expireTime) <= Date.now())
+    return null;
+  return cache;
+};
 
+/**
+ * Constructs the full request body for the Google Gemini API call.
+ *
+ * When a session cache is provided and the request contents start with the cached contents,
+ * the cache is referenced in `cachedContent` and only the uncached tail of the contents is sent.
+ *
+ * @param {TinyAiInstance} tinyGoogleAI - The instance that made the request.
+ * @param {*} data
+ * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+ * @param {*} [resource={}] - The `model`, `ttl` and `displayName` of a new `cachedContents` resource.
+ * @param {import('../TinyAiInstance.mjs').SessionCache|null} [cache=null] - The session cache.
+ * @param {boolean} [cacheMode=false] - Builds the body of a new `cachedContents` resource.
+ * @returns {*}
+ */
+const requestBuilder = (
+  tinyGoogleAI,
+  data,
+  config,
+  resource = {},
+  cache = null,
+  cacheMode = false,
+) => {
   /**
-   * Constructs the full request body for the Google Gemini API call.
-   *
-   * @param {*} data
-   * @param {*} [config={}]
-   * @param {*} [cache=null]
-   * @param {boolean} [cacheMode=false]
-   * @returns {*}
+   * @type {{
+   * safetySettings: Array<{ category: string, threshold: string }>;
+   * model: any;
+   * ttl: any;
+   * displayName: any;
+   * contents: Array<any>;
+   * systemInstruction: any;
+   * generationConfig: {
+   *    thinkingConfig: any;
+   *    maxOutputTokens: any;
+   *    temperature: any;
+   *    topP: any;
+   *    topK: any;
+   *    presencePenalty: any;
+   *    frequencyPenalty: any;
+   *    enableEnhancedCivicAnswers: any;
+   *    responseMimeType: any;
+   *    responseSchema: any;
+   *    candidateCount: any;
+   *    stopSequences: any;
+   *    seed: any;
+   *    responseLogprobs: any;
+   *    logprobs: any;
+   *    responseModalities: any;
+   * };
+   *  cachedContent: any;
+   *  tools: any;
+   *  toolConfig: any;
+   * }}
    */
-  const requestBuilder = (data, config = {}, cache = null, cacheMode = false) => {
-    /**
-     * @type {{
-     * safetySettings: {};
-     * model: any;
-     * ttl: any;
-     * name: any;
-     * contents: Array<any>;
-     * systemInstruction: any;
-     * generationConfig: {
-     *    maxOutputTokens: any;
-     *    temperature: any;
-     *    topP: any;
-     *    topK: any;
-     *    presencePenalty: any;
-     *    frequencyPenalty: any;
-     *    enableEnhancedCivicAnswers: any;
-     * };
-     *  cachedContent: any;
-     * }}
-     */
-    const requestBody = {};
-    if (!cacheMode) requestBody.safetySettings = [];
-
-    // Model
-    if (typeof config.model === 'string') requestBody.model = config.model;
-
-    // Expiration
-    if (typeof config.ttl === 'string') requestBody.ttl = config.ttl;
-
-    // Expiration
-    if (typeof config.name === 'string') requestBody.name = config.name;
-
-    // Execute builder
-    for (const index in data) {
-      const item = data[index];
-      if (item) {
-        if (item.role !== 'system') {
-          if (!Array.isArray(requestBody.contents)) requestBody.contents = [];
-          tinyGoogleAI.buildContents(requestBody.contents, item, item.role, true);
-        } else {
-          if (!Array.isArray(requestBody.systemInstruction)) requestBody.systemInstruction = [];
-          tinyGoogleAI.buildContents(requestBody.systemInstruction, item, undefined, true);
-          requestBody.systemInstruction = requestBody.systemInstruction[0];
-        }
+  const requestBody = {};
+  if (!cacheMode) requestBody.safetySettings = config.safetySettings || [];
+
+  // Model
+  if (typeof resource.model === 'string') requestBody.model = resource.model;
+
+  // Expiration
+  if (typeof resource.ttl === 'string') requestBody.ttl = resource.ttl;
+
+  // Display name
+  if (typeof resource.displayName === 'string') requestBody.displayName = resource.displayName;
+
+  // Cached contents
+  let cachedItems = 0;
+  if (cache) {
+    const items = data.filter((/** @type {*} */ item) => item && item.role !== 'system');
+    const system = data.find((/** @type {*} */ item) => item && item.role === 'system');
+    const systemHash = system ? tinyGoogleAI._hashCacheContent(system) : null;
+    if (
+      cache.systemInstructionHash === systemHash &&
+      cache.contentHashes.length <= items.length &&
+      cache.contentHashes.every(
+        (hash, index) => hash === tinyGoogleAI._hashCacheContent(items[index]),
+      )
+    ) {
+      cachedItems = cache.contentHashes.length;
+      requestBody.cachedContent = cache.name;
+    }
+  }
+
+  // Thoughts
+  const thinkingConfig = !cacheMode ? config.thinkingConfig : null;
+  const sendThoughts = thinkingConfig ? thinkingConfig.sendThoughts === true : false;
+
+  // Execute builder
+  for (const index in data) {
+    let item = data[index];
+    if (item && Array.isArray(item.parts)) {
+      /** @type {Array<Record<string, any>>} */
+      const thoughts = Array.isArray(item.thoughts) ? item.thoughts : [];
+      item = {
+        ...item,
+        parts: sendThoughts
+          ? [...thoughts, ...item.parts]
+          : item.parts.filter((/** @type {*} */ part) => part.thought !== true),
+      };
+    }
+
+    if (item) {
+      // Cached items
+      if (requestBody.cachedContent && (item.role === 'system' || cachedItems-- > 0)) continue;
+
+      if (item.role !== 'system') {
+        if (!Array.isArray(requestBody.contents)) requestBody.contents = [];
+        tinyGoogleAI.buildContents(requestBody.contents, item, item.role, true);
+      } else {
+        if (!Array.isArray(requestBody.systemInstruction)) requestBody.systemInstruction = [];
+        tinyGoogleAI.buildContents(requestBody.systemInstruction, item, undefined, true);
+        requestBody.systemInstruction = requestBody.systemInstruction[0];
       }
     }
+  }
+
+  // Serialize parts
+  if (Array.isArray(requestBody.contents))
+    for (const index in requestBody.contents)
+      requestBody.contents[index].parts = requestBody.contents[index].parts.map(
+        (/** @type {Record<string, any>} */ part) => tinyGoogleAI.serializePart(part),
+      );
+  if (requestBody.systemInstruction)
+    requestBody.systemInstruction.parts = requestBody.systemInstruction.parts.map(
+      (/** @type {Record<string, any>} */ part) => tinyGoogleAI.serializePart(part),
+    );
+
+  // Tools
+  const tools = config.tools;
+  if (tools.length > 0 && !requestBody.cachedContent) {
+    requestBody.tools = [
+      {
+        functionDeclarations: tools.map((tool) => {
+          /** @type {Record<string, any>} */
+          const declaration = { name: tool.name };
+          if (typeof tool.description === 'string') declaration.description = tool.description;
+          if (tool.parameters) declaration.parameters = tool.parameters;
+          return declaration;
+        }),
+      },
+    ];
+  }
+
+  // Tool config
+  const toolConfig = config.toolConfig;
+  if (toolConfig && !requestBody.cachedContent) {
+    requestBody.toolConfig = { functionCallingConfig: { mode: toolConfig.mode } };
+    if (toolConfig.allowedFunctionNames)
+      requestBody.toolConfig.functionCallingConfig.allowedFunctionNames =
+        toolConfig.allowedFunctionNames;
+  }
+
+  // Config
+  if (!cacheMode) {
+    requestBody.generationConfig = {};
+    if (typeof config.maxOutputTokens === 'number')
+      requestBody.generationConfig.maxOutputTokens = config.maxOutputTokens;
+
+    if (typeof config.temperature === 'number')
+      requestBody.generationConfig.temperature = config.temperature;
+
+    if (typeof config.topP === 'number') requestBody.generationConfig.topP = config.topP;
+
+    if (typeof config.topK === 'number') requestBody.generationConfig.topK = config.topK;
+
+    if (typeof config.presencePenalty === 'number')
+      requestBody.generationConfig.presencePenalty = config.presencePenalty;
+
+    if (typeof config.frequencyPenalty === 'number')
+      requestBody.generationConfig.frequencyPenalty = config.frequencyPenalty;
+
+    if (typeof config.enableEnhancedCivicAnswers === 'boolean')
+      requestBody.generationConfig.enableEnhancedCivicAnswers = config.enableEnhancedCivicAnswers;
+
+    if (typeof config.responseMimeType === 'string')
+      requestBody.generationConfig.responseMimeType = config.responseMimeType;
 
-    // Config
-    if (!cacheMode) {
-      requestBody.generationConfig = {};
-      if (typeof tinyGoogleAI.getMaxOutputTokens() === 'number')
-        requestBody.generationConfig.maxOutputTokens = tinyGoogleAI.getMaxOutputTokens();
+    if (config.stopSequences) requestBody.generationConfig.stopSequences = config.stopSequences;
 
-      if (typeof tinyGoogleAI.getTemperature() === 'number')
-        requestBody.generationConfig.temperature = tinyGoogleAI.getTemperature();
+    if (typeof config.seed === 'number') requestBody.generationConfig.seed = config.seed;
 
-      if (typeof tinyGoogleAI.getTopP() === 'number')
-        requestBody.generationConfig.topP = tinyGoogleAI.getTopP();
+    if (typeof config.responseLogprobs === 'boolean')
+      requestBody.generationConfig.responseLogprobs = config.responseLogprobs;
 
-      if (typeof tinyGoogleAI.getTopK() === 'number')
-        requestBody.generationConfig.topK = tinyGoogleAI.getTopK();
+    if (typeof config.logprobs === 'number')
+      requestBody.generationConfig.logprobs = config.logprobs;
 
-      if (typeof tinyGoogleAI.getPresencePenalty() === 'number')
-        requestBody.generationConfig.presencePenalty = tinyGoogleAI.getPresencePenalty();
+    if (config.responseModalities)
+      requestBody.generationConfig.responseModalities = config.responseModalities;
 
-      if (typeof tinyGoogleAI.getFrequencyPenalty() === 'number')
-        requestBody.generationConfig.frequencyPenalty = tinyGoogleAI.getFrequencyPenalty();
+    if (typeof config.candidateCount === 'number')
+      requestBody.generationConfig.candidateCount = config.candidateCount;
 
-      if (typeof tinyGoogleAI.isEnabledEnchancedCivicAnswers() === 'boolean')
-        requestBody.generationConfig.enableEnhancedCivicAnswers =
-          tinyGoogleAI.isEnabledEnchancedCivicAnswers();
+    if (config.responseSchema) requestBody.generationConfig.responseSchema = config.responseSchema;
+
+    if (
+      thinkingConfig &&
+      (typeof thinkingConfig.thinkingBudget === 'number' ||
+        typeof thinkingConfig.includeThoughts === 'boolean')
+    ) {
+      requestBody.generationConfig.thinkingConfig = {};
+      if (typeof thinkingConfig.thinkingBudget === 'number')
+        requestBody.generationConfig.thinkingConfig.thinkingBudget = thinkingConfig.thinkingBudget;
+      if (typeof thinkingConfig.includeThoughts === 'boolean')
+        requestBody.generationConfig.thinkingConfig.includeThoughts =
+          thinkingConfig.includeThoughts;
     }
+  }
 
-    // Cache
-    if (cache) requestBody.cachedContent = cache;
+  // Complete
+  return requestBody;
+};
 
-    // Complete
-    return requestBody;
+/**
+ * Tiny Google AI Provider
+ * -----------------------------
+ * The `TinyAiProvider` implementation of the Google Gemini API.
+ * It generates content with `generateContent`/`streamGenerateContent`, lists the models and counts tokens.
+ */
+class TinyGoogleAiProvider extends TinyAiProvider {
+  /** @type {import('../TinyAiProvider.mjs').TinyAiProviderCapabilities} */
+  capabilities = {
+    generate: true,
+    stream: true,
+    models: true,
+    countTokens: true,
+    embed: true,
+    caches: true,
+    files: true,
   };
 
+  /**
+   * Returns a predefined set of error codes and their associated messages for interpreting
+   * the finish reasons returned by the Google Generative AI API.
+   *
+   * Each error code maps to a human-readable explanation and optional display rules (e.g. `hide`).
+   * These can be used to provide meaningful messages in the UI or logs when handling model responses.
+   *
+   * @returns {Record<string, {text: string, hide?: boolean}>}
+   *
+   * @example
+   * const reason = response.finishReason;
+   * const errorInfo = tinyGoogleAI.getErrorCode(reason);
+   * console.log(errorInfo.text); // Shows friendly explanation for the finish reason
+   */
+  errorCodes() {
+    return {
+      FINISH_REASON_UNSPECIFIED: { text: 'Default value. This value is unused.' },
+      STOP: { text: 'Natural stop point of the model or provided stop sequence.', hide: true },
+      MAX_TOKENS: { text: 'The maximum number of tokens as specified in the request was reached.' },
+      SAFETY: { text: 'The response candidate content was flagged for safety reasons.' },
+      RECITATION: { text: 'The response candidate content was flagged for recitation reasons.' },
+      LANGUAGE: {
+        text: 'The response candidate content was flagged for using an unsupported language.',
+      },
+      OTHER: { text: 'Unknown reason.' },
+      BLOCKLIST: { text: 'Token generation stopped because the content contains forbidden terms.' },
+      PROHIBITED_CONTENT: {
+        text: 'Token generation stopped for potentially containing prohibited content.',
+      },
+      SPII: {
+        text: 'Token generation stopped because the content potentially contains Sensitive Personally Identifiable Information (SPII).',
+      },
+      MALFORMED_FUNCTION_CALL: { text: 'The function call generated by the model is invalid.' },
+      IMAGE_SAFETY: {
+        text: 'Token generation stopped because generated images contain safety violations.',
+      },
+    };
+  }
+
   // https://ai.google.dev/api/generate-content?hl=pt-br#method:-models.generatecontent
   /**
    * Internal method that integrates with Google Gemini via generateContent or streamGenerateContent.
    * It builds the request body, handles normal and streaming responses, parses tokens and content,
    * and returns structured response data.
    *
-   * @function
-   * @name tinyGoogleAI._setGenContent
+   * @param {TinyAiInstance} tinyGoogleAI - The instance that made the request.
    * @param {string} apiKey - Your Google AI API key.
    * @param {boolean} isStream - Whether the request is a streaming request.
-   * @param {object[]} data - An array of messages to send (prompt).
+   * @param {any} data - An array of messages to send (prompt).
    * @param {string} model - The Gemini model ID (e.g., "gemini-pro").
    * @param {Function} streamingCallback - Callback for streaming results. Called with partials.
-   * @param {AbortController} controller - Optional abort controller for cancelling requests.
-   * @returns {Promise<object>} finalData - A promise that resolves with a structured response object:
+   * @param {AbortController|undefined} controller - Optional abort controller for cancelling requests.
+   * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+   * @returns {Promise<any>} finalData - A promise that resolves with a structured response object:
    * - finalData.contents: Parsed content output
    * - finalData.tokenUsage: Usage info with prompt/candidate/total counts
    * - finalData.modelVersion: Model version string
    * - finalData._response: Raw response
    * - finalData.error: (If error occurred) contains message, status, and code
    */
-  tinyGoogleAI._setGenContent(
-    /**
-     * @param {string} apiKey
-     * @param {boolean} isStream
-     * @param {any} data
-     * @param {string} model
-     * @param {function} streamingCallback
-     * @param {AbortController} controller
-     * @returns {any}
-     */
-    (apiKey, isStream, data, model, streamingCallback, controller) =>
-      new Promise((resolve, reject) => {
-        // Request
-        const requestBody = requestBuilder(data);
-
-        /**
-         * Parses token usage metadata from the result object.
-         *
-         * @param {*} result - The API response containing usageMetadata.
-         * @returns {[object, boolean]} Tuple of metadata object and whether an error occurred.
-         * @private
-         */
-        const buildUsageMetada = (result) => {
-          const usageMetadata = {
-            count: {
-              candidates: null,
-              prompt: null,
-              total: null,
-            },
+  #genContent(tinyGoogleAI, apiKey, isStream, data, model, streamingCallback, controller, config) {
+    return new Promise((resolve, reject) => {
+      // Request
+      const requestBody = requestBuilder(
+        tinyGoogleAI,
+        data,
+        config,
+        {},
+        getUsableCache(config, model),
+      );
+
+      /**
+       * Parses token usage metadata from the result object.
+       *
+       * @param {*} result - The API response containing usageMetadata.
+       * @returns {[object, boolean]} Tuple of metadata object and whether an error occurred.
+       * @private
+       */
+      const buildUsageMetada = (result) => {
+        /** @type {{ count: Record<string, number|null>, modalities: Record<string, Record<string, number>> }} */
+        const usageMetadata = {
+          count: {
+            candidates: null,
+            prompt: null,
+            cached: null,
+            thoughts: null,
+            total: null,
+          },
+          modalities: {},
+        };
+
+        let needShowMetadataError = false;
+        if (result.usageMetadata) {
+          // Candidates
+          if (typeof result.usageMetadata.candidatesTokenCount === 'number')
+            usageMetadata.count.candidates = result.usageMetadata.candidatesTokenCount;
+          // Prompt
+          if (typeof result.usageMetadata.promptTokenCount === 'number')
+            usageMetadata.count.prompt = result.usageMetadata.promptTokenCount;
+          // Cached
+          if (typeof result.usageMetadata.cachedContentTokenCount === 'number')
+            usageMetadata.count.cached = result.usageMetadata.cachedContentTokenCount;
+          // Thoughts
+          if (typeof result.usageMetadata.thoughtsTokenCount === 'number')
+            usageMetadata.count.thoughts = result.usageMetadata.thoughtsTokenCount;
+          // Modalities
+          /** @type {Record<string, string>} */
+          const modalityDetails = {
+            prompt: 'promptTokensDetails',
+            cached: 'cacheTokensDetails',
+            candidates: 'candidatesTokensDetails',
           };
+          for (const where in modalityDetails) {
+            const details = result.usageMetadata[modalityDetails[where]];
+            if (!Array.isArray(details)) continue;
+            usageMetadata.modalities[where] = {};
+            for (const index in details)
+              if (
+                typeof details[index].modality === 'string' &&
+                typeof details[index].tokenCount === 'number'
+              )
+                usageMetadata.modalities[where][details[index].modality] =
+                  details[index].tokenCount;
+          }
+        }
+        // Error
+        else needShowMetadataError = true;
+        return [usageMetadata, needShowMetadataError];
+      };
+
+      /**
+       * Parses and adds content candidates to the final result object.
+       * Candidates without content, like the ones blocked by safety, are kept with empty parts and their finish reason.
+       *
+       * @param {*} result - The result object from the API response.
+       * @param {*} finalData - The object where content candidates and their log probabilities are appended.
+       * @private
+       */
+      const buildContent = (result, finalData) => {
+        if (Array.isArray(result.candidates)) {
+          for (const index in result.candidates) {
+            const item = result.candidates[index];
+            const content = item.content ? item.content : { parts: [] };
+
+            // Finished reason
+            let finishReason = null;
+            if (typeof item.finishReason === 'string')
+              finishReason = item.finishReason.toUpperCase();
 
-          let needShowMetadataError = false;
-          if (result.usageMetadata) {
-            // Candidates
-            if (typeof result.usageMetadata.candidatesTokenCount === 'number')
-              usageMetadata.count.candidates = result.usageMetadata.candidatesTokenCount;
-            // Prompt
-            if (typeof result.usageMetadata.promptTokenCount === 'number')
-              usageMetadata.count.prompt = result.usageMetadata.promptTokenCount;
-            // Total
-            if (typeof result.usageMetadata.totalTokenCount === 'number')
-              usageMetadata.count.total = result.usageMetadata.totalTokenCount;
+            // Build content
+            tinyGoogleAI.buildContents(
+              finalData.contents,
+              content,
+              typeof content.role === 'string' ? content.role : 'model',
+            );
+            finalData.contents[finalData.contents.length - 1].finishReason = finishReason;
+            splitThoughts(finalData.contents[finalData.contents.length - 1]);
+
+            // Log probabilities
+            finalData.logprobs.push(parseLogprobs(item));
           }
-          // Error
-          else needShowMetadataError = true;
-          return [usageMetadata, needShowMetadataError];
-        };
+        }
+      };
+
+      /**
+       * Final handler that transforms the result into a structured response.
+       *
+       * @param {*} result - The response from the Gemini API.
+       * @returns {*} finalData - Structured result with content, usage, model version, or error.
+       * @private
+       */
+      const finalPromise = (result) => {
+        // Prepare final data
+        /** @type {*} */
+        const finalData = { _response: result };
+        if (!result.error) {
+          // Content
+          finalData.contents = [];
+          finalData.logprobs = [];
+
+          // Model Version
+          finalData.modelVersion =
+            typeof result.modelVersion === 'string' ? result.modelVersion : null;
+
+          // Cached Content Token Count
+          finalData.cachedContentTokenCount =
+            result.usageMetadata && typeof result.usageMetadata.cachedContentTokenCount === 'number'
+              ? result.usageMetadata.cachedContentTokenCount
+              : null;
+
+          // Token Usage
+          const [tokenUsage, needShowMetadataError] = buildUsageMetada(result);
+          finalData.tokenUsage = tokenUsage;
+          if (needShowMetadataError) {
+            console.error('Usage Metadata not found in the Google AI result.');
+            console.log(result);
+          }
+
+          // Build content
+          buildContent(result, finalData);
+        }
 
-        /**
-         * Parses and adds content candidates to the final result object.
-         *
-         * @param {*} result - The result object from the API response.
-         * @param {*} finalData - The object where content candidates are appended.
-         * @private
-         */
-        const buildContent = (result, finalData) => {
-          if (Array.isArray(result.candidates)) {
+        // Error result
+        else buildErrorData(result, finalData);
+
+        // Complete
+        return finalData;
+      };
+
+      /**
+       * Handles streaming Gemini response as Server-Sent Events (`alt=sse`).
+       * Each event carries a complete `GenerateContentResponse` chunk. The text parts of each
+       * candidate are accumulated and the partials are sent back using the streamingCallback.
+       *
+       * @async
+       * @param {ReadableStream} stream - The ReadableStream from fetch().body
+       * @returns {Promise<void>}
+       * @private
+       */
+      const streamingResponse = async (stream) => {
+        try {
+          let countData = 0;
+          /** @type {*} */
+          let streamResult = {};
+          /** @type {{ role: string|null, finishReason: string|null, logprobs: LogprobsData|null, parts: Record<string, any>[] }[]} */
+          const streamCache = [];
+
+          /**
+           * Merges the candidates of a chunk into the stream cache.
+           * Consecutive text parts are joined, other parts are appended as they arrive.
+           *
+           * @param {*} result - The parsed chunk.
+           */
+          const insertStreamChunk = (result) => {
+            if (!Array.isArray(result.candidates)) return;
             for (const index in result.candidates) {
               const item = result.candidates[index];
-              if (item.content) {
-                // Finished reason
-                let finishReason = null;
-                if (typeof item.finishReason === 'string')
-                  finishReason = item.finishReason.toUpperCase();
-
-                // Build content
-                tinyGoogleAI.buildContents(finalData.contents, item.content, item.content.role);
-                finalData.contents[finalData.contents.length - 1].finishReason = finishReason;
+              const candidateIndex = typeof item.index === 'number' ? item.index : Number(index);
+              if (!streamCache[candidateIndex])
+                streamCache[candidateIndex] = {
+                  role: null,
+                  finishReason: null,
+                  logprobs: null,
+                  parts: [],
+                };
+              const cache = streamCache[candidateIndex];
+              cache.logprobs = parseLogprobs(item, cache.logprobs);
+
+              if (typeof item.finishReason === 'string')
+                cache.finishReason = item.finishReason.toUpperCase();
+              if (!item.content) continue;
+              if (typeof item.content.role === 'string') cache.role = item.content.role;
+
+              if (Array.isArray(item.content.parts)) {
+                for (const index2 in item.content.parts) {
+                  const part = item.content.parts[index2];
+                  const lastPart = cache.parts[cache.parts.length - 1];
+                  if (
+                    typeof part.text === 'string' &&
+                    lastPart &&
+                    typeof lastPart.text === 'string' &&
+                    (part.thought === true) === (lastPart.thought === true) &&
+                    Object.keys(part).every((key) => key === 'text' || key === 'thought') &&
+                    Object.keys(lastPart).every((key) => key === 'text' || key === 'thought')
+                  )
+                    lastPart.text += part.text;
+                  else cache.parts.push({ ...part });
+                }
               }
             }
-          }
-        };
+          };
 
-        /**
-         * Final handler that transforms the result into a structured response.
-         *
-         * @param {*} result - The response from the Gemini API.
-         * @returns {*} finalData - Structured result with content, usage, model version, or error.
-         * @private
-         */
-        const finalPromise = (result) => {
-          // Prepare final data
-          /** @type {*} */
-          const finalData = { _response: result };
-          if (!result.error) {
-            // Content
-            finalData.contents = [];
-
-            // Model Version
-            finalData.modelVersion =
-              typeof result.modelVersion === 'string' ? result.modelVersion : null;
-
-            // Token Usage
-            const [tokenUsage, needShowMetadataError] = buildUsageMetada(result);
-            finalData.tokenUsage = tokenUsage;
-            if (needShowMetadataError) {
-              console.error('Usage Metadata not found in the Google AI result.');
-              console.log(result);
+          /**
+           * Builds the accumulated contents of the stream cache.
+           *
+           * @returns {*[]}
+           */
+          const buildStreamContents = () => {
+            /** @type {*[]} */
+            const contents = [];
+            for (const index in streamCache) {
+              const cache = streamCache[index];
+              tinyGoogleAI.buildContents(contents, { parts: cache.parts }, cache.role || 'model');
+              contents[contents.length - 1].finishReason = cache.finishReason;
+              splitThoughts(contents[contents.length - 1]);
             }
+            return contents;
+          };
 
-            // Build content
-            buildContent(result, finalData);
-          }
-
-          // Error result
-          else buildErrorData(result, finalData);
-
-          // Complete
-          return finalData;
-        };
-
-        /**
-         * Handles streaming Gemini response via Fetch and TextDecoder.
-         * Buffers content and sends back partials using the streamingCallback.
-         *
-         * @async
-         * @param {ReadableStream} stream - The ReadableStream from fetch().body
-         * @returns {Promise<void>}
-         * @private
-         */
-        const streamingResponse = async (stream) => {
+          // Read streaming
+          console.groupCollapsed('[google-generative] Streaming request.');
+          console.log(`[ai-config] [${model}]`, requestBody, data);
           try {
-            const reader = stream.getReader();
-            const decoder = new TextDecoder('utf-8');
-            let done = false;
-            let countData = 0;
-            let streamResult = {};
-            /** @type {*} */
-            const streamCache = [];
-
-            // Read streaming
-            console.groupCollapsed('[google-generative] Streaming request.');
-            console.log(`[ai-config] [${model}]`, requestBody, data);
-            while (!done) {
-              if (reader && typeof reader.read === 'function') {
-                const readerData = await reader.read();
-                const { value, done: streamDone } = readerData;
-                done = streamDone;
-                if (value) {
-                  const chunk = decoder.decode(value, { stream: true });
-                  if (!done) {
-                    let cleanedJson = '';
-                    try {
-                      cleanedJson = chunk.trim();
-                      if (cleanedJson.startsWith(',')) cleanedJson = cleanedJson.substring(1);
-                      if (cleanedJson.length > 1) {
-                        cleanedJson = jsonrepair(cleanedJson);
-                        cleanedJson = `${!cleanedJson.startsWith('[') ? '[' : ''}${cleanedJson}${!cleanedJson.endsWith(']') ? ']' : ''}`;
-                        const jsonChunk = JSON.parse(cleanedJson);
-
-                        console.log(`[${countData}]`, chunk);
-                        console.log(`[${countData}]`, cleanedJson);
-                        console.log(`[${countData}]`, jsonChunk);
-
-                        // Send temp data
-                        for (const indexResult in jsonChunk) {
-                          const result = jsonChunk[indexResult];
-                          if (result) {
-                            /** @type {*} */
-                            const tinyData = { contents: [] };
-                            buildContent(result, tinyData);
-
-                            /** @type {*} */
-                            const tinyResult = {
-                              tokenUsage: buildUsageMetada(result)[0],
-                            };
-
-                            for (const index in tinyData.contents) {
-                              if (!Array.isArray(streamCache[index])) streamCache[index] = [];
-                              for (const index2 in tinyData.contents[index].parts) {
-                                const item = tinyData.contents[index].parts[index2];
-                                if (typeof item.text === 'string') {
-                                  if (!streamCache[index][index2]) streamCache[index][index2] = {};
-
-                                  if (typeof streamCache[index][index2].text !== 'string')
-                                    streamCache[index][index2].text = '';
-
-                                  streamCache[index][index2].text += item.text;
-                                  item.text = streamCache[index][index2].text;
-
-                                  if (typeof tinyData.contents[index].role === 'string')
-                                    streamCache[index][index2].role = tinyData.contents[index].role;
-                                }
-                              }
-                            }
-
-                            // Complete
-                            streamResult = result;
-                            tinyResult.contents = tinyData.contents;
-                            tinyResult.done = false;
-                            streamingCallback(tinyResult);
-                          }
-                        }
-                      }
-                    } catch {
-                      console.log(`[google-generative] [ai-error] [chuck] [${countData}]`, chunk);
-                      console.log(
-                        `[google-generative] [ai-error] [cleanedJson] [${countData}]`,
-                        cleanedJson,
-                      );
-                    }
-                  }
-                }
-                countData++;
-              } else done = true;
-            }
-            console.groupEnd();
+            await readSseStream(stream, ({ data: eventData }) => {
+              /** @type {*} */
+              let result;
+              try {
+                result = JSON.parse(eventData);
+              } catch (err) {
+                throw new Error(
+                  `Invalid Google AI streaming chunk [${countData}]: ${/** @type {Error} */ (err).message}`,
+                  { cause: err },
+                );
+              }
+              console.log(`[${countData}]`, result);
+              countData++;
 
-            // Complete
-            streamingCallback({ done: true });
-            const finalData = finalPromise(streamResult);
-            for (const index in finalData.contents) {
-              for (const index2 in finalData.contents[index].parts) {
-                if (typeof finalData.contents[index].parts[index2].text === 'string')
-                  finalData.contents[index].parts[index2].text = streamCache[index][index2];
+              // Error event
+              if (result.error) {
+                streamResult = result;
+                return;
               }
-            }
-            resolve(finalData);
-          } catch (err) {
-            reject(err);
+
+              // Send temp data
+              streamResult = result;
+              insertStreamChunk(result);
+              streamingCallback({
+                contents: buildStreamContents(),
+                tokenUsage: buildUsageMetada(result)[0],
+                done: false,
+              });
+            });
+          } finally {
+            console.groupEnd();
           }
-        };
 
-        // Request
-        const fetchRequest = fetch(
-          `${apiUrl}/models/${model}:${!isStream ? 'generateContent' : 'streamGenerateContent'}?key=${encodeURIComponent(apiKey)}`,
-          {
-            signal: controller ? controller.signal : undefined,
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody),
+          // Complete
+          streamingCallback({ done: true });
+          const finalData = finalPromise(streamResult);
+          if (!finalData.error) {
+            finalData.contents = buildStreamContents();
+            finalData.logprobs = [];
+            for (const index in streamCache) finalData.logprobs.push(streamCache[index].logprobs);
+          }
+          resolve(finalData);
+        } catch (err) {
+          reject(err);
+        }
+      };
+
+      // Request
+      const fetchRequest = fetch(
+        `${apiUrl}/models/${model}:${!isStream ? 'generateContent?' : 'streamGenerateContent?alt=sse&'}key=${encodeURIComponent(apiKey)}`,
+        {
+          signal: controller ? controller.signal : undefined,
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
           },
-        );
+          body: JSON.stringify(requestBody),
+        },
+      );
+
+      // Normal
+
+      // Request
+      fetchRequest
+        .then((res) => {
+          // Normal
+          if (!isStream)
+            res
+              .json()
+              .then((result) => resolve(finalPromise(result)))
+              .catch(reject);
+          else {
+            // Error Streaming
+            if (!res.body) reject(new Error('No AI streaming value found.'));
+            else if (!res.ok) reject(buildHttpError(res));
+            // Streaming
+            else streamingResponse(res.body);
+          }
+        })
+        // Error
+        .catch(reject);
+    });
+  }
 
-        // Normal
+  /**
+   * Generates content with the `generateContent` endpoint.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>} The structured response object.
+   */
+  generate({ instance, apiKey, data, model, controller, config }) {
+    return this.#genContent(
+      instance,
+      apiKey || '',
+      false,
+      data,
+      model || '',
+      () => {},
+      controller,
+      config,
+    );
+  }
 
-        // Request
-        fetchRequest
-          .then((res) => {
-            // Normal
-            if (!isStream)
-              res
-                .json()
-                .then((result) => resolve(finalPromise(result)))
-                .catch(reject);
-            else {
-              // Error Streaming
-              if (!res.body) reject(new Error('No AI streaming value found.'));
-              else if (!res.ok)
-                reject(
-                  new Error(
-                    `Error ${typeof res.status === 'number' ? `HTTP ${res.status}` : 'UNKNOWN ERROR'}: ${
-                      typeof res.statusText === 'string'
-                        ? res.statusText.length > 0
-                          ? res.statusText
-                          : typeof errorCodes[Number(res.status)] === 'string'
-                            ? errorCodes[Number(res.status)]
-                            : '???'
-                        : 'Unknown'
-                    }`,
-                  ),
-                );
-              // Streaming
-              else streamingResponse(res.body);
-            }
-          })
-          // Error
-          .catch(reject);
-      }),
-  );
+  /**
+   * Generates content with the `streamGenerateContent` endpoint.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @param {import('../TinyAiProvider.mjs').TinyAiStreamCallback} callback - Callback for streaming results. Called with partials.
+   * @returns {Promise<any>} The structured response object.
+   */
+  stream({ instance, apiKey, data, model, controller, config }, callback) {
+    return this.#genContent(
+      instance,
+      apiKey || '',
+      true,
+      data,
+      model || '',
+      callback,
+      controller,
+      config,
+    );
+  }
 
   // https://ai.google.dev/api/models?hl=pt_br#method:-models.list
   /**
-   * Registers a function to fetch and organize the list of available Google AI models.
+   * Fetches and organizes the list of available Google AI models.
    * The returned models are grouped into categories (`main`, `exp`, `others`) and sorted based on a predefined versioning logic.
    *
-   * @function
-   * @name tinyGoogleAI._setGetModels
-   * @param {function(string, number, string=): Promise<Object>} callback - A function that takes an API key, an optional page size, and an optional page token,
-   * and returns a Promise with the processed models data.
-   *
-   * @returns {void}
-   *
-   * @example
-   * tinyGoogleAI._setGetModels((apiKey, pageSize, pageToken) => { ... });
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderModelsRequest} request - The request data.
+   * @returns {Promise<any>}
    *
    * Returned object when resolved:
    * {
@@ -614,184 +833,171 @@ export function setTinyGoogleAi(tinyGoogleAI, GEMINI_API_KEY, MODEL_DATA = 'gemi
    *   supportedGenerationMethods: [<string>]
    * }
    */
-  tinyGoogleAI._setGetModels(
-    /**
-     * @param {string} apiKey
-     * @param {number} pageSize
-     * @param {string} pageToken
-     * @returns {any}
-     */
-    (apiKey, pageSize, pageToken) =>
-      new Promise((resolve, reject) =>
-        fetch(
-          `${apiUrl}/models?key=${encodeURIComponent(apiKey)}&pageSize=${encodeURIComponent(pageSize)}${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`,
-          {
-            method: 'GET',
-            headers: {
-              'Content-Type': 'application/json',
-            },
+  listModels({ instance: tinyGoogleAI, apiKey, pageSize, pageToken }) {
+    apiKey = apiKey || '';
+    return new Promise((resolve, reject) =>
+      fetch(
+        `${apiUrl}/models?key=${encodeURIComponent(apiKey)}&pageSize=${encodeURIComponent(pageSize)}${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`,
+        {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
           },
-        )
-          // Request
-          .then((res) => res.json())
-          .then((result) => {
-            // Prepare final data
-            /** @type {*} */
-            const finalData = { _response: result };
-            if (!result.error) {
-              finalData.newData = [];
+        },
+      )
+        // Request
+        .then((res) => res.json())
+        .then((result) => {
+          // Prepare final data
+          /** @type {*} */
+          const finalData = { _response: result };
+          if (!result.error) {
+            finalData.newData = [];
 
-              // Update Token
-              tinyGoogleAI._setNextModelsPageToken(result.nextPageToken);
+            // Update Token
+            tinyGoogleAI._setNextModelsPageToken(result.nextPageToken);
 
-              // Categories
-              /** @type {*} */
-              const newModels = [
-                {
-                  category: 'main',
-                  index: 0,
-                  displayName: '--> Main models',
-                  data: [],
-                },
-                {
-                  category: 'exp',
-                  index: 1,
-                  displayName: '--> Experimental models',
-                  data: [],
-                },
-                {
-                  category: 'others',
-                  index: 2,
-                  displayName: '--> Other models',
-                  data: [],
-                },
-              ];
-
-              const modelOrderIndexUsed = { main: -1, exp: -1 };
-              /** @type {*} */
-              const modelOrder = {};
-
-              const addModelVersions = (version = '') => {
-                // Release
-                modelOrderIndexUsed.main++;
-                modelOrder[`gemini-${version}-flash`] = {
-                  index: modelOrderIndexUsed.main,
-                  category: 'main',
-                };
-                modelOrderIndexUsed.main++;
-                modelOrder[`gemini-${version}-pro`] = {
-                  index: modelOrderIndexUsed.main,
-                  category: 'main',
-                };
-                // Exp
-                modelOrderIndexUsed.exp++;
-                modelOrder[`gemini-${version}-flash-exp`] = {
-                  index: modelOrderIndexUsed.exp,
-                  category: 'exp',
-                };
-                modelOrderIndexUsed.exp++;
-                modelOrder[`gemini-${version}-pro-exp`] = {
-                  index: modelOrderIndexUsed.exp,
-                  category: 'exp',
-                };
+            // Categories
+            /** @type {*} */
+            const newModels = [
+              {
+                category: 'main',
+                index: 0,
+                displayName: '--> Main models',
+                data: [],
+              },
+              {
+                category: 'exp',
+                index: 1,
+                displayName: '--> Experimental models',
+                data: [],
+              },
+              {
+                category: 'others',
+                index: 2,
+                displayName: '--> Other models',
+                data: [],
+              },
+            ];
+
+            const modelOrderIndexUsed = { main: -1, exp: -1 };
+            /** @type {*} */
+            const modelOrder = {};
+
+            const addModelVersions = (version = '') => {
+              // Release
+              modelOrderIndexUsed.main++;
+              modelOrder[`gemini-${version}-flash`] = {
+                index: modelOrderIndexUsed.main,
+                category: 'main',
+              };
+              modelOrderIndexUsed.main++;
+              modelOrder[`gemini-${version}-pro`] = {
+                index: modelOrderIndexUsed.main,
+                category: 'main',
+              };
+              // Exp
+              modelOrderIndexUsed.exp++;
+              modelOrder[`gemini-${version}-flash-exp`] = {
+                index: modelOrderIndexUsed.exp,
+                category: 'exp',
               };
+              modelOrderIndexUsed.exp++;
+              modelOrder[`gemini-${version}-pro-exp`] = {
+                index: modelOrderIndexUsed.exp,
+                category: 'exp',
+              };
+            };
 
-              for (let versionNumber = 99; versionNumber >= 2; versionNumber--) {
-                addModelVersions(`${versionNumber}.0`);
-                addModelVersions(`${versionNumber}.5`);
-              }
-              addModelVersions('1.5');
-
-              // Read models
-              console.log('[Google Generative] Models list', result.models);
-              for (const index in result.models) {
-                const id = result.models[index].name.substring(7);
-                let allowed = false;
-                if (
-                  Array.isArray(result.models[index].supportedGenerationMethods) &&
-                  result.models[index].supportedGenerationMethods.indexOf('generateContent') > -1 &&
-                  result.models[index].supportedGenerationMethods.indexOf('countTokens') > -1
-                ) {
-                  for (const id2 in modelOrder) {
-                    if (id.startsWith(id2) || id === id2) allowed = true;
-                  }
+            for (let versionNumber = 99; versionNumber >= 2; versionNumber--) {
+              addModelVersions(`${versionNumber}.0`);
+              addModelVersions(`${versionNumber}.5`);
+            }
+            addModelVersions('1.5');
+
+            // Read models
+            console.log('[Google Generative] Models list', result.models);
+            for (const index in result.models) {
+              const id = result.models[index].name.substring(7);
+              let allowed = false;
+              if (
+                Array.isArray(result.models[index].supportedGenerationMethods) &&
+                result.models[index].supportedGenerationMethods.indexOf('generateContent') > -1 &&
+                result.models[index].supportedGenerationMethods.indexOf('countTokens') > -1
+              ) {
+                for (const id2 in modelOrder) {
+                  if (id.startsWith(id2) || id === id2) allowed = true;
                 }
+              }
 
-                // Allow add the model
-                if (allowed) {
-                  // Add custom order
-                  if (modelOrder[id] && typeof modelOrder[id].index === 'number')
-                    result.models[index]._NEW_ORDER = modelOrder[id].index;
-                  else result.models[index]._NEW_ORDER = 999999;
-
-                  // Add Category
-                  if (modelOrder[id] && typeof modelOrder[id].category === 'string') {
-                    const category = newModels.find(
-                      (/** @type {any} */ item) => item.category === modelOrder[id].category,
-                    );
-                    if (category) category.data.push(result.models[index]);
-                    // Nope
-                    else newModels[newModels.length - 1].data.push(result.models[index]);
-                  } else newModels[newModels.length - 1].data.push(result.models[index]);
-                }
+              // Allow add the model
+              if (allowed) {
+                // Add custom order
+                if (modelOrder[id] && typeof modelOrder[id].index === 'number')
+                  result.models[index]._NEW_ORDER = modelOrder[id].index;
+                else result.models[index]._NEW_ORDER = 999999;
+
+                // Add Category
+                if (modelOrder[id] && typeof modelOrder[id].category === 'string') {
+                  const category = newModels.find(
+                    (/** @type {any} */ item) => item.category === modelOrder[id].category,
+                  );
+                  if (category) category.data.push(result.models[index]);
+                  // Nope
+                  else newModels[newModels.length - 1].data.push(result.models[index]);
+                } else newModels[newModels.length - 1].data.push(result.models[index]);
               }
+            }
 
-              // Send data
-              for (const index in newModels) {
-                for (const index2 in newModels[index].data) {
-                  const newModel = {
-                    _response: newModels[index].data[index2],
-                    category: {
-                      displayName: newModels[index].displayName,
-                      id: newModels[index].category,
-                      index: newModels[index].index,
-                    },
-                    index: newModels[index].data[index2]._NEW_ORDER,
-                    name: newModels[index].data[index2].name,
-                    id: newModels[index].data[index2].name.substring(7),
-                    displayName: newModels[index].data[index2].displayName,
-                    version: newModels[index].data[index2].version,
-                    description: newModels[index].data[index2].description,
-                    inputTokenLimit: newModels[index].data[index2].inputTokenLimit,
-                    outputTokenLimit: newModels[index].data[index2].outputTokenLimit,
-                    temperature: newModels[index].data[index2].temperature,
-                    maxTemperature: newModels[index].data[index2].maxTemperature,
-                    topP: newModels[index].data[index2].topP,
-                    topK: newModels[index].data[index2].topK,
-                    supportedGenerationMethods:
-                      newModels[index].data[index2].supportedGenerationMethods,
-                  };
-
-                  const inserted = tinyGoogleAI._insertNewModel(newModel);
-                  if (inserted) finalData.newData.push(inserted);
-                }
+            // Send data
+            for (const index in newModels) {
+              for (const index2 in newModels[index].data) {
+                const newModel = {
+                  _response: newModels[index].data[index2],
+                  category: {
+                    displayName: newModels[index].displayName,
+                    id: newModels[index].category,
+                    index: newModels[index].index,
+                  },
+                  index: newModels[index].data[index2]._NEW_ORDER,
+                  name: newModels[index].data[index2].name,
+                  id: newModels[index].data[index2].name.substring(7),
+                  displayName: newModels[index].data[index2].displayName,
+                  version: newModels[index].data[index2].version,
+                  description: newModels[index].data[index2].description,
+                  inputTokenLimit: newModels[index].data[index2].inputTokenLimit,
+                  outputTokenLimit: newModels[index].data[index2].outputTokenLimit,
+                  temperature: newModels[index].data[index2].temperature,
+                  maxTemperature: newModels[index].data[index2].maxTemperature,
+                  topP: newModels[index].data[index2].topP,
+                  topK: newModels[index].data[index2].topK,
+                  supportedGenerationMethods:
+                    newModels[index].data[index2].supportedGenerationMethods,
+                };
+
+                const inserted = tinyGoogleAI._insertNewModel(newModel);
+                if (inserted) finalData.newData.push(inserted);
               }
             }
+          }
 
-            // Error result
-            else buildErrorData(result, finalData);
+          // Error result
+          else buildErrorData(result, finalData);
 
-            // Complete
-            resolve(finalData);
-          })
-          // Error
-          .catch(reject),
-      ),
-  );
+          // Complete
+          resolve(finalData);
+        })
+        // Error
+        .catch(reject),
+    );
+  }
 
   // https://ai.google.dev/api/tokens?hl=pt-br#method:-models.counttokens
   /**
-   * Registers a function to calculate token usage for a given model and input data using Google AI's `countTokens` endpoint.
+   * Calculates token usage for a given model and input data using Google AI's `countTokens` endpoint.
    *
-   * @function
-   * @name tinyGoogleAI._setCountTokens
-   * @param {function(string, string, AbortController?, Object): Promise<Object>} callback - A function that takes an API key, model ID,
-   * an optional AbortController, and the input data for the token count request. Returns a Promise with token count information.
-   *
-   * @returns {void}
-   *
-   * @example
-   * tinyGoogleAI._setCountTokens((apiKey, model, controller, data) => { ... });
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>}
    *
    * Returned object when resolved:
    * {
@@ -804,79 +1010,393 @@ export function setTinyGoogleAi(tinyGoogleAI, GEMINI_API_KEY, MODEL_DATA = 'gemi
    *   }
    * }
    */
-  tinyGoogleAI._setCountTokens(
-    /**
-     * @param {string} apiKey
-     * @param {string} model
-     * @param {AbortController} controller
-     * @param {any} data
-     * @returns {any}
-     */
-    (apiKey, model, controller, data) =>
-      new Promise((resolve, reject) => {
-        const dataContent = requestBuilder(data);
-        /** @type {*} */
-        const modelInfo = tinyGoogleAI.getModelData(model);
-        dataContent.model = modelInfo?.name;
-        if (Array.isArray(dataContent.contents) && dataContent.contents.length > 0) {
-          fetch(`${apiUrl}/models/${model}:countTokens?key=${encodeURIComponent(apiKey)}`, {
-            signal: controller ? controller.signal : undefined,
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              generateContentRequest: dataContent,
-            }),
-          })
-            // Request
-            .then((res) => res.json())
-            .then((result) => {
-              /** @type {*} */
-              const finalData = { _response: result };
-              if (!result.error) {
-                // Total tokens
-                if (typeof result.totalTokens === 'number')
-                  finalData.totalTokens = result.totalTokens;
-                else finalData.totalTokens = null;
-
-                // Cached Content Token Count
-                if (typeof result.cachedContentTokenCount === 'number')
-                  finalData.cachedContentTokenCount = result.cachedContentTokenCount;
-                else finalData.cachedContentTokenCount = null;
-
-                // Prompt tokens details
-                if (result.promptTokensDetails) {
-                  if (!finalData.promptTokensDetails) finalData.promptTokensDetails = {};
-                  // Token Count
-                  if (typeof result.promptTokensDetails.tokenCount === 'number')
-                    finalData.promptTokensDetails.tokenCount =
-                      result.promptTokensDetails.tokenCount;
-                  else finalData.promptTokensDetails.tokenCount = null;
-
-                  // Modality
-                  if (typeof result.promptTokensDetails.modality === 'string')
-                    finalData.promptTokensDetails.modality = result.promptTokensDetails.modality;
-                  else finalData.promptTokensDetails.modality = null;
-                }
+  countTokens({ instance: tinyGoogleAI, apiKey, model, controller, data, config }) {
+    apiKey = apiKey || '';
+    model = model || '';
+    return new Promise((resolve, reject) => {
+      const dataContent = requestBuilder(
+        tinyGoogleAI,
+        data,
+        config,
+        {},
+        getUsableCache(config, model),
+      );
+      /** @type {*} */
+      const modelInfo = tinyGoogleAI.getModelData(model);
+      dataContent.model = modelInfo?.name;
+      if (Array.isArray(dataContent.contents) && dataContent.contents.length > 0) {
+        fetch(`${apiUrl}/models/${model}:countTokens?key=${encodeURIComponent(apiKey)}`, {
+          signal: controller ? controller.signal : undefined,
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            generateContentRequest: dataContent,
+          }),
+        })
+          // Request
+          .then((res) => res.json())
+          .then((result) => {
+            /** @type {*} */
+            const finalData = { _response: result };
+            if (!result.error) {
+              // Total tokens
+              if (typeof result.totalTokens === 'number')
+                finalData.totalTokens = result.totalTokens;
+              else finalData.totalTokens = null;
+
+              // Cached Content Token Count
+              if (typeof result.cachedContentTokenCount === 'number')
+                finalData.cachedContentTokenCount = result.cachedContentTokenCount;
+              else finalData.cachedContentTokenCount = null;
+
+              // Prompt tokens details
+              if (result.promptTokensDetails) {
+                if (!finalData.promptTokensDetails) finalData.promptTokensDetails = {};
+                // Token Count
+                if (typeof result.promptTokensDetails.tokenCount === 'number')
+                  finalData.promptTokensDetails.tokenCount = result.promptTokensDetails.tokenCount;
+                else finalData.promptTokensDetails.tokenCount = null;
+
+                // Modality
+                if (typeof result.promptTokensDetails.modality === 'string')
+                  finalData.promptTokensDetails.modality = result.promptTokensDetails.modality;
+                else finalData.promptTokensDetails.modality = null;
               }
+            }
+
+            // Error result
+            else buildErrorData(result, finalData);
+
+            // Complete
+            resolve(finalData);
+          })
+          // Error
+          .catch(reject);
+      } else
+        resolve({
+          _response: {},
+          totalTokens: null,
+          cachedContentTokenCount: null,
+        });
+    });
+  }
+
+  /**
+   * Sends a request to the JSON endpoints of the API and parses the JSON result.
+   *
+   * @param {string} path - The path after the API URL, including the query string without the key.
+   * @param {string} method - The HTTP method.
+   * @param {string} apiKey - Your Google AI API key.
+   * @param {Record<string, any>|null} [body=null] - The JSON body.
+   * @param {AbortController} [controller] - Optional abort controller for cancelling requests.
+   * @returns {Promise<any>} The parsed result.
+   */
+  #jsonFetch(path, method, apiKey, body = null, controller) {
+    return fetch(
+      `${apiUrl}/${path}${path.includes('?') ? '&' : '?'}key=${encodeURIComponent(apiKey)}`,
+      {
+        signal: controller ? controller.signal : undefined,
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      },
+    ).then((res) => res.json());
+  }
+
+  // https://ai.google.dev/api/embeddings#method:-models.batchembedcontents
+  /**
+   * Generates the embeddings of texts with `batchEmbedContents`.
+   * The texts are split into batches of up to 100 requests, sent one after another.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderEmbedRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async embed({ apiKey, model, texts, options, controller }) {
+    const embedModel = `models/${model || 'gemini-embedding-001'}`;
+    /** @type {any[]} */
+    const responses = [];
+    /** @type {Float32Array[]} */
+    const embeddings = [];
+    /** @type {number|null} */
+    let tokens = null;
+
+    for (let start = 0; start < texts.length; start += embedBatchSize) {
+      const requests = texts.slice(start, start + embedBatchSize).map((text) => {
+        /** @type {Record<string, any>} */
+        const request = { model: embedModel, content: { parts: [{ text }] } };
+        if (typeof options.taskType === 'string') request.taskType = options.taskType;
+        if (typeof options.outputDimensionality === 'number')
+          request.outputDimensionality = options.outputDimensionality;
+        return request;
+      });
+
+      const result = await this.#jsonFetch(
+        `${embedModel}:batchEmbedContents`,
+        'POST',
+        apiKey || '',
+        { requests },
+        controller,
+      );
+      responses.push(result);
+
+      if (result.error) {
+        /** @type {*} */
+        const finalData = { _response: responses };
+        buildErrorData(result, finalData);
+        return finalData;
+      }
+
+      if (Array.isArray(result.embeddings))
+        for (const index in result.embeddings) {
+          const values = result.embeddings[index].values;
+          embeddings.push(Float32Array.from(Array.isArray(values) ? values : []));
+        }
+      if (result.usageMetadata && typeof result.usageMetadata.promptTokenCount === 'number')
+        tokens = (tokens || 0) + result.usageMetadata.promptTokenCount;
+    }
+
+    return {
+      _response: responses,
+      embeddings,
+      tokenUsage: { count: { prompt: tokens, total: tokens } },
+    };
+  }
+
+  // https://ai.google.dev/api/caching#method:-cachedcontents.create
+  /**
+   * Creates a `cachedContents` resource with the contents, system instruction and tools of the request.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async createCache({ instance, apiKey, model, data, ttl, displayName, controller, config }) {
+    const result = await this.#jsonFetch(
+      'cachedContents',
+      'POST',
+      apiKey || '',
+      requestBuilder(
+        instance,
+        data,
+        config || instance.getRequestConfig(),
+        { model: `models/${model}`, ttl, displayName },
+        null,
+        true,
+      ),
+      controller,
+    );
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (!result.error) finalData.cache = parseCache(result);
+    else buildErrorData(result, finalData);
+    return finalData;
+  }
+
+  // https://ai.google.dev/api/caching#method:-cachedcontents.list
+  /**
+   * Lists the `cachedContents` resources.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async listCaches({ apiKey, pageSize, pageToken, controller }) {
+    const query = new URLSearchParams();
+    if (typeof pageSize === 'number') query.set('pageSize', String(pageSize));
+    if (typeof pageToken === 'string') query.set('pageToken', pageToken);
+    const result = await this.#jsonFetch(
+      `cachedContents?${query.toString()}`,
+      'GET',
+      apiKey || '',
+      null,
+      controller,
+    );
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (!result.error) {
+      finalData.caches = Array.isArray(result.cachedContents)
+        ? result.cachedContents.map(parseCache)
+        : [];
+      finalData.nextPageToken =
+        typeof result.nextPageToken === 'string' ? result.nextPageToken : null;
+    } else buildErrorData(result, finalData);
+    return finalData;
+  }
+
+  // https://ai.google.dev/api/caching#method:-cachedcontents.patch
+  /**
+   * Updates the expiration of a `cachedContents` resource.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async updateCache({ apiKey, name, ttl, controller }) {
+    const result = await this.#jsonFetch(
+      `${name}?updateMask=ttl`,
+      'PATCH',
+      apiKey || '',
+      { ttl },
+      controller,
+    );
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (!result.error) finalData.cache = parseCache(result);
+    else buildErrorData(result, finalData);
+    return finalData;
+  }
+
+  // https://ai.google.dev/api/caching#method:-cachedcontents.delete
+  /**
+   * Deletes a `cachedContents` resource.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async deleteCache({ apiKey, name, controller }) {
+    const result = await this.#jsonFetch(`${name}`, 'DELETE', apiKey || '', null, controller);
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (result.error) buildErrorData(result, finalData);
+    return finalData;
+  }
+
+  // https://ai.google.dev/api/files#method:-media.upload
+  /**
+   * Uploads a file with the resumable upload protocol.
+   * The upload session is started with the file metadata, then the bytes are sent in a single request.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async uploadFile({ apiKey, data, mime, displayName, controller }) {
+    const size = data instanceof Blob ? data.size : data ? data.byteLength : 0;
+    /** @type {Record<string, any>} */
+    const metadata = {};
+    if (typeof displayName === 'string') metadata.displayName = displayName;
+
+    // Start the upload session
+    const start = await fetch(`${uploadUrl}/files?key=${encodeURIComponent(apiKey || '')}`, {
+      signal: controller ? controller.signal : undefined,
+      method: 'POST',
+      headers: {
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': String(size),
+        'X-Goog-Upload-Header-Content-Type': mime || 'application/octet-stream',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ file: metadata }),
+    });
+
+    const sessionUrl = start.headers.get('x-goog-upload-url');
+    /** @type {*} */
+    let result;
+    if (sessionUrl) {
+      // Send the bytes and finalize
+      result = await fetch(sessionUrl, {
+        signal: controller ? controller.signal : undefined,
+        method: 'POST',
+        headers: {
+          'X-Goog-Upload-Offset': '0',
+          'X-Goog-Upload-Command': 'upload, finalize',
+        },
+        body: data,
+      }).then((res) => res.json());
+    } else {
+      result = await start.json().catch(() => null);
+      if (!result || !result.error) throw buildHttpError(start);
+    }
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (!result.error) finalData.file = parseFile(result.file || {});
+    else buildErrorData(result, finalData);
+    return finalData;
+  }
+
+  // https://ai.google.dev/api/files#method:-files.get
+  /**
+   * Gets the metadata of a `files` resource.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async getFile({ apiKey, name, controller }) {
+    const result = await this.#jsonFetch(`${name}`, 'GET', apiKey || '', null, controller);
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (!result.error) finalData.file = parseFile(result);
+    else buildErrorData(result, finalData);
+    return finalData;
+  }
+
+  // https://ai.google.dev/api/files#method:-files.list
+  /**
+   * Lists the `files` resources.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async listFiles({ apiKey, pageSize, pageToken, controller }) {
+    const query = new URLSearchParams();
+    if (typeof pageSize === 'number') query.set('pageSize', String(pageSize));
+    if (typeof pageToken === 'string') query.set('pageToken', pageToken);
+    const result = await this.#jsonFetch(
+      `files?${query.toString()}`,
+      'GET',
+      apiKey || '',
+      null,
+      controller,
+    );
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (!result.error) {
+      finalData.files = Array.isArray(result.files) ? result.files.map(parseFile) : [];
+      finalData.nextPageToken =
+        typeof result.nextPageToken === 'string' ? result.nextPageToken : null;
+    } else buildErrorData(result, finalData);
+    return finalData;
+  }
 
-              // Error result
-              else buildErrorData(result, finalData);
-
-              // Complete
-              resolve(finalData);
-            })
-            // Error
-            .catch(reject);
-        } else
-          resolve({
-            _response: {},
-            totalTokens: null,
-            cachedContentTokenCount: null,
-          });
-      }),
-  );
+  // https://ai.google.dev/api/files#method:-files.delete
+  /**
+   * Deletes a `files` resource.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async deleteFile({ apiKey, name, controller }) {
+    const result = await this.#jsonFetch(`${name}`, 'DELETE', apiKey || '', null, controller);
+
+    /** @type {*} */
+    const finalData = { _response: result };
+    if (result.error) buildErrorData(result, finalData);
+    return finalData;
+  }
+}
+
+/**
+ * Configures the Tiny AI Api to use the Google Gemini API.
+ *
+ * This function sets up the Google Gemini API in a TinyAiApi instance, providing
+ * the required authentication and model parameters.
+ *
+ * @param {TinyAiInstance} tinyGoogleAI - The TinyAiApi instance to be configured.
+ * @param {string} GEMINI_API_KEY - The API key for Google Gemini.
+ * @param {string} [MODEL_DATA='gemini-2.0-flash'] - The model to use (default is 'gemini-2.0-flash').
+ */
+export function setTinyGoogleAi(tinyGoogleAI, GEMINI_API_KEY, MODEL_DATA = 'gemini-2.0-flash') {
+  tinyGoogleAI.setApiKey(GEMINI_API_KEY);
+  tinyGoogleAI.setModel(MODEL_DATA);
+  tinyGoogleAI.setProvider(new TinyGoogleAiProvider());
 
   // Complete
   return tinyGoogleAI;
@@ -899,4 +1419,4 @@ class TinyGoogleAi extends TinyAiInstance {
   }
 }
 
-export { TinyGoogleAi };
+export { TinyGoogleAi, TinyGoogleAiProvider };
@@ -0,0 +1,683 @@
+import TinyAiInstance from '../TinyAiInstance.mjs';
+import TinyAiProvider from '../TinyAiProvider.mjs';
+import { buildHttpError, httpErrorCodes } from './utils.mjs';
+
+/**
+ * @typedef {Object} MockResponse
+ * @property {string} [text] - The text of the generated message.
+ * @property {Array<Record<string, any>>} [parts] - The parts of the generated message. Replaces `text`.
+ * @property {string} [finishReason='STOP'] - The finish reason of the generated message.
+ * @property {Array<string|{ text?: string, parts?: Array<Record<string, any>>, finishReason?: string }>} [candidates] - Alternative candidates of the generated message. Replaces `text` and `parts`.
+ * @property {{ count: { prompt?: number|null, candidates?: number|null, total?: number|null } }} [tokenUsage] - Overrides the estimated token usage.
+ * @property {string} [modelVersion] - The model version returned in the result.
+ * @property {number} [httpStatus] - Simulates a failed HTTP request with this status code.
+ * @property {number} [delay] - Time in milliseconds to wait before responding.
+ * @property {number} [chunkSize] - Overrides the streaming chunk size of the script.
+ * @property {number} [chunkDelay] - Overrides the streaming chunk delay of the script.
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {'genContent'|'countTokens'|'getModels'|'embed'|'createCache'|'listCaches'|'updateCache'|'deleteCache'|'uploadFile'|'getFile'|'listFiles'|'deleteFile'} type - The service method that received the request.
+ * @property {string|null} model - The model of the request.
+ * @property {any} data - A copy of the request data.
+ * @property {boolean} isStream - Whether the request was a streaming request.
+ * @property {number} time - The time when the request was received.
+ * @property {Record<string, any>|null} config - A copy of the request settings of `genContent` and `countTokens` requests, or null.
+ */
+
+/**
+ * @typedef {string|MockResponse|((request: MockRequest) => string|MockResponse|Promise<string|MockResponse>)} MockResponseValue
+ */
+
+/**
+ * @typedef {Object} MockScript
+ * @property {string} [model='mock-model'] - The model selected in the instance.
+ * @property {MockResponseValue[]} [responses] - Queue of canned responses. Each generation consumes the first item.
+ * @property {{ match: RegExp, response: MockResponseValue }[]} [rules] - Responses used when `match` tests the text of the last message. Rules are not consumed.
+ * @property {(request: MockRequest) => string|MockResponse|Promise<string|MockResponse>} [handler] - Callback used when no rule matches and the queue is empty.
+ * @property {{ chunkSize?: number, delay?: number }} [stream] - Simulated streaming settings. Default chunk size is 8 characters, with no delay.
+ * @property {Array<Record<string, any>>} [models] - Models inserted by `getModels()`, using the `_insertNewModel` format.
+ * @property {number|((data: any) => number)} [countTokens] - Token count returned by `countTokens()`. Estimated from the text by default.
+ * @property {(text: string) => number[]} [embed] - Vector returned by `embed()` for each text. By default, a deterministic 8 dimensions vector is built from the characters.
+ * @property {Array<Record<string, any>>} [caches] - The caches stored by the cache methods. Created when missing.
+ * @property {Array<Record<string, any>>} [files] - The files stored by the file methods. Created when missing.
+ * @property {MockRequest[]} [requests] - Record of every request received by the service. Created when missing.
+ */
+
+/**
+ * Estimates the token amount of a text, using 4 characters per token.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Gets all the text from the parts of the request data.
+ *
+ * @param {any} data
+ * @returns {string}
+ */
+const getDataText = (data) => {
+  let text = '';
+  for (const index in data) {
+    const item = data[index];
+    if (item && Array.isArray(item.parts))
+      for (const index2 in item.parts)
+        if (typeof item.parts[index2].text === 'string') text += item.parts[index2].text;
+  }
+  return text;
+};
+
+/**
+ * Builds a deterministic vector from the characters of a text.
+ *
+ * @param {string} text
+ * @returns {number[]}
+ */
+const buildEmbedding = (text) => {
+  const vector = [0, 0, 0, 0, 0, 0, 0, 0];
+  for (let index = 0; index < text.length; index++)
+    vector[index % vector.length] += text.charCodeAt(index) / 1000;
+  return vector;
+};
+
+/**
+ * Waits for a time, rejecting if the controller is aborted.
+ *
+ * @param {number} ms
+ * @param {AbortController} [controller]
+ * @returns {Promise<void>}
+ */
+const wait = (ms, controller) =>
+  new Promise((resolve, reject) => {
+    const signal = controller ? controller.signal : null;
+    const abortError = () => {
+      const err = new Error('The operation was aborted.');
+      err.name = 'AbortError';
+      return err;
+    };
+    if (signal && signal.aborted) return reject(abortError());
+    if (!(ms > 0)) return resolve();
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(abortError());
+    };
+    const timeout = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Builds the token usage of a response.
+ *
+ * @param {MockResponse} response
+ * @param {string} promptText
+ * @param {string} candidatesText
+ * @returns {{ count: { candidates: number|null, prompt: number|null, total: number|null } }}
+ */
+const buildUsageMetada = (response, promptText, candidatesText) => {
+  const count = response.tokenUsage && response.tokenUsage.count ? response.tokenUsage.count : {};
+  const prompt = typeof count.prompt === 'number' ? count.prompt : estimateTokens(promptText);
+  const candidates =
+    typeof count.candidates === 'number' ? count.candidates : estimateTokens(candidatesText);
+  return {
+    count: {
+      candidates,
+      prompt,
+      total: typeof count.total === 'number' ? count.total : prompt + candidates,
+    },
+  };
+};
+
+/**
+ * Builds the result of a request for a missing cache or file.
+ *
+ * @param {string|null|undefined} name
+ * @returns {Record<string, any>}
+ */
+const buildNotFound = (name) => ({
+  _response: { name },
+  error: { code: 404, message: httpErrorCodes[404], status: 'NOT_FOUND' },
+});
+
+/**
+ * Converts a `'<seconds>s'` time to live into an expiration date.
+ *
+ * @param {string|undefined} ttl
+ * @returns {string}
+ */
+const getExpireTime = (ttl) =>
+  new Date(Date.now() + (parseFloat(ttl || '3600s') || 0) * 1000).toISOString();
+
+/**
+ * Returns a page of a list, using the item index as the page token.
+ *
+ * @param {Array<Record<string, any>>} list
+ * @param {number|undefined} pageSize
+ * @param {string|null|undefined} pageToken
+ * @returns {{ items: Array<Record<string, any>>, nextPageToken: string|null }}
+ */
+const getPage = (list, pageSize, pageToken) => {
+  const start = typeof pageToken === 'string' && pageToken.length > 0 ? Number(pageToken) : 0;
+  const end = start + (typeof pageSize === 'number' && pageSize > 0 ? pageSize : list.length);
+  return {
+    items: list.slice(start, end),
+    nextPageToken: end < list.length ? String(end) : null,
+  };
+};
+
+/**
+ * Tiny Mock AI Provider
+ * -----------------------------
+ * The `TinyAiProvider` implementation of the scriptable mock service.
+ *
+ * The provider answers from a script instead of a network API, so content generation,
+ * streaming, model lists, token counting, embeddings, caches and files can be tested deterministically.
+ * The script object is the live state of the mock: the response queue is consumed by each
+ * generation, the caches and files are stored in `script.caches` and `script.files`, and every
+ * request received is pushed into `script.requests`.
+ */
+class TinyMockAiProvider extends TinyAiProvider {
+  /** @type {import('../TinyAiProvider.mjs').TinyAiProviderCapabilities} */
+  capabilities = {
+    generate: true,
+    stream: true,
+    models: true,
+    countTokens: true,
+    embed: true,
+    caches: true,
+    files: true,
+  };
+
+  /** @type {MockScript} */
+  #script;
+
+  /** @type {number} */
+  #nextId = 0;
+
+  /**
+   * @param {MockScript} [script={}] - The script used to answer the requests.
+   */
+  constructor(script = {}) {
+    super();
+    if (!Array.isArray(script.requests)) script.requests = [];
+    if (!Array.isArray(script.caches)) script.caches = [];
+    if (!Array.isArray(script.files)) script.files = [];
+    this.#script = script;
+  }
+
+  /**
+   * Returns the finish reasons used by the mock responses, and the HTTP status codes
+   * used by the simulated request failures.
+   *
+   * @returns {Record<string|number, string|{text: string, hide?: boolean}>}
+   */
+  errorCodes() {
+    return {
+      ...httpErrorCodes,
+      STOP: { text: 'Natural stop point of the model or provided stop sequence.', hide: true },
+      MAX_TOKENS: { text: 'The maximum number of tokens as specified in the request was reached.' },
+      SAFETY: { text: 'The response candidate content was flagged for safety reasons.' },
+      OTHER: { text: 'Unknown reason.' },
+    };
+  }
+
+  /**
+   * Records a request received by the service.
+   *
+   * @param {MockRequest['type']} type
+   * @param {string|null} model
+   * @param {any} data
+   * @param {boolean} [isStream=false]
+   * @param {Record<string, any>|null} [config=null]
+   * @returns {MockRequest}
+   */
+  #recordRequest(type, model, data, isStream = false, config = null) {
+    /** @type {MockRequest} */
+    const request = {
+      type,
+      model,
+      data: typeof data !== 'undefined' ? JSON.parse(JSON.stringify(data)) : null,
+      isStream,
+      time: Date.now(),
+      config: config ? JSON.parse(JSON.stringify(config)) : null,
+    };
+    /** @type {MockRequest[]} */ (this.#script.requests).push(request);
+    return request;
+  }
+
+  /**
+   * Creates a new resource name.
+   *
+   * @param {string} prefix - The collection of the resource, like `files`.
+   * @returns {string}
+   */
+  #newName(prefix) {
+    this.#nextId++;
+    return `${prefix}/mock-${this.#nextId}`;
+  }
+
+  /**
+   * Picks the response of a generation request from the rules, the queue or the handler.
+   *
+   * @param {MockRequest} request
+   * @returns {Promise<MockResponse>}
+   */
+  async #getResponse(request) {
+    const script = this.#script;
+    /** @type {MockResponseValue|undefined} */
+    let value;
+
+    // Rules
+    const lastItem = Array.isArray(request.data) ? request.data[request.data.length - 1] : null;
+    const lastText = getDataText(lastItem ? [lastItem] : []);
+    if (Array.isArray(script.rules)) {
+      const rule = script.rules.find(
+        (item) => item.match instanceof RegExp && item.match.test(lastText),
+      );
+      if (rule) value = rule.response;
+    }
+
+    // Queue
+    if (
+      typeof value === 'undefined' &&
+      Array.isArray(script.responses) &&
+      script.responses.length > 0
+    )
+      value = script.responses.shift();
+
+    // Handler
+    if (typeof value === 'undefined' && typeof script.handler === 'function')
+      value = script.handler;
+
+    if (typeof value === 'undefined') throw new Error('No mock response left in the script.');
+    if (typeof value === 'function') value = await value(request);
+    if (typeof value === 'string') return { text: value };
+    if (value && typeof value === 'object') return value;
+    throw new Error('Invalid mock response!');
+  }
+
+  /**
+   * Generates content from the script.
+   * Simulated HTTP failures are returned in `finalData.error` for normal requests, and rejected
+   * for streaming requests, which is how the network services behave.
+   *
+   * @param {TinyAiInstance} tinyMockAI - The instance that made the request.
+   * @param {boolean} isStream - Whether the request is a streaming request.
+   * @param {any} data - The contents of the request.
+   * @param {string|null} model - The model of the request.
+   * @param {import('../TinyAiProvider.mjs').TinyAiStreamCallback} streamingCallback - Callback for streaming results.
+   * @param {AbortController|undefined} controller - Optional abort controller for cancelling requests.
+   * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The request settings.
+   * @returns {Promise<any>}
+   */
+  async #genContent(tinyMockAI, isStream, data, model, streamingCallback, controller, config) {
+    const request = this.#recordRequest('genContent', model, data, isStream, config);
+    const response = await this.#getResponse(request);
+    await wait(typeof response.delay === 'number' ? response.delay : 0, controller);
+
+    // HTTP Error
+    if (typeof response.httpStatus === 'number' && response.httpStatus >= 400) {
+      if (isStream)
+        throw buildHttpError(
+          /** @type {Response} */ ({ status: response.httpStatus, statusText: '' }),
+        );
+      const errData = tinyMockAI.getErrorCode(response.httpStatus);
+      return {
+        _response: response,
+        error: {
+          code: response.httpStatus,
+          message: errData ? errData.text : null,
+          status: null,
+        },
+      };
+    }
+
+    // Content
+    /** @param {Record<string, any>} item */
+    const getCandidate = (item) => ({
+      parts: Array.isArray(item.parts)
+        ? item.parts
+        : [{ text: typeof item.text === 'string' ? item.text : '' }],
+      finishReason: typeof item.finishReason === 'string' ? item.finishReason : 'STOP',
+    });
+    const candidates = Array.isArray(response.candidates)
+      ? response.candidates.map((item) =>
+          getCandidate(typeof item === 'string' ? { text: item } : item),
+        )
+      : [getCandidate(response)];
+    const { parts } = candidates[0];
+    const candidatesText = getDataText([{ parts }]);
+    const tokenUsage = buildUsageMetada(response, getDataText(data), getDataText(candidates));
+
+    /** @type {*} */
+    const finalData = {
+      _response: response,
+      contents: [],
+      modelVersion: typeof response.modelVersion === 'string' ? response.modelVersion : model,
+      tokenUsage,
+    };
+    for (const index in candidates)
+      tinyMockAI.buildContents(finalData.contents, candidates[index], 'model');
+
+    // Streaming
+    if (isStream) {
+      const streamSettings = this.#script.stream || {};
+      const chunkSize =
+        typeof response.chunkSize === 'number'
+          ? response.chunkSize
+          : typeof streamSettings.chunkSize === 'number'
+            ? streamSettings.chunkSize
+            : 8;
+      const chunkDelay =
+        typeof response.chunkDelay === 'number'
+          ? response.chunkDelay
+          : typeof streamSettings.delay === 'number'
+            ? streamSettings.delay
+            : 0;
+
+      let sent = 0;
+      do {
+        sent = Math.min(sent + Math.max(chunkSize, 1), candidatesText.length);
+        await wait(chunkDelay, controller);
+
+        /** @type {*} */
+        const tinyData = { contents: [] };
+        const isLast = sent >= candidatesText.length;
+        if (isLast) tinyData.contents = finalData.contents;
+        else
+          tinyMockAI.buildContents(
+            tinyData.contents,
+            { parts: [{ text: candidatesText.substring(0, sent) }] },
+            'model',
+          );
+        streamingCallback({ contents: tinyData.contents, tokenUsage, done: false });
+      } while (sent < candidatesText.length);
+      streamingCallback({ done: true });
+    }
+
+    // Complete
+    return finalData;
+  }
+
+  /**
+   * Generates content from the script.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>} The structured response object.
+   */
+  generate({ instance, data, model, controller, config }) {
+    return this.#genContent(instance, false, data, model, () => {}, controller, config);
+  }
+
+  /**
+   * Generates content from the script, sending it in chunks of the script `stream` settings.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @param {import('../TinyAiProvider.mjs').TinyAiStreamCallback} callback - Callback for streaming results. Called with partials.
+   * @returns {Promise<any>} The structured response object.
+   */
+  stream({ instance, data, model, controller, config }, callback) {
+    return this.#genContent(instance, true, data, model, callback, controller, config);
+  }
+
+  /**
+   * Inserts the models of the script into the instance.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderModelsRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async listModels({ instance: tinyMockAI, pageSize, pageToken }) {
+    this.#recordRequest('getModels', null, { pageSize, pageToken });
+    const models = Array.isArray(this.#script.models)
+      ? this.#script.models
+      : [{ id: 'mock-model', displayName: 'Mock Model', index: 0 }];
+
+    /** @type {*} */
+    const finalData = { _response: { models }, newData: [] };
+    for (const index in models) {
+      const inserted = tinyMockAI._insertNewModel(
+        /** @type {*} */ ({ _response: models[index], ...models[index] }),
+      );
+      if (inserted) finalData.newData.push(inserted);
+    }
+    return finalData;
+  }
+
+  /**
+   * Counts the tokens of the request data using the script, or estimating 4 characters per token.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async countTokens({ model, controller, data, config }) {
+    const script = this.#script;
+    this.#recordRequest('countTokens', model, data, false, config);
+    await wait(0, controller);
+    return {
+      _response: {},
+      totalTokens:
+        typeof script.countTokens === 'function'
+          ? script.countTokens(data)
+          : typeof script.countTokens === 'number'
+            ? script.countTokens
+            : estimateTokens(getDataText(data)),
+      cachedContentTokenCount: null,
+    };
+  }
+
+  /**
+   * Builds one vector per text with the script `embed` function, or the default character vector.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderEmbedRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async embed({ model, texts, controller }) {
+    this.#recordRequest('embed', model, texts);
+    await wait(0, controller);
+    const embeddings = texts.map((text) =>
+      typeof this.#script.embed === 'function' ? this.#script.embed(text) : buildEmbedding(text),
+    );
+    const prompt = estimateTokens(texts.join(''));
+    return {
+      _response: { embeddings },
+      embeddings,
+      tokenUsage: { count: { prompt, candidates: null, total: prompt } },
+    };
+  }
+
+  /**
+   * Stores a new cache in `script.caches`.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async createCache({ model, data, ttl, displayName, controller }) {
+    this.#recordRequest('createCache', model || null, data);
+    await wait(0, controller);
+    const now = new Date().toISOString();
+    const cache = {
+      name: this.#newName('cachedContents'),
+      model: model || null,
+      displayName: displayName || null,
+      createTime: now,
+      updateTime: now,
+      expireTime: getExpireTime(ttl),
+      totalTokenCount: estimateTokens(getDataText(data)),
+    };
+    /** @type {Array<Record<string, any>>} */ (this.#script.caches).push(cache);
+    return { _response: cache, cache: { ...cache } };
+  }
+
+  /**
+   * Lists the caches of `script.caches`.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async listCaches({ pageSize, pageToken }) {
+    this.#recordRequest('listCaches', null, { pageSize, pageToken });
+    const { items, nextPageToken } = getPage(
+      /** @type {Array<Record<string, any>>} */ (this.#script.caches),
+      pageSize,
+      pageToken,
+    );
+    const caches = items.map((item) => ({ ...item }));
+    return { _response: { cachedContents: items, nextPageToken }, caches, nextPageToken };
+  }
+
+  /**
+   * Updates the expiration time of a cache of `script.caches`.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async updateCache({ name, ttl }) {
+    this.#recordRequest('updateCache', null, { name, ttl });
+    const cache = /** @type {Array<Record<string, any>>} */ (this.#script.caches).find(
+      (item) => item.name === name,
+    );
+    if (!cache) return buildNotFound(name);
+    cache.updateTime = new Date().toISOString();
+    cache.expireTime = getExpireTime(ttl);
+    return { _response: cache, cache: { ...cache } };
+  }
+
+  /**
+   * Removes a cache from `script.caches`.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderCacheRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async deleteCache({ name }) {
+    this.#recordRequest('deleteCache', null, { name });
+    const caches = /** @type {Array<Record<string, any>>} */ (this.#script.caches);
+    const index = caches.findIndex((item) => item.name === name);
+    if (index < 0) return buildNotFound(name);
+    caches.splice(index, 1);
+    return { _response: {} };
+  }
+
+  /**
+   * Stores a new `ACTIVE` file in `script.files`. The file content is not kept.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async uploadFile({ data, mime, displayName, controller }) {
+    const sizeBytes =
+      data instanceof Blob
+        ? data.size
+        : data instanceof ArrayBuffer || ArrayBuffer.isView(data)
+          ? data.byteLength
+          : 0;
+    this.#recordRequest('uploadFile', null, { mime, displayName, sizeBytes });
+    await wait(0, controller);
+    const now = new Date().toISOString();
+    const name = this.#newName('files');
+    const file = {
+      name,
+      displayName: displayName || null,
+      mimeType: mime || null,
+      sizeBytes,
+      createTime: now,
+      updateTime: now,
+      expirationTime: getExpireTime('172800s'),
+      sha256Hash: null,
+      uri: `mock://${name}`,
+      state: 'ACTIVE',
+      error: null,
+    };
+    /** @type {Array<Record<string, any>>} */ (this.#script.files).push(file);
+    return { _response: file, file: { ...file } };
+  }
+
+  /**
+   * Gets a file of `script.files`.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async getFile({ name, controller }) {
+    this.#recordRequest('getFile', null, { name });
+    await wait(0, controller);
+    const file = /** @type {Array<Record<string, any>>} */ (this.#script.files).find(
+      (item) => item.name === name,
+    );
+    if (!file) return buildNotFound(name);
+    return { _response: file, file: { ...file } };
+  }
+
+  /**
+   * Lists the files of `script.files`.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async listFiles({ pageSize, pageToken }) {
+    this.#recordRequest('listFiles', null, { pageSize, pageToken });
+    const { items, nextPageToken } = getPage(
+      /** @type {Array<Record<string, any>>} */ (this.#script.files),
+      pageSize,
+      pageToken,
+    );
+    const files = items.map((item) => ({ ...item }));
+    return { _response: { files: items, nextPageToken }, files, nextPageToken };
+  }
+
+  /**
+   * Removes a file from `script.files`.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderFileRequest} request - The request data.
+   * @returns {Promise<any>}
+   */
+  async deleteFile({ name }) {
+    this.#recordRequest('deleteFile', null, { name });
+    const files = /** @type {Array<Record<string, any>>} */ (this.#script.files);
+    const index = files.findIndex((item) => item.name === name);
+    if (index < 0) return buildNotFound(name);
+    files.splice(index, 1);
+    return { _response: {} };
+  }
+}
+
+/**
+ * Configures the Tiny AI Api to use a scriptable mock service.
+ *
+ * The mock service answers from a script instead of a network API. See `TinyMockAiProvider`
+ * for how the script state is used.
+ *
+ * @param {TinyAiInstance} tinyMockAI - The TinyAiApi instance to be configured.
+ * @param {MockScript} [script={}] - The script used to answer the requests.
+ */
+export function setTinyMockAi(tinyMockAI, script = {}) {
+  tinyMockAI.setApiKey('');
+  tinyMockAI.setModel(typeof script.model === 'string' ? script.model : 'mock-model');
+  tinyMockAI.setProvider(new TinyMockAiProvider(script));
+
+  // Complete
+  return tinyMockAI;
+}
+
+/**
+ * Creates and configures a new TinyAiInstance that is set up with the scriptable mock service.
+ *
+ * @class
+ * @extends TinyAiInstance
+ * @param {MockScript} [script={}] - The script used to answer the requests.
+ * @param {boolean} [isSingle=false] - If true, configures the instance to handle a single session only.
+ * @returns {TinyAiInstance} A configured instance of TinyAiApi.
+ */
+class TinyMockAi extends TinyAiInstance {
+  constructor(script = {}, isSingle = false) {
+    super(isSingle);
+    setTinyMockAi(this, script);
+  }
+}
+
+export { TinyMockAi, TinyMockAiProvider };
@@ -0,0 +1,475 @@
+import TinyAiInstance from '../TinyAiInstance.mjs';
+import TinyAiProvider from '../TinyAiProvider.mjs';
+import { buildHttpError, readNdjsonStream } from './utils.mjs';
+
+/**
+ * Builds the request headers.
+ *
+ * @param {string|null} apiKey
+ * @returns {Record<string, string>}
+ */
+const getHeaders = (apiKey) => {
+  /** @type {Record<string, string>} */
+  const headers = { 'Content-Type': 'application/json' };
+  if (typeof apiKey === 'string' && apiKey.length > 0) headers.Authorization = `Bearer ${apiKey}`;
+  return headers;
+};
+
+/**
+ * @param {*} result
+ * @param {*} finalData
+ * @param {number} [httpStatus]
+ */
+const buildErrorData = (result, finalData, httpStatus) => {
+  if (typeof result === 'undefined') throw new Error('Invalid result or missing error object');
+
+  finalData.error = {
+    code: typeof httpStatus === 'number' ? httpStatus : null,
+    message: typeof result.error === 'string' ? result.error : null,
+    status: null,
+  };
+};
+
+/**
+ * Constructs the full request body for the chat endpoint.
+ * Text parts are joined into the message content, and image parts are sent in the `images` list.
+ *
+ * @param {TinyAiInstance} tinyOllamaAI - The instance that made the request.
+ * @param {*} data
+ * @param {string} model
+ * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+ * @param {boolean} [isStream=false]
+ * @returns {*}
+ */
+const requestBuilder = (tinyOllamaAI, data, model, config, isStream = false) => {
+  /** @type {*} */
+  const requestBody = { model, messages: [], stream: isStream, options: {} };
+
+  // Execute builder
+  for (const index in data) {
+    const item = data[index];
+    if (item) {
+      /** @type {*} */
+      const content = tinyOllamaAI.buildContents(undefined, item, item.role, true);
+      /** @type {*} */
+      const message = {
+        role: item.role === 'system' ? 'system' : item.role === 'model' ? 'assistant' : 'user',
+        content: '',
+      };
+
+      for (const index2 in content.parts) {
+        const part = content.parts[index2];
+        if (typeof part.text === 'string') message.content += part.text;
+        else if (part.inlineData && part.inlineData.mime_type.startsWith('image/')) {
+          if (!Array.isArray(message.images)) message.images = [];
+          message.images.push(part.inlineData.data);
+        }
+      }
+
+      requestBody.messages.push(message);
+    }
+  }
+
+  // Config
+  if (typeof config.maxOutputTokens === 'number')
+    requestBody.options.num_predict = config.maxOutputTokens;
+
+  if (typeof config.temperature === 'number') requestBody.options.temperature = config.temperature;
+
+  if (typeof config.topP === 'number') requestBody.options.top_p = config.topP;
+
+  if (typeof config.topK === 'number') requestBody.options.top_k = config.topK;
+
+  if (typeof config.presencePenalty === 'number')
+    requestBody.options.presence_penalty = config.presencePenalty;
+
+  if (typeof config.frequencyPenalty === 'number')
+    requestBody.options.frequency_penalty = config.frequencyPenalty;
+
+  if (config.stopSequences) requestBody.options.stop = config.stopSequences;
+
+  if (typeof config.seed === 'number') requestBody.options.seed = config.seed;
+
+  // Complete
+  return requestBody;
+};
+
+/**
+ * Parses token usage metadata from the result object.
+ *
+ * @param {*} result - The API response containing `prompt_eval_count` and `eval_count`.
+ * @returns {{ count: { candidates: number|null, prompt: number|null, total: number|null } }}
+ */
+const buildUsageMetada = (result) => {
+  /** @type {{ count: { candidates: number|null, prompt: number|null, total: number|null } }} */
+  const usageMetadata = {
+    count: {
+      candidates: null,
+      prompt: null,
+      total: null,
+    },
+  };
+
+  // Candidates
+  if (typeof result.eval_count === 'number') usageMetadata.count.candidates = result.eval_count;
+  // Prompt
+  if (typeof result.prompt_eval_count === 'number')
+    usageMetadata.count.prompt = result.prompt_eval_count;
+  // Total
+  if (
+    typeof usageMetadata.count.prompt === 'number' ||
+    typeof usageMetadata.count.candidates === 'number'
+  )
+    usageMetadata.count.total =
+      (usageMetadata.count.prompt || 0) + (usageMetadata.count.candidates || 0);
+  return usageMetadata;
+};
+
+/**
+ * Converts a done reason into the upper case format used by the error codes.
+ *
+ * @param {*} doneReason
+ * @returns {string|null}
+ */
+const getFinishReason = (doneReason) =>
+  typeof doneReason === 'string' ? doneReason.toUpperCase() : null;
+
+/**
+ * Tiny Ollama AI Provider
+ * -----------------------------
+ * The `TinyAiProvider` implementation of a local Ollama server.
+ * It generates content with `/chat` and lists the local models with `/tags` and `/show`.
+ * The API has no token counting endpoint, so `countTokens` is not supported and the instance
+ * uses its local token estimator instead of loading the model for a generation.
+ */
+class TinyOllamaAiProvider extends TinyAiProvider {
+  /** @type {import('../TinyAiProvider.mjs').TinyAiProviderCapabilities} */
+  capabilities = {
+    generate: true,
+    stream: true,
+    models: true,
+    countTokens: false,
+    embed: false,
+    caches: false,
+    files: false,
+  };
+
+  /** @type {string} */
+  #apiUrl;
+
+  /**
+   * @param {Object} [options={}] - Provider options.
+   * @param {string} [options.baseUrl='http://localhost:11434/api'] - The API base URL, including the `/api` path.
+   */
+  constructor({ baseUrl = 'http://localhost:11434/api' } = {}) {
+    super();
+    this.#apiUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Returns the done reasons of the chat endpoint.
+   * The API values are converted to upper case before being stored into the content data.
+   *
+   * @returns {Record<string, {text: string, hide?: boolean}>}
+   */
+  errorCodes() {
+    return {
+      STOP: { text: 'Natural stop point of the model or provided stop sequence.', hide: true },
+      LENGTH: { text: 'The maximum number of tokens as specified in the request was reached.' },
+      LOAD: { text: 'The model was loaded without generating a response.' },
+      UNLOAD: { text: 'The model was unloaded without generating a response.' },
+    };
+  }
+
+  // https://github.com/ollama/ollama/blob/main/docs/api.md#generate-a-chat-completion
+  /**
+   * Internal method that integrates with the `/chat` endpoint.
+   * It builds the request body, handles normal and NDJSON streaming responses, parses tokens and content,
+   * and returns the same structured response data used by the other services.
+   *
+   * @param {TinyAiInstance} tinyOllamaAI - The instance that made the request.
+   * @param {string|null} apiKey - Optional API key.
+   * @param {boolean} isStream - Whether the request is a streaming request.
+   * @param {any} data - An array of messages to send (prompt).
+   * @param {string} model - The model name (e.g., "llama3.2").
+   * @param {Function} streamingCallback - Callback for streaming results. Called with partials.
+   * @param {AbortController|undefined} controller - Optional abort controller for cancelling requests.
+   * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+   * @returns {Promise<any>} finalData - A promise that resolves with a structured response object:
+   * - finalData.contents: Parsed content output
+   * - finalData.tokenUsage: Usage info with prompt/candidate/total counts
+   * - finalData.modelVersion: Model version string
+   * - finalData._response: Raw response
+   * - finalData.error: (If error occurred) contains message, status, and code
+   */
+  #genContent(tinyOllamaAI, apiKey, isStream, data, model, streamingCallback, controller, config) {
+    return new Promise((resolve, reject) => {
+      // Request
+      const requestBody = requestBuilder(tinyOllamaAI, data, model, config, isStream);
+
+      /**
+       * Final handler that transforms the result into a structured response.
+       *
+       * @param {*} result - The response from the API.
+       * @param {string} text - The full text of the message.
+       * @param {number} [httpStatus] - The HTTP status of the response.
+       * @returns {*} finalData - Structured result with content, usage, model version, or error.
+       */
+      const finalPromise = (result, text, httpStatus) => {
+        /** @type {*} */
+        const finalData = { _response: result };
+        if (!result.error) {
+          finalData.contents = [];
+          finalData.modelVersion = typeof result.model === 'string' ? result.model : null;
+          finalData.tokenUsage = buildUsageMetada(result);
+          tinyOllamaAI.buildContents(finalData.contents, { parts: [{ text }] }, 'model');
+          finalData.contents[0].finishReason = getFinishReason(result.done_reason);
+        }
+
+        // Error result
+        else buildErrorData(result, finalData, httpStatus);
+
+        // Complete
+        return finalData;
+      };
+
+      /**
+       * Handles the newline-delimited JSON streaming response.
+       * Buffers content and sends back partials using the streamingCallback.
+       *
+       * @param {ReadableStream} stream - The ReadableStream from fetch().body
+       * @returns {Promise<void>}
+       */
+      const streamingResponse = async (stream) => {
+        let text = '';
+        /** @type {*} */
+        let streamResult = {};
+
+        await readNdjsonStream(stream, (chunk) => {
+          streamResult = chunk;
+          if (chunk.error) return;
+          if (chunk.message && typeof chunk.message.content === 'string')
+            text += chunk.message.content;
+
+          // Send temp data
+          /** @type {*} */
+          const tinyData = { contents: [] };
+          tinyOllamaAI.buildContents(
+            tinyData.contents,
+            { parts: [{ text }], finishReason: getFinishReason(chunk.done_reason) || undefined },
+            'model',
+          );
+          streamingCallback({
+            contents: tinyData.contents,
+            tokenUsage: buildUsageMetada(chunk),
+            done: false,
+          });
+        });
+
+        // Complete
+        streamingCallback({ done: true });
+        resolve(finalPromise(streamResult, text));
+      };
+
+      // Request
+      fetch(`${this.#apiUrl}/chat`, {
+        signal: controller ? controller.signal : undefined,
+        method: 'POST',
+        headers: getHeaders(apiKey),
+        body: JSON.stringify(requestBody),
+      })
+        .then((res) => {
+          // Normal
+          if (!isStream)
+            res
+              .json()
+              .then((result) =>
+                resolve(
+                  finalPromise(
+                    result,
+                    result.message && typeof result.message.content === 'string'
+                      ? result.message.content
+                      : '',
+                    res.status,
+                  ),
+                ),
+              )
+              .catch(reject);
+          else {
+            // Error Streaming
+            if (!res.body) reject(new Error('No AI streaming value found.'));
+            else if (!res.ok) reject(buildHttpError(res));
+            // Streaming
+            else streamingResponse(res.body).catch(reject);
+          }
+        })
+        // Error
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Generates content with the `/chat` endpoint.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>} The structured response object.
+   */
+  generate({ instance, apiKey, data, model, controller, config }) {
+    return this.#genContent(
+      instance,
+      apiKey,
+      false,
+      data,
+      model || '',
+      () => {},
+      controller,
+      config,
+    );
+  }
+
+  /**
+   * Generates content with the `/chat` endpoint, reading the newline-delimited JSON stream.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @param {import('../TinyAiProvider.mjs').TinyAiStreamCallback} callback - Callback for streaming results. Called with partials.
+   * @returns {Promise<any>} The structured response object.
+   */
+  stream({ instance, apiKey, data, model, controller, config }, callback) {
+    return this.#genContent(
+      instance,
+      apiKey,
+      true,
+      data,
+      model || '',
+      callback,
+      controller,
+      config,
+    );
+  }
+
+  // https://github.com/ollama/ollama/blob/main/docs/api.md#list-local-models
+  /**
+   * Fetches the local models from the `/tags` endpoint.
+   * The details of each model are read from the `/show` endpoint, which provides the context length
+   * used as `inputTokenLimit`. The endpoint has no pagination, so the page arguments are ignored.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderModelsRequest} request - The request data.
+   * @returns {Promise<any>}
+   *
+   * Returned object when resolved:
+   * {
+   *   _response: <original API response>,
+   *   newData: [<processed and inserted model objects>]
+   * }
+   */
+  listModels({ instance: tinyOllamaAI, apiKey }) {
+    return new Promise((resolve, reject) =>
+      fetch(`${this.#apiUrl}/tags`, {
+        method: 'GET',
+        headers: getHeaders(apiKey),
+      })
+        // Request
+        .then((res) => res.json().then((result) => [result, res.status]))
+        .then(([result, httpStatus]) => {
+          /** @type {*} */
+          const finalData = { _response: result };
+          if (result.error) {
+            buildErrorData(result, finalData, httpStatus);
+            return finalData;
+          }
+
+          finalData.newData = [];
+          tinyOllamaAI._setNextModelsPageToken('');
+          const models = Array.isArray(result.models) ? result.models : [];
+
+          // Model details
+          return Promise.all(
+            models.map((/** @type {*} */ item) =>
+              fetch(`${this.#apiUrl}/show`, {
+                method: 'POST',
+                headers: getHeaders(apiKey),
+                body: JSON.stringify({ model: item.name }),
+              })
+                .then((res) => res.json())
+                .catch(() => ({})),
+            ),
+          ).then((details) => {
+            for (let index = 0; index < models.length; index++) {
+              const item = models[index];
+              const info = details[index] || {};
+              const modelInfo = info.model_info || {};
+
+              /** @type {number|undefined} */
+              let inputTokenLimit;
+              for (const key in modelInfo) {
+                if (key.endsWith('.context_length') && typeof modelInfo[key] === 'number')
+                  inputTokenLimit = modelInfo[key];
+              }
+
+              const inserted = tinyOllamaAI._insertNewModel({
+                _response: { ...item, show: info },
+                index,
+                id: item.name,
+                name: item.model,
+                displayName: item.name,
+                version: item.details ? item.details.parameter_size : undefined,
+                description: item.details ? item.details.family : undefined,
+                inputTokenLimit,
+              });
+              if (inserted) finalData.newData.push(inserted);
+            }
+            return finalData;
+          });
+        })
+        // Complete
+        .then(resolve)
+        // Error
+        .catch(reject),
+    );
+  }
+}
+
+/**
+ * Configures the Tiny AI Api to use a local Ollama server.
+ *
+ * This function sets up the Ollama API in a TinyAiApi instance, providing
+ * the required server and model parameters. No API key is needed by default, but
+ * a key can still be set for servers running behind an authenticated proxy.
+ *
+ * @param {TinyAiInstance} tinyOllamaAI - The TinyAiApi instance to be configured.
+ * @param {string} [MODEL_DATA='llama3.2'] - The model to use (default is 'llama3.2').
+ * @param {Object} [options={}] - Extra service options.
+ * @param {string} [options.baseUrl='http://localhost:11434/api'] - The API base URL, including the `/api` path.
+ * @param {string} [options.apiKey=''] - Optional API key, sent as a bearer token.
+ */
+export function setTinyOllamaAi(
+  tinyOllamaAI,
+  MODEL_DATA = 'llama3.2',
+  { baseUrl = 'http://localhost:11434/api', apiKey = '' } = {},
+) {
+  tinyOllamaAI.setApiKey(apiKey);
+  tinyOllamaAI.setModel(MODEL_DATA);
+  tinyOllamaAI.setProvider(new TinyOllamaAiProvider({ baseUrl }));
+
+  // Complete
+  return tinyOllamaAI;
+}
+
+/**
+ * Creates and configures a new TinyAiInstance that is set up with a local Ollama server.
+ *
+ * @class
+ * @extends TinyAiInstance
+ * @param {string} [MODEL_DATA='llama3.2'] - Optional. The model name to use. Defaults to `'llama3.2'`.
+ * @param {boolean} [isSingle=false] - If true, configures the instance to handle a single session only.
+ * @param {{ baseUrl?: string, apiKey?: string }} [options={}] - Extra service options, such as the server URL.
+ * @returns {TinyAiInstance} A configured instance of TinyAiApi.
+ */
+class TinyOllamaAi extends TinyAiInstance {
+  constructor(MODEL_DATA = 'llama3.2', isSingle = false, options = {}) {
+    super(isSingle);
+    setTinyOllamaAi(this, MODEL_DATA, options);
+  }
+}
+
+export { TinyOllamaAi, TinyOllamaAiProvider };
@@ -0,0 +1,560 @@
+import TinyAiInstance from '../TinyAiInstance.mjs';
+import TinyAiProvider from '../TinyAiProvider.mjs';
+import { buildHttpError, readSseStream } from './utils.mjs';
+
+/**
+ * Builds the request headers. The authorization header is skipped when no API key is set,
+ * which is the common setup of local servers.
+ *
+ * @param {string|null} apiKey
+ * @returns {Record<string, string>}
+ */
+const getHeaders = (apiKey) => {
+  /** @type {Record<string, string>} */
+  const headers = { 'Content-Type': 'application/json' };
+  if (typeof apiKey === 'string' && apiKey.length > 0) headers.Authorization = `Bearer ${apiKey}`;
+  return headers;
+};
+
+/**
+ * @param {*} result
+ * @param {*} finalData
+ * @param {number} [httpStatus]
+ */
+const buildErrorData = (result, finalData, httpStatus) => {
+  if (typeof result === 'undefined') throw new Error('Invalid result or missing error object');
+  const error = typeof result.error === 'string' ? { message: result.error } : result.error;
+
+  finalData.error = {
+    code:
+      typeof error.code === 'number'
+        ? error.code
+        : typeof httpStatus === 'number'
+          ? httpStatus
+          : null,
+    message: typeof error.message === 'string' ? error.message : null,
+    status:
+      typeof error.type === 'string'
+        ? error.type
+        : typeof error.code === 'string'
+          ? error.code
+          : null,
+  };
+
+  if (error.param) finalData.error.details = { param: error.param };
+};
+
+/**
+ * The `input_audio` formats of the audio MIME types. Other audio types are sent as files.
+ *
+ * @type {Record<string, string>}
+ */
+const audioFormats = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+};
+
+/**
+ * Converts the parts of a content into a Chat Completions message content.
+ * Text-only contents are sent as a plain string, which is the format every compatible server accepts.
+ *
+ * @param {Array<Record<string, any>>} parts
+ * @returns {string|Array<Record<string, any>>}
+ */
+const buildMessageContent = (parts) => {
+  /** @type {Array<Record<string, any>>} */
+  const content = [];
+  for (const index in parts) {
+    const part = parts[index];
+    if (typeof part.text === 'string') content.push({ type: 'text', text: part.text });
+    else if (part.inlineData) {
+      const { mime_type, data } = part.inlineData;
+      if (mime_type.startsWith('image/'))
+        content.push({
+          type: 'image_url',
+          image_url: { url: `data:${mime_type};base64,${data}` },
+        });
+      else if (audioFormats[mime_type])
+        content.push({
+          type: 'input_audio',
+          input_audio: { data, format: audioFormats[mime_type] },
+        });
+      else
+        content.push({
+          type: 'file',
+          file: { filename: 'file', file_data: `data:${mime_type};base64,${data}` },
+        });
+    }
+  }
+
+  if (content.every((item) => item.type === 'text'))
+    return content.map((item) => item.text).join('');
+  return content;
+};
+
+/**
+ * Constructs the full request body for the Chat Completions API call.
+ *
+ * @param {TinyAiInstance} tinyOpenAI - The instance that made the request.
+ * @param {*} data
+ * @param {string} model
+ * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+ * @param {boolean} [isStream=false]
+ * @returns {*}
+ */
+const requestBuilder = (tinyOpenAI, data, model, config, isStream = false) => {
+  /** @type {*} */
+  const requestBody = { model, messages: [] };
+
+  // Execute builder
+  for (const index in data) {
+    const item = data[index];
+    if (item) {
+      /** @type {*} */
+      const content = tinyOpenAI.buildContents(undefined, item, item.role, true);
+      requestBody.messages.push({
+        role: item.role === 'system' ? 'system' : item.role === 'model' ? 'assistant' : 'user',
+        content: buildMessageContent(content.parts),
+      });
+    }
+  }
+
+  // Config
+  if (typeof config.maxOutputTokens === 'number') requestBody.max_tokens = config.maxOutputTokens;
+
+  if (typeof config.temperature === 'number') requestBody.temperature = config.temperature;
+
+  if (typeof config.topP === 'number') requestBody.top_p = config.topP;
+
+  if (typeof config.presencePenalty === 'number')
+    requestBody.presence_penalty = config.presencePenalty;
+
+  if (typeof config.frequencyPenalty === 'number')
+    requestBody.frequency_penalty = config.frequencyPenalty;
+
+  if (config.stopSequences) requestBody.stop = config.stopSequences;
+
+  if (typeof config.seed === 'number') requestBody.seed = config.seed;
+
+  // Streaming
+  if (isStream) {
+    requestBody.stream = true;
+    requestBody.stream_options = { include_usage: true };
+  }
+
+  // Complete
+  return requestBody;
+};
+
+/**
+ * Parses token usage metadata from the result object.
+ *
+ * @param {*} result - The API response containing usage.
+ * @returns {{ count: { candidates: number|null, prompt: number|null, cached: number|null, total: number|null } }}
+ */
+const buildUsageMetada = (result) => {
+  const usageMetadata = {
+    count: {
+      candidates: null,
+      prompt: null,
+      cached: null,
+      total: null,
+    },
+  };
+
+  if (result.usage) {
+    // Candidates
+    if (typeof result.usage.completion_tokens === 'number')
+      usageMetadata.count.candidates = result.usage.completion_tokens;
+    // Prompt
+    if (typeof result.usage.prompt_tokens === 'number')
+      usageMetadata.count.prompt = result.usage.prompt_tokens;
+    // Cached
+    if (
+      result.usage.prompt_tokens_details &&
+      typeof result.usage.prompt_tokens_details.cached_tokens === 'number'
+    )
+      usageMetadata.count.cached = result.usage.prompt_tokens_details.cached_tokens;
+    // Total
+    if (typeof result.usage.total_tokens === 'number')
+      usageMetadata.count.total = result.usage.total_tokens;
+  }
+  return usageMetadata;
+};
+
+/**
+ * Converts a finish reason into the upper case format used by the error codes.
+ *
+ * @param {*} finishReason
+ * @returns {string|null}
+ */
+const getFinishReason = (finishReason) =>
+  typeof finishReason === 'string' ? finishReason.toUpperCase() : null;
+
+/**
+ * Tiny OpenAI Provider
+ * -----------------------------
+ * The `TinyAiProvider` implementation of OpenAI-compatible Chat Completions APIs.
+ * It generates content with `/chat/completions` and lists the models with `/models`.
+ * The API has no token counting endpoint, and counting with a real completion would be billed,
+ * so `countTokens` is not supported and the instance uses its local token estimator instead.
+ * Because the base URL is configurable, it also works with compatible servers such as llama.cpp, vLLM and LM Studio.
+ */
+class TinyOpenAiProvider extends TinyAiProvider {
+  /** @type {import('../TinyAiProvider.mjs').TinyAiProviderCapabilities} */
+  capabilities = {
+    generate: true,
+    stream: true,
+    models: true,
+    countTokens: false,
+    embed: false,
+    caches: false,
+    files: false,
+  };
+
+  /** @type {string} */
+  #apiUrl;
+
+  /**
+   * @param {Object} [options={}] - Provider options.
+   * @param {string} [options.baseUrl='https://api.openai.com/v1'] - The API base URL, including the `/v1` path.
+   */
+  constructor({ baseUrl = 'https://api.openai.com/v1' } = {}) {
+    super();
+    this.#apiUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Returns the finish reasons of the Chat Completions API.
+   * The API values are converted to upper case before being stored into the content data.
+   *
+   * @returns {Record<string, {text: string, hide?: boolean}>}
+   */
+  errorCodes() {
+    return {
+      STOP: { text: 'Natural stop point of the model or provided stop sequence.', hide: true },
+      LENGTH: { text: 'The maximum number of tokens as specified in the request was reached.' },
+      CONTENT_FILTER: { text: 'Content was omitted due to a flag from the content filters.' },
+      TOOL_CALLS: { text: 'The model called a tool.' },
+      FUNCTION_CALL: { text: 'The model called a function.' },
+    };
+  }
+
+  // https://platform.openai.com/docs/api-reference/chat/create
+  /**
+   * Internal method that integrates with the Chat Completions endpoint.
+   * It builds the request body, handles normal and SSE streaming responses, parses tokens and content,
+   * and returns the same structured response data used by the other services.
+   *
+   * @param {TinyAiInstance} tinyOpenAI - The instance that made the request.
+   * @param {string|null} apiKey - Your API key.
+   * @param {boolean} isStream - Whether the request is a streaming request.
+   * @param {any} data - An array of messages to send (prompt).
+   * @param {string} model - The model ID (e.g., "gpt-4o-mini").
+   * @param {Function} streamingCallback - Callback for streaming results. Called with partials.
+   * @param {AbortController|undefined} controller - Optional abort controller for cancelling requests.
+   * @param {import('../TinyAiInstance.mjs').AiRequestConfig} config - The session settings of the request.
+   * @returns {Promise<any>} finalData - A promise that resolves with a structured response object:
+   * - finalData.contents: Parsed content output
+   * - finalData.tokenUsage: Usage info with prompt/candidate/total counts
+   * - finalData.modelVersion: Model version string
+   * - finalData._response: Raw response
+   * - finalData.error: (If error occurred) contains message, status, and code
+   */
+  #genContent(tinyOpenAI, apiKey, isStream, data, model, streamingCallback, controller, config) {
+    return new Promise((resolve, reject) => {
+      // Request
+      const requestBody = requestBuilder(tinyOpenAI, data, model, config, isStream);
+
+      /**
+       * Final handler that transforms the result into a structured response.
+       *
+       * @param {*} result - The response from the API.
+       * @param {number} [httpStatus] - The HTTP status of the response.
+       * @returns {*} finalData - Structured result with content, usage, model version, or error.
+       */
+      const finalPromise = (result, httpStatus) => {
+        /** @type {*} */
+        const finalData = { _response: result };
+        if (!result.error) {
+          finalData.contents = [];
+          finalData.modelVersion = typeof result.model === 'string' ? result.model : null;
+          finalData.tokenUsage = buildUsageMetada(result);
+
+          // Build content
+          if (Array.isArray(result.choices)) {
+            for (const index in result.choices) {
+              const item = result.choices[index];
+              const message = item.message || {};
+              tinyOpenAI.buildContents(
+                finalData.contents,
+                {
+                  parts: typeof message.content === 'string' ? [{ text: message.content }] : [],
+                },
+                'model',
+              );
+              finalData.contents[finalData.contents.length - 1].finishReason = getFinishReason(
+                item.finish_reason,
+              );
+            }
+          }
+        }
+
+        // Error result
+        else buildErrorData(result, finalData, httpStatus);
+
+        // Complete
+        return finalData;
+      };
+
+      /**
+       * Handles the SSE streaming response.
+       * Buffers content and sends back partials using the streamingCallback.
+       *
+       * @param {ReadableStream} stream - The ReadableStream from fetch().body
+       * @returns {Promise<void>}
+       */
+      const streamingResponse = async (stream) => {
+        /** @type {Array<{ text: string, finishReason: string|null }>} */
+        const streamCache = [];
+        /** @type {*} */
+        let streamResult = {};
+        /** @type {*} */
+        let streamError = null;
+        let tokenUsage = buildUsageMetada({});
+
+        /**
+         * Builds the accumulated contents of the stream cache.
+         *
+         * @returns {*[]}
+         */
+        const buildStreamContents = () => {
+          /** @type {*[]} */
+          const contents = [];
+          for (let index = 0; index < streamCache.length; index++) {
+            const item = streamCache[index];
+            tinyOpenAI.buildContents(
+              contents,
+              { parts: [{ text: item ? item.text : '' }], finishReason: item?.finishReason },
+              'model',
+            );
+          }
+          return contents;
+        };
+
+        await readSseStream(stream, ({ data: eventData }) => {
+          if (eventData === '[DONE]') return;
+          const chunk = JSON.parse(eventData);
+          if (chunk.error) {
+            streamError = chunk;
+            return;
+          }
+
+          streamResult = chunk;
+          if (chunk.usage) tokenUsage = buildUsageMetada(chunk);
+          if (Array.isArray(chunk.choices)) {
+            for (const index in chunk.choices) {
+              const item = chunk.choices[index];
+              const choiceIndex = typeof item.index === 'number' ? item.index : Number(index);
+              if (!streamCache[choiceIndex])
+                streamCache[choiceIndex] = { text: '', finishReason: null };
+
+              if (item.delta && typeof item.delta.content === 'string')
+                streamCache[choiceIndex].text += item.delta.content;
+              if (typeof item.finish_reason === 'string')
+                streamCache[choiceIndex].finishReason = getFinishReason(item.finish_reason);
+            }
+          }
+
+          // Send temp data
+          streamingCallback({ contents: buildStreamContents(), tokenUsage, done: false });
+        });
+
+        // Complete
+        streamingCallback({ done: true });
+        if (streamError) return resolve(finalPromise(streamError));
+
+        /** @type {*} */
+        const finalData = finalPromise(streamResult);
+        finalData.tokenUsage = tokenUsage;
+        finalData.contents = buildStreamContents();
+        resolve(finalData);
+      };
+
+      // Request
+      fetch(`${this.#apiUrl}/chat/completions`, {
+        signal: controller ? controller.signal : undefined,
+        method: 'POST',
+        headers: getHeaders(apiKey),
+        body: JSON.stringify(requestBody),
+      })
+        .then((res) => {
+          // Normal
+          if (!isStream)
+            res
+              .json()
+              .then((result) => resolve(finalPromise(result, res.status)))
+              .catch(reject);
+          else {
+            // Error Streaming
+            if (!res.body) reject(new Error('No AI streaming value found.'));
+            else if (!res.ok) reject(buildHttpError(res));
+            // Streaming
+            else streamingResponse(res.body).catch(reject);
+          }
+        })
+        // Error
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Generates content with the `/chat/completions` endpoint.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @returns {Promise<any>} The structured response object.
+   */
+  generate({ instance, apiKey, data, model, controller, config }) {
+    return this.#genContent(
+      instance,
+      apiKey,
+      false,
+      data,
+      model || '',
+      () => {},
+      controller,
+      config,
+    );
+  }
+
+  /**
+   * Generates content with the `/chat/completions` endpoint, using Server-Sent Events.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderRequest} request - The request data.
+   * @param {import('../TinyAiProvider.mjs').TinyAiStreamCallback} callback - Callback for streaming results. Called with partials.
+   * @returns {Promise<any>} The structured response object.
+   */
+  stream({ instance, apiKey, data, model, controller, config }, callback) {
+    return this.#genContent(
+      instance,
+      apiKey,
+      true,
+      data,
+      model || '',
+      callback,
+      controller,
+      config,
+    );
+  }
+
+  // https://platform.openai.com/docs/api-reference/models/list
+  /**
+   * Fetches the list of available models from the `/models` endpoint.
+   * The endpoint has no pagination, so the page size and page token are ignored.
+   *
+   * @param {import('../TinyAiProvider.mjs').TinyAiProviderModelsRequest} request - The request data.
+   * @returns {Promise<any>}
+   *
+   * Returned object when resolved:
+   * {
+   *   _response: <original API response>,
+   *   newData: [<processed and inserted model objects>]
+   * }
+   */
+  listModels({ instance: tinyOpenAI, apiKey }) {
+    return new Promise((resolve, reject) =>
+      fetch(`${this.#apiUrl}/models`, {
+        method: 'GET',
+        headers: getHeaders(apiKey),
+      })
+        // Request
+        .then((res) => res.json().then((result) => [result, res.status]))
+        .then(([result, httpStatus]) => {
+          /** @type {*} */
+          const finalData = { _response: result };
+          if (!result.error) {
+            finalData.newData = [];
+            tinyOpenAI._setNextModelsPageToken('');
+
+            const models = Array.isArray(result.data) ? result.data : [];
+            for (const index in models) {
+              const item = models[index];
+              if (item && typeof item.id === 'string') {
+                const inserted = tinyOpenAI._insertNewModel({
+                  _response: item,
+                  index: Number(index),
+                  id: item.id,
+                  name: item.id,
+                  displayName: item.id,
+                  // vLLM and OpenRouter report the context size of the model
+                  inputTokenLimit:
+                    typeof item.max_model_len === 'number'
+                      ? item.max_model_len
+                      : item.context_length,
+                });
+                if (inserted) finalData.newData.push(inserted);
+              }
+            }
+          }
+
+          // Error result
+          else buildErrorData(result, finalData, httpStatus);
+
+          // Complete
+          resolve(finalData);
+        })
+        // Error
+        .catch(reject),
+    );
+  }
+}
+
+/**
+ * Configures the Tiny AI Api to use an OpenAI-compatible Chat Completions API.
+ *
+ * This function sets up the OpenAI API in a TinyAiApi instance, providing
+ * the required authentication and model parameters. Because the base URL is configurable,
+ * the same service also works with compatible servers such as llama.cpp, vLLM and LM Studio.
+ *
+ * @param {TinyAiInstance} tinyOpenAI - The TinyAiApi instance to be configured.
+ * @param {string} OPENAI_API_KEY - The API key for the OpenAI API. Local servers usually accept an empty string.
+ * @param {string} [MODEL_DATA='gpt-4o-mini'] - The model to use (default is 'gpt-4o-mini').
+ * @param {Object} [options={}] - Extra service options.
+ * @param {string} [options.baseUrl='https://api.openai.com/v1'] - The API base URL, including the `/v1` path.
+ */
+export function setTinyOpenAi(
+  tinyOpenAI,
+  OPENAI_API_KEY,
+  MODEL_DATA = 'gpt-4o-mini',
+  { baseUrl = 'https://api.openai.com/v1' } = {},
+) {
+  tinyOpenAI.setApiKey(OPENAI_API_KEY);
+  tinyOpenAI.setModel(MODEL_DATA);
+  tinyOpenAI.setProvider(new TinyOpenAiProvider({ baseUrl }));
+
+  // Complete
+  return tinyOpenAI;
+}
+
+/**
+ * Creates and configures a new TinyAiInstance that is set up with an OpenAI-compatible API.
+ *
+ * @class
+ * @extends TinyAiInstance
+ * @param {string} OPENAI_API_KEY - The API key used to authenticate with the API.
+ * @param {string} [MODEL_DATA='gpt-4o-mini'] - Optional. The model identifier to use. Defaults to `'gpt-4o-mini'`.
+ * @param {boolean} [isSingle=false] - If true, configures the instance to handle a single session only.
+ * @param {{ baseUrl?: string }} [options={}] - Extra service options, such as the API base URL.
+ * @returns {TinyAiInstance} A configured instance of TinyAiApi.
+ */
+class TinyOpenAi extends TinyAiInstance {
+  constructor(OPENAI_API_KEY = '', MODEL_DATA = 'gpt-4o-mini', isSingle = false, options = {}) {
+    super(isSingle);
+    setTinyOpenAi(this, OPENAI_API_KEY, MODEL_DATA, options);
+  }
+}
+
+export { TinyOpenAi, TinyOpenAiProvider };
@@ -0,0 +1,235 @@
+/**
+ * A comprehensive map of HTTP status codes and their corresponding human-readable descriptions.
+ *
+ * This object includes:
+ * - Standard HTTP status codes (1xx–5xx)
+ * - Cloudflare-specific codes (520–530, 598–599)
+ * - Nginx-specific codes (444, 494–499)
+ *
+ * These codes are useful for interpreting responses from HTTP requests and displaying
+ * user-friendly messages or handling programmatic logic based on response status.
+ *
+ * @constant
+ * @type {Object<number, string>}
+ *
+ * @example
+ * const message = httpErrorCodes[404]; // "Not Found"
+ * if (status >= 400) {
+ *   console.warn(`Error ${status}: ${httpErrorCodes[status] || 'Unknown Status Code'}`);
+ * }
+ */
+export const httpErrorCodes = {
+  100: 'Continue',
+  101: 'Switching Protocols',
+  102: 'Processing',
+  103: 'Early Hints',
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  203: 'Non-Authoritative Information',
+  204: 'No Content',
+  205: 'Reset Content',
+  206: 'Partial Content',
+  207: 'Multi-Status',
+  208: 'Already Reported',
+  226: 'IM Used',
+  300: 'Multiple Choices',
+  301: 'Moved Permanently',
+  302: 'Found',
+  303: 'See Other',
+  304: 'Not Modified',
+  305: 'Use Proxy',
+  306: 'Switch Proxy',
+  307: 'Temporary Redirect',
+  308: 'Permanent Redirect',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  402: 'Payment Required',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  406: 'Not Acceptable',
+  407: 'Proxy Authentication Required',
+  408: 'Request Timeout',
+  409: 'Conflict',
+  410: 'Gone',
+  411: 'Length Required',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  414: 'URI Too Long',
+  415: 'Unsupported Media Type',
+  416: 'Range Not Satisfiable',
+  417: 'Expectation Failed',
+  418: "I'm a teapot",
+  421: 'Misdirected Request',
+  422: 'Unprocessable Entity',
+  423: 'Locked',
+  424: 'Failed Dependency',
+  425: 'Too Early',
+  426: 'Upgrade Required',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  431: 'Request Header Fields Too Large',
+  451: 'Unavailable For Legal Reasons',
+  500: 'Internal Server Error',
+  501: 'Not Implemented',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout',
+  505: 'HTTP Version Not Supported',
+  506: 'Variant Also Negotiates',
+  507: 'Insufficient Storage',
+  508: 'Loop Detected',
+  510: 'Not Extended',
+  511: 'Network Authentication Required',
+  520: 'Web Server Returned an Unknown Error',
+  521: 'Web Server Is Down',
+  522: 'Connection Timed Out',
+  523: 'Origin Is Unreachable',
+  524: 'A Timeout Occurred',
+  525: 'SSL Handshake Failed',
+  526: 'Invalid SSL Certificate',
+  527: 'Railgun Error',
+  530: 'Site Frozen',
+  598: 'Network Read Timeout Error',
+  599: 'Network Connect Timeout Error',
+
+  // Nginx
+  444: 'No Response',
+  494: 'Request Header Too Large',
+  495: 'SSL Certificate Error',
+  496: 'SSL Certificate Required',
+  497: 'HTTP Request Sent to HTTPS Port',
+  499: 'Client Closed Request',
+};
+/**
+ * Builds the error thrown when an HTTP response cannot be used, such as a failed streaming request.
+ *
+ * The message uses the response status text when available, falling back to the
+ * `httpErrorCodes` description of the status code.
+ *
+ * @param {Response} res - The fetch response that failed.
+ * @returns {Error} The error describing the failed response.
+ */
+export const buildHttpError = (res) =>
+  new Error(
+    `Error ${typeof res.status === 'number' ? `HTTP ${res.status}` : 'UNKNOWN ERROR'}: ${
+      typeof res.statusText === 'string'
+        ? res.statusText.length > 0
+          ? res.statusText
+          : typeof httpErrorCodes[Number(res.status)] === 'string'
+            ? httpErrorCodes[Number(res.status)]
+            : '???'
+        : 'Unknown'
+    }`,
+  );
+
+/**
+ * Reads a text stream line by line and calls `onLine` for every complete line.
+ *
+ * The reader keeps a text buffer between reads, so lines split across network chunks
+ * (including multi-byte UTF-8 characters) are only dispatched once they are complete.
+ * `\n`, `\r\n` and `\r` are accepted as line breaks. The last line is dispatched
+ * when the stream ends, even without a trailing line break.
+ *
+ * @param {ReadableStream<Uint8Array>} stream - The ReadableStream from fetch().body
+ * @param {(line: string) => void} onLine - Callback executed for each line, without the line break.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export const readStreamLines = async (stream, onLine) => {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+
+  /** @param {boolean} ended */
+  const readLines = (ended) => {
+    while (buffer.length > 0) {
+      const lineEnd = buffer.search(/\r\n|\r|\n/);
+      if (lineEnd < 0) break;
+      // A "\r" at the end of the buffer may be the first half of a "\r\n"
+      if (buffer[lineEnd] === '\r' && lineEnd === buffer.length - 1 && !ended) break;
+      const breakSize = buffer.startsWith('\r\n', lineEnd) ? 2 : 1;
+      const line = buffer.substring(0, lineEnd);
+      buffer = buffer.substring(lineEnd + breakSize);
+      onLine(line);
+    }
+  };
+
+  let done = false;
+  while (!done) {
+    const { value, done: streamDone } = await reader.read();
+    done = streamDone;
+    if (value) buffer += decoder.decode(value, { stream: true });
+    readLines(false);
+  }
+
+  // Complete
+  buffer += decoder.decode();
+  readLines(true);
+  if (buffer.length > 0) onLine(buffer);
+};
+
+/**
+ * @typedef {Object} SseEvent
+ * @property {string} event - The event name (`message` when the server does not send one).
+ * @property {string} data - The event data. Multiple `data:` lines are joined with a line break.
+ * @property {string|null} id - The last event id sent by the server, if any.
+ */
+
+/**
+ * Reads a Server-Sent Events stream and calls `onEvent` for every complete event.
+ *
+ * Lines are read with `readStreamLines`, so events split across network chunks are
+ * only dispatched once they are complete. Several events received in the same chunk
+ * are dispatched in order.
+ *
+ * @param {ReadableStream<Uint8Array>} stream - The ReadableStream from fetch().body
+ * @param {(event: SseEvent) => void} onEvent - Callback executed for each dispatched event.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export const readSseStream = async (stream, onEvent) => {
+  let eventName = '';
+  /** @type {string|null} */
+  let lastId = null;
+  /** @type {string[]} */
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0)
+      onEvent({ event: eventName || 'message', data: dataLines.join('\n'), id: lastId });
+    eventName = '';
+    dataLines = [];
+  };
+
+  await readStreamLines(stream, (line) => {
+    // Blank line ends the event
+    if (line.length < 1) return dispatch();
+    // Comment
+    if (line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator > -1 ? line.substring(0, separator) : line;
+    let value = separator > -1 ? line.substring(separator + 1) : '';
+    if (value.startsWith(' ')) value = value.substring(1);
+
+    if (field === 'data') dataLines.push(value);
+    else if (field === 'event') eventName = value;
+    else if (field === 'id') lastId = value;
+  });
+
+  // Complete
+  dispatch();
+};
+
+/**
+ * Reads a newline-delimited JSON stream and calls `onChunk` with every parsed object.
+ * Empty lines are ignored. A line that is not valid JSON makes the returned promise reject.
+ *
+ * @param {ReadableStream<Uint8Array>} stream - The ReadableStream from fetch().body
+ * @param {(chunk: any) => void} onChunk - Callback executed for each parsed line.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export const readNdjsonStream = (stream, onChunk) =>
+  readStreamLines(stream, (line) => {
+    if (line.trim().length > 0) onChunk(JSON.parse(line));
+  });
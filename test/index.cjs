@@ -1,3 +1,49 @@
-const { TinyAiInstance, TinyGoogleAi, setTinyGoogleAi } = require('../dist/index.cjs');
+const {
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAiProvider,
+  TinyGoogleAi,
+  setTinyGoogleAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  setTinyOpenAi,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+} = require('../dist/index.cjs');
 
-console.log(TinyAiInstance, TinyGoogleAi, setTinyGoogleAi);
+console.log(
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAiProvider,
+  TinyGoogleAi,
+  setTinyGoogleAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  setTinyOpenAi,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+);
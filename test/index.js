@@ -1,3 +1,49 @@
-import { TinyAiInstance, setTinyGoogleAi, TinyGoogleAi } from '../dist';
+import {
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAiProvider,
+  setTinyGoogleAi,
+  TinyGoogleAi,
+  setTinyOpenAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+} from '../dist';
 
-console.log(TinyAiInstance, TinyGoogleAi, setTinyGoogleAi);
+console.log(
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAiProvider,
+  TinyGoogleAi,
+  setTinyGoogleAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  setTinyOpenAi,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+);
@@ -1,3 +1,466 @@
-import { setTinyGoogleAi, TinyAiInstance, TinyGoogleAi } from '../dist/index.mjs';
+import assert from 'node:assert/strict';
+import {
+  setTinyGoogleAi,
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAiProvider,
+  TinyGoogleAi,
+  setTinyOpenAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+} from '../dist/index.mjs';
 
-console.log(TinyAiInstance, TinyGoogleAi, setTinyGoogleAi);
+console.log(
+  TinyAiInstance,
+  TinyAiProvider,
+  TinyAiMemory,
+  TinyAiTokenEstimator,
+  TinyAiScheduler,
+  TinyAiJsonError,
+  validateJsonSchema,
+  TinyGoogleAiProvider,
+  TinyGoogleAi,
+  setTinyGoogleAi,
+  TinyOpenAi,
+  TinyOpenAiProvider,
+  setTinyOpenAi,
+  TinyAnthropicAi,
+  TinyAnthropicAiProvider,
+  setTinyAnthropicAi,
+  TinyOllamaAi,
+  TinyOllamaAiProvider,
+  setTinyOllamaAi,
+  TinyMockAi,
+  TinyMockAiProvider,
+  setTinyMockAi,
+);
+
+// Mock service
+const script = {
+  responses: ['Hello world!', { httpStatus: 429 }, 'Hello world!'],
+  stream: { chunkSize: 5 },
+};
+const mockAi = new TinyMockAi(script, true);
+const mockData = [{ role: 'user', parts: [{ text: 'Hi!' }] }];
+
+const chunks = [];
+const mockResult = await mockAi.genContent(mockData, undefined, undefined, (chunk) =>
+  chunks.push(chunk),
+);
+assert.equal(mockResult.contents[0].parts[0].text, 'Hello world!');
+assert.equal(chunks[0].contents[0].parts[0].text, 'Hello');
+assert.equal(chunks[chunks.length - 1].done, true);
+
+const mockError = await mockAi.genContent(mockData);
+assert.equal(mockError.error.code, 429);
+assert.equal(mockError.error.message, mockAi.getErrorCode(429).text);
+assert.deepEqual(script.requests[0].data, mockData);
+
+const mockStream = mockAi.genContentStream(mockData);
+let streamText = '';
+for await (const event of mockStream) if (event.type === 'delta') streamText += event.text;
+assert.equal(streamText, 'Hello world!');
+assert.equal((await mockStream.result).contents[0].parts[0].text, streamText);
+
+const toolScript = {
+  responses: [{ parts: [{ functionCall: { name: 'sum', args: { a: 1, b: 2 } } }] }, 'It is 3.'],
+};
+const toolAi = new TinyMockAi(toolScript, true);
+toolAi.registerTool('sum', { type: 'object' }, ({ a, b }) => a + b);
+const toolResult = await toolAi.genContentWithTools(mockData);
+assert.equal(toolResult.contents[0].parts[0].text, 'It is 3.');
+assert.equal(toolResult.toolSteps, 1);
+assert.deepEqual(toolResult.toolContents[1].parts[0].functionResponse.response, { result: 3 });
+
+const jsonAi = new TinyMockAi({ responses: ['{"age":"3"}', '{"age":3}'] }, true);
+const jsonSchema = { type: 'object', properties: { age: { type: 'integer' } } };
+const jsonResult = await jsonAi.genJson(mockData, jsonSchema, { retries: 1 });
+assert.deepEqual(jsonResult.value, { age: 3 });
+assert.equal(jsonResult.attempts, 2);
+
+const jsonScript = { responses: ['{"age":3}'] };
+const jsonConfigAi = new TinyMockAi(jsonScript, true);
+let jsonSchemaEvents = 0;
+jsonConfigAi.on('setResponseSchema', () => jsonSchemaEvents++);
+await jsonConfigAi.genJson(mockData, jsonSchema);
+assert.deepEqual(jsonScript.requests[0].config.responseSchema, jsonSchema);
+assert.equal(jsonScript.requests[0].config.responseMimeType, 'application/json');
+assert.equal(jsonConfigAi.getResponseSchema(), null);
+assert.equal(jsonSchemaEvents, 0);
+assert.deepEqual(validateJsonSchema({ age: '3' }, jsonSchema), [
+  { path: '$.age', message: 'Expected integer, received string.' },
+]);
+
+const candidateAi = new TinyMockAi({ responses: [{ candidates: ['A', 'B'] }] }, true);
+const candidateResult = await candidateAi.genContent(mockData);
+const candidateId = candidateAi.addCandidates(candidateResult.contents, [1, 2]);
+candidateAi.selectCandidate(candidateId, 1);
+assert.equal(candidateAi.getMsgById(candidateId).parts[0].text, 'B');
+assert.deepEqual(candidateAi.getMsgTokensById(candidateId), { count: 2 });
+
+mockAi.setSafetySettings([{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' }]);
+assert.equal(typeof mockAi.getHash('safetySettings'), 'string');
+assert.throws(() =>
+  mockAi.setSafetySettings([{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'NONE' }]),
+);
+
+const providerScript = { responses: ['Cached'] };
+const providerAi = new TinyMockAi(providerScript, true);
+assert.ok(providerAi.getProvider() instanceof TinyMockAiProvider);
+providerAi.addData({ role: 'user', parts: [{ text: 'Hi!' }] });
+const cacheResult = await providerAi.createCache(undefined, { ttl: 60 });
+assert.equal(providerAi.getCache()?.name, cacheResult.cache.name);
+assert.equal((await providerAi.listCaches()).caches.length, 1);
+assert.equal((await providerAi.updateCacheTtl(undefined, 120)).error, undefined);
+await providerAi.deleteCache();
+assert.equal(providerAi.getCache(), null);
+assert.equal((await providerAi.deleteCache(cacheResult.cache.name)).error.code, 404);
+const fileResult = await providerAi.uploadFile(new Uint8Array([1, 2]), 'text/plain');
+assert.equal(fileResult.file.sizeBytes, 2);
+assert.equal((await providerAi.getFile(fileResult.file.name)).file.state, 'ACTIVE');
+assert.equal((await providerAi.listFiles()).files.length, 1);
+await providerAi.deleteFile(fileResult.file.name);
+assert.equal((await providerAi.getFile(fileResult.file.name)).error.code, 404);
+const embedResult = await providerAi.embed(['a', 'b']);
+assert.ok(embedResult.embeddings[0] instanceof Float32Array);
+assert.deepEqual(
+  providerScript.requests.map((request) => request.type),
+  [
+    'createCache',
+    'listCaches',
+    'updateCache',
+    'deleteCache',
+    'deleteCache',
+    'uploadFile',
+    'getFile',
+    'listFiles',
+    'deleteFile',
+    'getFile',
+    'embed',
+  ],
+);
+
+class GenerateProvider extends TinyAiProvider {
+  capabilities = { ...this.capabilities, generate: true };
+  async generate() {
+    return { contents: [{ role: 'model', parts: [{ text: 'Hi.' }] }] };
+  }
+}
+const generateAi = new TinyAiInstance(true);
+generateAi.setProvider(new GenerateProvider());
+assert.equal((await generateAi.genContent(mockData)).contents[0].parts[0].text, 'Hi.');
+await assert.rejects(async () => generateAi.genContent(mockData, undefined, undefined, () => {}), {
+  message: 'This provider does not support streaming.',
+});
+await assert.rejects(async () => generateAi.getModels(), {
+  message: 'No model list api script defined.',
+});
+await assert.rejects(generateAi.embed('Hi'), { message: 'No embed api script defined.' });
+await assert.rejects(generateAi.createCache(), { message: 'No cache api script defined.' });
+await assert.rejects(generateAi.uploadFile(new Uint8Array([1]), 'text/plain'), {
+  message: 'No file api script defined.',
+});
+await assert.rejects(new GenerateProvider().countTokens({}), {
+  message: 'GenerateProvider does not implement countTokens().',
+});
+const filePart = mockAi.buildContents(undefined, {
+  parts: [{ fileData: { fileUri: 'https://example.com/files/a', mimeType: 'text/plain' } }],
+});
+assert.equal(typeof filePart === 'object' && filePart.parts[0].fileData.mimeType, 'text/plain');
+
+const attachmentId = mockAi.addAttachment({ mime: 'text/plain', data: 'Hi', tokens: 2 });
+mockAi.addAttachment({ mime: 'application/pdf', uri: 'https://example.com/files/a' });
+assert.equal(mockAi.getAttachments().length, 2);
+assert.equal(mockAi.getAttachmentParts()[1].fileData.fileUri, 'https://example.com/files/a');
+assert.equal(mockAi.removeAttachment(attachmentId), true);
+assert.equal(mockAi.getAttachment(attachmentId), null);
+
+const attachmentScript = { responses: ['Seen.'] };
+const attachmentAi = new TinyMockAi(attachmentScript, true);
+const attachmentMsgId = attachmentAi.addData({ role: 'user', parts: [{ text: 'Compare.' }] });
+attachmentAi.addAttachment({ mime: 'application/pdf', uri: 'https://example.com/files/a' });
+attachmentAi.addAttachment({ mime: 'text/plain', data: 'Hi', tokens: 2 }, attachmentMsgId);
+const attachmentContents = attachmentAi.buildRequestContents(undefined, { maxInputTokens: 100 });
+await attachmentAi.genContent(attachmentContents.contents);
+assert.deepEqual(attachmentScript.requests[0].data, [
+  {
+    role: 'user',
+    parts: [{ fileData: { fileUri: 'https://example.com/files/a', mimeType: 'application/pdf' } }],
+  },
+  {
+    role: 'user',
+    parts: [{ inlineData: { mime_type: 'text/plain', data: 'SGk=' } }, { text: 'Compare.' }],
+  },
+]);
+
+mockAi.registerPartType('citation', { parse: (value) => value, hashable: false });
+const partContent = mockAi.buildContents(undefined, {
+  parts: [{ text: 'Hi', citation: 'a' }, { unknownPart: { x: 1 } }],
+});
+assert.deepEqual(typeof partContent === 'object' && partContent.parts[1], {
+  unknownPart: { x: 1 },
+});
+assert.equal(mockAi.countPartTokens({ text: 'Hello!' }), 2);
+
+mockAi.setThinkingConfig({ thinkingBudget: 1024, includeThoughts: true });
+assert.equal(mockAi.getThinkingConfig()?.thinkingBudget, 1024);
+assert.throws(() => mockAi.setThinkingConfig({ thinkingBudget: 1.5 }));
+
+class EmbedProvider extends TinyAiProvider {
+  capabilities = { ...this.capabilities, embed: true };
+  async embed({ texts }) {
+    return { embeddings: texts.map((text) => [text.includes('refund') ? 1 : 0, 1]) };
+  }
+}
+const memoryAi = new TinyAiInstance(true);
+memoryAi.setProvider(new EmbedProvider());
+const memory = new TinyAiMemory(memoryAi);
+await memory.addDocument('refund', 'Ask for a refund in 30 days.');
+await memory.addDocument('shipping', 'Shipping is free.');
+assert.equal((await memory.search('refund?', { topK: 1 }))[0].chunk.docId, 'refund');
+assert.equal(TinyAiMemory.fromJSON(memoryAi, memory.toJSON()).getChunks().length, 2);
+
+const contextAi = new TinyAiInstance(true);
+const firstMsgId = contextAi.addData({ role: 'user', parts: [{ text: 'Hi' }] }, { count: 10 });
+contextAi.addData({ role: 'model', parts: [{ text: 'Hello' }] }, { count: 10 });
+contextAi.addData({ role: 'user', parts: [{ text: 'Bye' }] }, { count: 10 });
+assert.deepEqual(contextAi.buildRequestContents(undefined, { maxInputTokens: 25 }).msgIds, [1, 2]);
+contextAi.pinMessage(firstMsgId);
+const pinnedContents = contextAi.buildRequestContents(undefined, {
+  maxInputTokens: 25,
+  strategy: 'keep-pinned',
+});
+assert.deepEqual(pinnedContents.msgIds, [0, 2]);
+assert.equal(pinnedContents.excluded[0].reason, 'dropped');
+
+const sessionContextAi = new TinyAiInstance(true);
+sessionContextAi.setSystemInstruction('Be brief and kind.');
+sessionContextAi.setFileUri('application/pdf', 'https://files.example/doc', 5);
+sessionContextAi.addData({ role: 'user', parts: [{ text: 'Hi' }] }, { count: 10 });
+sessionContextAi.addData({ role: 'user', parts: [{ text: 'Bye' }] }, { count: 10 });
+const sessionContextContents = sessionContextAi.buildRequestContents(undefined, {
+  maxInputTokens: 20,
+});
+assert.equal(sessionContextContents.tokens, 20);
+assert.deepEqual(sessionContextContents.msgIds, [1]);
+assert.deepEqual(
+  sessionContextContents.contents.map((item) => item.role),
+  ['system', 'user', 'user'],
+);
+assert.equal(
+  sessionContextContents.contents[1].parts[0].fileData.fileUri,
+  'https://files.example/doc',
+);
+assert.throws(
+  () =>
+    sessionContextAi.buildRequestContents(undefined, {
+      maxInputTokens: 20,
+      reserveTokens: '5',
+    }),
+  { message: 'Invalid reserve tokens value!' },
+);
+
+contextAi._setGenContent(async () => ({ contents: [{ role: 'model', parts: [{ text: 'Hi.' }] }] }));
+const { archive } = await contextAi.compactHistory(undefined, { keepLast: 1 });
+assert.deepEqual(archive?.ids, [0, 1]);
+assert.equal(contextAi.getData()?.data[0].synthetic, true);
+assert.equal(contextAi.restoreArchive(archive?.summaryId ?? -1), true);
+assert.deepEqual(contextAi.getData()?.ids, [0, 1, 2]);
+
+const compactAi = new TinyAiInstance();
+compactAi.startDataId('a', true);
+compactAi.addData({ role: 'user', parts: [{ text: 'One' }] });
+compactAi.addData({ role: 'model', parts: [{ text: 'Two' }] });
+compactAi.addData({ role: 'user', parts: [{ text: 'Three' }] });
+compactAi.startDataId('b');
+compactAi._setGenContent(async () => {
+  compactAi.selectDataId('b');
+  compactAi.addData({ role: 'model', parts: [{ text: 'Four' }] }, undefined, 'a');
+  return { contents: [{ role: 'model', parts: [{ text: 'Short.' }] }] };
+});
+const compacted = await compactAi.compactHistory('a', { keepLast: 1 });
+assert.deepEqual(compacted.archive?.ids, [0, 1]);
+assert.deepEqual(compactAi.getData('a')?.ids, [4, 2, 3]);
+assert.deepEqual(compactAi.getData('b')?.data, []);
+
+compactAi._setGenContent(async () => {
+  compactAi.deleteIndex(0, 'a');
+  return { contents: [{ role: 'model', parts: [{ text: 'Short.' }] }] };
+});
+assert.equal((await compactAi.compactHistory('a', { keepLast: 1 })).archive, null);
+
+const estimator = new TinyAiTokenEstimator({ vocabulary: ['Hello', 'Ġworld', '!'] });
+assert.equal(estimator.countText('Hello world!'), 3);
+assert.equal(estimator.sliceTextEnd('Hello world!', 2), ' world!');
+assert.equal(new TinyAiTokenEstimator({ charsPerToken: 2 }).sliceTextEnd('abcdef', 2), 'cdef');
+contextAi.setTokenEstimator(estimator);
+const truncateAi = new TinyAiInstance(true);
+truncateAi.setTokenEstimator(new TinyAiTokenEstimator({ charsPerToken: 2 }));
+truncateAi.addData({ role: 'user', parts: [{ text: 'abcdefghij' }] }, { count: 5 });
+truncateAi.addData({ role: 'user', parts: [{ text: 'Hi' }] }, { count: 1 });
+const truncatedContents = truncateAi.buildRequestContents(undefined, {
+  maxInputTokens: 3,
+  truncate: true,
+});
+assert.equal(truncatedContents.contents[0].parts[0].text, 'ghij');
+assert.equal(truncatedContents.excluded[0].reason, 'truncated');
+assert.deepEqual(contextAi.estimateTokens([{ role: 'user', parts: [{ text: 'Hello!' }] }]), {
+  totalTokens: 2,
+  cachedContentTokenCount: null,
+  estimated: true,
+});
+contextAi.setSystemInstruction('Hello world!');
+assert.equal(
+  contextAi.estimateTokens([{ role: 'user', parts: [{ text: 'Hello!' }] }]).totalTokens,
+  2,
+);
+assert.equal(
+  contextAi.estimateTokens([
+    { role: 'system', parts: [{ text: 'Hello world!' }] },
+    { role: 'user', parts: [{ text: 'Hello!' }] },
+  ]).totalTokens,
+  5,
+);
+contextAi.setSystemInstruction('');
+assert.equal(
+  (await contextAi.countTokens([], undefined, undefined, { offline: true })).estimated,
+  true,
+);
+
+const autoAi = new TinyAiInstance(true);
+autoAi._setGenContent(async () => ({
+  contents: [{ role: 'model', parts: [{ text: 'Hey' }] }],
+  tokenUsage: { count: { prompt: 12, candidates: 3, total: 15 } },
+}));
+autoAi.setAutoTokens(true);
+autoAi.addData({ role: 'user', parts: [{ text: 'Hi' }] }, { count: 5 });
+autoAi.addData({ role: 'user', parts: [{ text: 'Hello' }] });
+const autoResult = await autoAi.genContent(autoAi.getData()?.data ?? []);
+autoAi.addData(autoResult.contents[0]);
+assert.deepEqual(
+  autoAi.getData()?.tokens.data.map((item) => item.count),
+  [5, 7, 3],
+);
+assert.equal(autoAi.getTotalTokens(), 15);
+
+let systemPrompt = 20;
+const systemAi = new TinyAiInstance(true);
+systemAi._setGenContent(async () => ({
+  contents: [{ role: 'model', parts: [{ text: 'Hey' }] }],
+  tokenUsage: { count: { prompt: systemPrompt, candidates: 3, total: systemPrompt + 3 } },
+}));
+systemAi.setAutoTokens(true);
+systemAi.setSystemInstruction('Be brief', 4);
+systemAi.addData({ role: 'user', parts: [{ text: 'Hi' }] }, { count: 5 });
+systemAi.addData({ role: 'user', parts: [{ text: 'Hello' }] });
+const systemResult = await systemAi.genContent(systemAi.getData()?.data ?? []);
+systemAi.addData(systemResult.contents[0]);
+systemAi.addData({ role: 'user', parts: [{ text: 'More' }] });
+systemPrompt = 40;
+await systemAi.genContent([
+  { role: 'system', parts: [{ text: 'Be brief' }] },
+  ...(systemAi.getData()?.data ?? []),
+]);
+assert.deepEqual(
+  systemAi.getData()?.tokens.data.map((item) => item.count),
+  [5, 15, 3, 13],
+);
+
+autoAi.setModel('mock-model');
+await autoAi.genContent([]);
+autoAi.setPrices({ 'mock-*': { prompt: 1, candidates: 2 } });
+const usage = autoAi.getUsage({ model: 'mock-model' });
+assert.equal(usage.requests, 1);
+assert.equal(usage.cost, 0.000018);
+assert.equal(autoAi.exportUsage().length, 2);
+
+const countedAi = new TinyMockAi({ responses: ['Hello world!'], countTokens: 50 }, true);
+await countedAi.genContent(mockData);
+await countedAi.countTokens(mockData);
+const countedUsage = countedAi.getUsage();
+assert.equal(countedUsage.requests, 2);
+assert.equal(countedUsage.counted, 50);
+assert.equal(countedUsage.tokens.prompt, countedAi.exportUsage()[0].tokens.prompt);
+
+const scheduler = new TinyAiScheduler({ maxConcurrency: 1 });
+const started = [];
+scheduler.on('start', (job) => started.push(job.priority));
+autoAi.setScheduler(scheduler);
+autoAi.setRequestPriority('batch');
+const batchRequest = autoAi.genContent([]);
+const batchRequest2 = autoAi.genContent([]);
+autoAi.setRequestPriority(null);
+const interactiveRequest = autoAi.genContent([]);
+assert.deepEqual(
+  scheduler.getQueue().map((job) => job.priority),
+  ['interactive', 'batch'],
+);
+await Promise.all([batchRequest, batchRequest2, interactiveRequest]);
+assert.deepEqual(started, ['batch', 'interactive', 'batch']);
+assert.throws(() => scheduler.setLimits('mock-model', { rpm: 1.5 }), {
+  message: 'Invalid rate limits!',
+});
+
+const sessionScript = { responses: ['A', 'B', 'C'] };
+const sessionAi = new TinyMockAi(sessionScript);
+sessionAi.startDataId('a', true);
+sessionAi.setTemperature(0.1);
+sessionAi.setRequestPriority('batch');
+sessionAi.startDataId('b');
+sessionAi.setTemperature(1.9, 'b');
+const sessionScheduler = new TinyAiScheduler({ maxConcurrency: 1 });
+const sessionLanes = [];
+sessionScheduler.on('start', (job) => sessionLanes.push(job.priority));
+sessionAi.setScheduler(sessionScheduler);
+const sessionRequests = [sessionAi.genContent([]), sessionAi.genContent([])];
+assert.deepEqual(sessionScheduler.getStats(), { running: 1, queued: 1 });
+sessionAi.selectDataId('b');
+await Promise.all(sessionRequests);
+assert.deepEqual(
+  sessionScript.requests.map((request) => request.config.temperature),
+  [0.1, 0.1],
+);
+assert.deepEqual(sessionLanes, ['batch', 'batch']);
+assert.equal(sessionAi.exportUsage('a').length, 2);
+assert.equal(sessionAi.exportUsage('b').length, 0);
+
+const abortController = new AbortController();
+let abortListeners = 0;
+const abortSignal = abortController.signal;
+const addAbortListener = abortSignal.addEventListener.bind(abortSignal);
+const removeAbortListener = abortSignal.removeEventListener.bind(abortSignal);
+abortSignal.addEventListener = (...args) => {
+  abortListeners++;
+  addAbortListener(...args);
+};
+abortSignal.removeEventListener = (...args) => {
+  abortListeners--;
+  removeAbortListener(...args);
+};
+let syncStarted = false;
+const abortJob = sessionScheduler.schedule(
+  () => {
+    syncStarted = true;
+    return 'done';
+  },
+  { signal: abortSignal },
+);
+assert.equal(syncStarted, true);
+assert.equal(abortListeners, 0);
+assert.equal(await abortJob, 'done');
+
+console.log('Mock service tests passed.');
@@ -0,0 +1,539 @@
+import assert from 'node:assert/strict';
+import { TinyGoogleAi, TinyOpenAi, TinyAnthropicAi, TinyOllamaAi } from '../dist/index.mjs';
+
+// Fetch stub
+const calls = [];
+let nextResponse = () => new Response('{}');
+globalThis.fetch = async (url, init = {}) => {
+  calls.push({
+    url: String(url),
+    headers: init.headers,
+    body: typeof init.body === 'string' ? JSON.parse(init.body) : init.body,
+  });
+  return nextResponse(String(url));
+};
+
+/**
+ * @param {any} value
+ * @param {number} [status=200]
+ */
+const jsonResponse =
+  (value, status = 200) =>
+  () =>
+    new Response(JSON.stringify(value), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+/**
+ * @param {Array<string|Uint8Array>} chunks - The raw text or bytes of each network read.
+ */
+const streamResponse = (chunks) => () => {
+  const encoder = new TextEncoder();
+  return new Response(
+    new ReadableStream({
+      start(controller) {
+        for (const index in chunks) {
+          const chunk = chunks[index];
+          controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+        }
+        controller.close();
+      },
+    }),
+  );
+};
+
+/**
+ * @param {Record<string, any>} value
+ */
+const sseEvent = (value) => `event: ${value.type}\ndata: ${JSON.stringify(value)}\n\n`;
+
+const lastBody = () => calls[calls.length - 1].body;
+
+// Inline data
+const imageData = [
+  {
+    role: 'user',
+    parts: [{ text: 'What is it?' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }],
+  },
+];
+
+const googleAi = new TinyGoogleAi('key', 'gemini-2.0-flash', true);
+nextResponse = jsonResponse({
+  candidates: [{ content: { role: 'model', parts: [{ text: 'A cat.' }] }, finishReason: 'STOP' }],
+  usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 },
+});
+await googleAi.genContent(imageData);
+assert.deepEqual(lastBody().contents[0].parts[1].inlineData, {
+  mime_type: 'image/png',
+  data: 'AAAA',
+});
+
+googleAi.setStopSequences(['END']);
+googleAi.setSeed(7);
+googleAi.setResponseLogprobs(true);
+googleAi.setLogprobs(2);
+googleAi.setResponseModalities(['TEXT']);
+nextResponse = jsonResponse({
+  candidates: [
+    {
+      content: { role: 'model', parts: [{ text: 'A cat.' }] },
+      finishReason: 'STOP',
+      avgLogprobs: -0.25,
+      logprobsResult: {
+        chosenCandidates: [{ token: 'A', tokenId: 1, logProbability: -0.1 }],
+        topCandidates: [
+          {
+            candidates: [
+              { token: 'A', tokenId: 1, logProbability: -0.1 },
+              { token: 'The', logProbability: -2.5 },
+            ],
+          },
+        ],
+      },
+    },
+    { finishReason: 'SAFETY', index: 1 },
+  ],
+  usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 },
+});
+const googleCandidates = await googleAi.genContent(imageData);
+assert.deepEqual(
+  [
+    lastBody().generationConfig.stopSequences,
+    lastBody().generationConfig.seed,
+    lastBody().generationConfig.responseLogprobs,
+    lastBody().generationConfig.logprobs,
+    lastBody().generationConfig.responseModalities,
+  ],
+  [['END'], 7, true, 2, ['TEXT']],
+);
+assert.deepEqual(
+  googleCandidates.contents.map((item) => [item.role, item.parts.length, item.finishReason]),
+  [
+    ['model', 1, 'STOP'],
+    ['model', 0, 'SAFETY'],
+  ],
+);
+assert.deepEqual(googleCandidates.logprobs, [
+  {
+    avgLogprobs: -0.25,
+    logprobsResult: {
+      chosenCandidates: [{ token: 'A', tokenId: 1, logProbability: -0.1 }],
+      topCandidates: [
+        [
+          { token: 'A', tokenId: 1, logProbability: -0.1 },
+          { token: 'The', tokenId: null, logProbability: -2.5 },
+        ],
+      ],
+    },
+  },
+  null,
+]);
+
+const cacheAi = new TinyGoogleAi('key', 'gemini-2.0-flash', true);
+cacheAi.setSystemInstruction('You read documents.');
+cacheAi.setFileUri('application/pdf', 'https://files.example/doc');
+cacheAi.registerTool('sum', { type: 'object' }, ({ a, b }) => a + b);
+cacheAi.setToolConfig('ANY', ['sum']);
+cacheAi.addData({ role: 'user', parts: [{ text: 'Read it.' }] });
+nextResponse = jsonResponse({
+  name: 'cachedContents/doc',
+  model: 'models/gemini-2.0-flash',
+  expireTime: new Date(Date.now() + 60000).toISOString(),
+});
+await cacheAi.createCache(undefined, { ttl: 60 });
+assert.deepEqual(lastBody().contents[0].parts[0].fileData, {
+  fileUri: 'https://files.example/doc',
+  mimeType: 'application/pdf',
+});
+assert.equal(lastBody().contents[1].parts[0].text, 'Read it.');
+assert.deepEqual(lastBody().toolConfig, {
+  functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['sum'] },
+});
+assert.equal(lastBody().tools[0].functionDeclarations[0].name, 'sum');
+
+/** @returns {any[]} */
+const cacheContents = () => [
+  ...cacheAi.buildRequestContents(undefined, { maxInputTokens: 1000 }).contents,
+  { role: 'user', parts: [{ text: 'Sum it.' }] },
+];
+nextResponse = jsonResponse({
+  candidates: [{ content: { role: 'model', parts: [{ text: 'Done.' }] }, finishReason: 'STOP' }],
+  usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 2, totalTokenCount: 12 },
+});
+await cacheAi.genContent(cacheContents());
+assert.equal(lastBody().cachedContent, 'cachedContents/doc');
+assert.equal(lastBody().contents.length, 1);
+cacheAi.setFileUri('application/pdf', 'https://files.example/other');
+await cacheAi.genContent(cacheContents());
+assert.equal(lastBody().cachedContent, undefined);
+assert.equal(lastBody().contents.length, 3);
+assert.equal(lastBody().contents[0].parts[0].fileData.fileUri, 'https://files.example/other');
+
+const embedTexts = Array.from({ length: 150 }, (_, index) => String(index));
+const embedStart = calls.length;
+nextResponse = () =>
+  jsonResponse({
+    embeddings: lastBody().requests.map((request) => ({
+      values: [Number(request.content.parts[0].text)],
+    })),
+    usageMetadata: { promptTokenCount: lastBody().requests.length * 2 },
+  })();
+const googleEmbed = await googleAi.embed(embedTexts);
+const embedCalls = calls.slice(embedStart);
+assert.deepEqual(
+  embedCalls.map((call) => [call.url.split('?')[0].split('/').pop(), call.body.requests.length]),
+  [
+    ['gemini-embedding-001:batchEmbedContents', 100],
+    ['gemini-embedding-001:batchEmbedContents', 50],
+  ],
+);
+assert.deepEqual(
+  googleEmbed.embeddings.map((vector) => vector[0]),
+  embedTexts.map(Number),
+);
+assert.deepEqual(googleEmbed.tokenUsage.count, { prompt: 300, total: 300 });
+
+const openAi = new TinyOpenAi('key', 'gpt-4o-mini', true);
+nextResponse = jsonResponse({
+  choices: [{ message: { content: 'A cat.' }, finish_reason: 'stop' }],
+});
+await openAi.genContent(imageData);
+assert.deepEqual(lastBody().messages[0].content[1], {
+  type: 'image_url',
+  image_url: { url: 'data:image/png;base64,AAAA' },
+});
+
+await openAi.genContent([
+  {
+    role: 'user',
+    parts: [
+      { inlineData: { mime_type: 'audio/mpeg', data: 'AAAA' } },
+      { inlineData: { mime_type: 'audio/wav', data: 'BBBB' } },
+    ],
+  },
+]);
+assert.deepEqual(
+  lastBody().messages[0].content.map((item) => item.input_audio.format),
+  ['mp3', 'wav'],
+);
+
+const anthropicAi = new TinyAnthropicAi('key', 'claude-3-5-haiku-latest', true);
+nextResponse = jsonResponse({
+  content: [{ type: 'text', text: 'A cat.' }],
+  stop_reason: 'end_turn',
+});
+await anthropicAi.genContent(imageData);
+assert.deepEqual(lastBody().messages[0].content[1], {
+  type: 'image',
+  source: { type: 'base64', media_type: 'image/png', data: 'AAAA' },
+});
+
+const ollamaAi = new TinyOllamaAi('llama3.2', true);
+nextResponse = jsonResponse({ message: { content: 'A cat.' }, done_reason: 'stop' });
+await ollamaAi.genContent(imageData);
+assert.deepEqual(lastBody().messages[0], {
+  role: 'user',
+  content: 'What is it?',
+  images: ['AAAA'],
+});
+
+// OpenAI
+const openAiChat = new TinyOpenAi('sk-test', 'gpt-4o-mini', true, {
+  baseUrl: 'http://localhost:8080/v1/',
+});
+openAiChat.setMaxOutputTokens(64);
+openAiChat.setTemperature(0.5);
+openAiChat.setStopSequences(['END']);
+openAiChat.setSeed(7);
+nextResponse = jsonResponse({
+  model: 'gpt-4o-mini-2024-07-18',
+  choices: [
+    { index: 0, message: { role: 'assistant', content: 'Hello!' }, finish_reason: 'stop' },
+    { index: 1, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'length' },
+  ],
+  usage: {
+    prompt_tokens: 12,
+    completion_tokens: 3,
+    total_tokens: 15,
+    prompt_tokens_details: { cached_tokens: 8 },
+  },
+});
+const openAiResult = await openAiChat.genContent([
+  { role: 'system', parts: [{ text: 'Be brief.' }] },
+  { role: 'user', parts: [{ text: 'Hi!' }] },
+  { role: 'model', parts: [{ text: 'Hello.' }] },
+  { role: 'user', parts: [{ text: 'Again.' }] },
+]);
+assert.equal(calls[calls.length - 1].url, 'http://localhost:8080/v1/chat/completions');
+assert.equal(calls[calls.length - 1].headers.Authorization, 'Bearer sk-test');
+assert.deepEqual(lastBody(), {
+  model: 'gpt-4o-mini',
+  messages: [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi!' },
+    { role: 'assistant', content: 'Hello.' },
+    { role: 'user', content: 'Again.' },
+  ],
+  max_tokens: 64,
+  temperature: 0.5,
+  stop: ['END'],
+  seed: 7,
+});
+assert.equal(openAiResult.modelVersion, 'gpt-4o-mini-2024-07-18');
+assert.deepEqual(
+  openAiResult.contents.map((item) => [item.role, item.parts[0].text, item.finishReason]),
+  [
+    ['model', 'Hello!', 'STOP'],
+    ['model', 'Hi', 'LENGTH'],
+  ],
+);
+assert.deepEqual(openAiResult.tokenUsage.count, {
+  candidates: 3,
+  prompt: 12,
+  cached: 8,
+  total: 15,
+});
+assert.equal(
+  openAiChat.getErrorCode('LENGTH').text,
+  'The maximum number of tokens as specified in the request was reached.',
+);
+
+nextResponse = jsonResponse(
+  {
+    error: {
+      message: 'Incorrect API key provided.',
+      type: 'invalid_request_error',
+      param: null,
+      code: 'invalid_api_key',
+    },
+  },
+  401,
+);
+const openAiError = await openAiChat.genContent(imageData);
+assert.deepEqual(openAiError.error, {
+  code: 401,
+  message: 'Incorrect API key provided.',
+  status: 'invalid_request_error',
+});
+
+const openAiCalls = calls.length;
+const openAiCount = await openAiChat.countTokens(imageData);
+assert.equal(calls.length, openAiCalls);
+assert.equal(openAiCount.estimated, true);
+assert.equal(typeof openAiCount.totalTokens, 'number');
+
+// Anthropic
+const anthropicChat = new TinyAnthropicAi('ak-test', 'claude-3-5-haiku-latest', true, {
+  maxTokens: 256,
+});
+anthropicChat.setTemperature(0.2);
+anthropicChat.setStopSequences(['END']);
+const anthropicData = [
+  { role: 'system', parts: [{ text: 'Be brief.' }] },
+  { role: 'user', parts: [{ text: 'Hi!' }] },
+  { role: 'model', parts: [{ text: 'Hello.' }] },
+  { role: 'user', parts: [{ text: 'Again.' }] },
+];
+nextResponse = jsonResponse({
+  model: 'claude-3-5-haiku-20241022',
+  content: [{ type: 'text', text: 'Hello again.' }],
+  stop_reason: 'end_turn',
+  usage: { input_tokens: 10, output_tokens: 4, cache_read_input_tokens: 6 },
+});
+const anthropicResult = await anthropicChat.genContent(anthropicData);
+assert.equal(calls[calls.length - 1].url, 'https://api.anthropic.com/v1/messages');
+assert.equal(calls[calls.length - 1].headers['x-api-key'], 'ak-test');
+assert.deepEqual(lastBody(), {
+  model: 'claude-3-5-haiku-latest',
+  system: 'Be brief.',
+  messages: [
+    { role: 'user', content: [{ type: 'text', text: 'Hi!' }] },
+    { role: 'assistant', content: [{ type: 'text', text: 'Hello.' }] },
+    { role: 'user', content: [{ type: 'text', text: 'Again.' }] },
+  ],
+  max_tokens: 256,
+  temperature: 0.2,
+  stop_sequences: ['END'],
+});
+assert.equal(anthropicResult.modelVersion, 'claude-3-5-haiku-20241022');
+assert.equal(anthropicResult.contents[0].parts[0].text, 'Hello again.');
+assert.equal(anthropicResult.contents[0].finishReason, 'END_TURN');
+assert.equal(anthropicResult.tokenUsage.count.prompt, 16);
+assert.equal(anthropicResult.tokenUsage.count.cached, 6);
+
+nextResponse = jsonResponse({
+  model: 'claude-3-5-haiku-20241022',
+  content: [{ type: 'text', text: 'Hello again.' }],
+  stop_reason: 'end_turn',
+  usage: {
+    input_tokens: 10,
+    output_tokens: 4,
+    cache_read_input_tokens: 6,
+    cache_creation_input_tokens: 20,
+  },
+});
+const anthropicWrite = await anthropicChat.genContent(anthropicData);
+assert.equal(anthropicWrite.tokenUsage.count.prompt, 36);
+assert.equal(anthropicWrite.tokenUsage.count.cacheWrite, 20);
+anthropicChat.setPrices({
+  'claude-3-5-haiku*': { prompt: 1, cached: 0.1, cacheWrite: 1.25, candidates: 5 },
+});
+const anthropicUsage = anthropicChat.getUsage();
+assert.equal(anthropicUsage.tokens.cacheWrite, 20);
+assert.equal(anthropicUsage.entries[1].cost, (10 + 6 * 0.1 + 20 * 1.25 + 4 * 5) / 1000000);
+
+nextResponse = streamResponse([
+  sseEvent({
+    type: 'message_start',
+    message: { model: 'claude-3-5-haiku-20241022', content: [], usage: { input_tokens: 10 } },
+  }),
+  sseEvent({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }),
+  sseEvent({ type: 'ping' }),
+  sseEvent({
+    type: 'content_block_delta',
+    index: 0,
+    delta: { type: 'text_delta', text: 'Hello' },
+  }),
+  sseEvent({
+    type: 'content_block_delta',
+    index: 0,
+    delta: { type: 'text_delta', text: ' again.' },
+  }),
+  sseEvent({ type: 'content_block_stop', index: 0 }),
+  sseEvent({
+    type: 'message_delta',
+    delta: { stop_reason: 'max_tokens' },
+    usage: { output_tokens: 4 },
+  }),
+  sseEvent({ type: 'message_stop' }),
+]);
+const anthropicChunks = [];
+const anthropicStream = await anthropicChat.genContent(
+  anthropicData,
+  undefined,
+  undefined,
+  (chunk) => anthropicChunks.push(chunk),
+);
+assert.equal(lastBody().stream, true);
+assert.deepEqual(
+  anthropicChunks.map((chunk) => (chunk.done ? 'done' : chunk.contents[0].parts[0]?.text)),
+  [undefined, '', 'Hello', 'Hello again.', 'Hello again.', 'done'],
+);
+assert.equal(anthropicStream.contents[0].parts[0].text, 'Hello again.');
+assert.equal(anthropicStream.contents[0].finishReason, 'MAX_TOKENS');
+assert.deepEqual(anthropicStream.tokenUsage.count, {
+  candidates: 4,
+  prompt: 10,
+  cached: null,
+  cacheWrite: null,
+  total: 14,
+});
+
+nextResponse = streamResponse([
+  sseEvent({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }),
+]);
+const anthropicStreamError = await anthropicChat.genContent(
+  anthropicData,
+  undefined,
+  undefined,
+  () => {},
+);
+assert.deepEqual(anthropicStreamError.error, {
+  code: null,
+  message: 'Overloaded',
+  status: 'overloaded_error',
+});
+
+// Ollama
+const ollamaChat = new TinyOllamaAi('llama3.2', true, { baseUrl: 'http://127.0.0.1:11434/api' });
+ollamaChat.setTemperature(0.1);
+ollamaChat.setMaxOutputTokens(32);
+nextResponse = streamResponse([
+  `${JSON.stringify({ model: 'llama3.2', message: { role: 'assistant', content: 'Olá' }, done: false })}\n{"model":"llama3.2","message":{"role":"assistant",`,
+  `"content":" mundo"},"done":false}\n`,
+  `${JSON.stringify({
+    model: 'llama3.2',
+    message: { role: 'assistant', content: '!' },
+    done: true,
+    done_reason: 'stop',
+    prompt_eval_count: 9,
+    eval_count: 3,
+  })}\n`,
+]);
+const ollamaChunks = [];
+const ollamaResult = await ollamaChat.genContent(
+  [{ role: 'user', parts: [{ text: 'Oi' }] }],
+  undefined,
+  undefined,
+  (chunk) => ollamaChunks.push(chunk),
+);
+assert.equal(calls[calls.length - 1].url, 'http://127.0.0.1:11434/api/chat');
+assert.deepEqual(lastBody(), {
+  model: 'llama3.2',
+  messages: [{ role: 'user', content: 'Oi' }],
+  stream: true,
+  options: { num_predict: 32, temperature: 0.1 },
+});
+assert.deepEqual(
+  ollamaChunks.map((chunk) => (chunk.done ? 'done' : chunk.contents[0].parts[0].text)),
+  ['Olá', 'Olá mundo', 'Olá mundo!', 'done'],
+);
+assert.equal(ollamaResult.contents[0].parts[0].text, 'Olá mundo!');
+assert.equal(ollamaResult.contents[0].finishReason, 'STOP');
+assert.equal(ollamaResult.modelVersion, 'llama3.2');
+assert.deepEqual(ollamaResult.tokenUsage.count, { candidates: 3, prompt: 9, total: 12 });
+
+nextResponse = jsonResponse({ error: 'model "llama9" not found, try pulling it first' }, 404);
+const ollamaError = await ollamaChat.genContent([{ role: 'user', parts: [{ text: 'Oi' }] }]);
+assert.deepEqual(ollamaError.error, {
+  code: 404,
+  message: 'model "llama9" not found, try pulling it first',
+  status: null,
+});
+
+const ollamaCalls = calls.length;
+assert.equal((await ollamaChat.countTokens(imageData)).estimated, true);
+assert.equal(calls.length, ollamaCalls);
+
+// SSE reader
+/**
+ * @param {string} text
+ * @param {string} [finishReason]
+ */
+const googleEvent = (text, finishReason) =>
+  `data: ${JSON.stringify({
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason }],
+    usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 3, totalTokenCount: 7 },
+  })}\r\n\r\n`;
+const googleStreamAi = new TinyGoogleAi('key', 'gemini-2.0-flash', true);
+const streamGoogle = async () => {
+  const texts = [];
+  const result = await googleStreamAi.genContent(imageData, undefined, undefined, (chunk) => {
+    if (!chunk.done) texts.push(chunk.contents[0].parts[0].text);
+  });
+  return { texts, result };
+};
+
+// Events split across reads, with a multi-byte character cut in half
+const splitBytes = new TextEncoder().encode(googleEvent('Olá, 世界'));
+const cutAt = splitBytes.indexOf(0xe4) + 1;
+nextResponse = streamResponse([
+  splitBytes.slice(0, 10),
+  splitBytes.slice(10, cutAt),
+  splitBytes.slice(cutAt),
+  googleEvent('!', 'STOP'),
+]);
+const splitStream = await streamGoogle();
+assert.deepEqual(splitStream.texts, ['Olá, 世界', 'Olá, 世界!']);
+assert.equal(splitStream.result.contents[0].parts[0].text, 'Olá, 世界!');
+
+// Several events in one read
+nextResponse = streamResponse([googleEvent('A') + googleEvent('B') + googleEvent('C', 'STOP')]);
+assert.deepEqual((await streamGoogle()).texts, ['A', 'AB', 'ABC']);
+
+// Invalid JSON
+nextResponse = streamResponse([googleEvent('A'), 'data: {"candidates": [\n\n']);
+await assert.rejects(streamGoogle(), /^Error: Invalid Google AI streaming chunk \[1\]/);
+
+console.log('Service request tests passed.');